@@ -0,0 +1,64 @@
+// --- Load benchmark harness ---
+// Open the app with ?bench=N (optionally &size=S for an S×S vertex grid per
+// file) to add N synthetic files one after another and log the timings.
+// Files are spread apart so the scene center moves on every add.
+
+export function createSyntheticGrid(size, offsetX, offsetY) {
+  const vertices = new Float64Array(size * size * 3);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const i = (r * size + c) * 3;
+      vertices[i] = offsetX + c;
+      vertices[i + 1] = offsetY + r;
+      vertices[i + 2] = Math.sin(c * 0.1) * Math.cos(r * 0.1) * 5;
+    }
+  }
+  const indices = new Int32Array((size - 1) * (size - 1) * 6);
+  let k = 0;
+  for (let r = 0; r < size - 1; r++) {
+    for (let c = 0; c < size - 1; c++) {
+      const tl = r * size + c;
+      const tr = tl + 1;
+      const bl = tl + size;
+      const br = bl + 1;
+      indices[k++] = tl;
+      indices[k++] = bl;
+      indices[k++] = tr;
+      indices[k++] = tr;
+      indices[k++] = bl;
+      indices[k++] = br;
+    }
+  }
+  return { indices, vertices };
+}
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+export async function runLoadBenchmark(addGeometry, { files, size }) {
+  const perFile = [];
+  const start = performance.now();
+  for (let i = 0; i < files; i++) {
+    const data = createSyntheticGrid(size, (i % 5) * size * 1.1, Math.floor(i / 5) * size * 1.1);
+    const t0 = performance.now();
+    addGeometry(`synthetic-${i}.json`, data);
+    perFile.push({ file: i, ms: +(performance.now() - t0).toFixed(2) });
+  }
+  const added = performance.now();
+  await nextFrame();
+  const firstFrame = performance.now();
+
+  const result = {
+    files,
+    size,
+    trianglesPerFile: (size - 1) * (size - 1) * 2,
+    addMs: +(added - start).toFixed(2),
+    firstFrameMs: +(firstFrame - start).toFixed(2),
+    perFile,
+  };
+  console.table(perFile);
+  console.log(
+    `[bench] ${files} files × ${result.trianglesPerFile} triangles: ` +
+      `add ${result.addMs} ms, first frame ${result.firstFrameMs} ms`
+  );
+  return result;
+}
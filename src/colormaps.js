@@ -0,0 +1,59 @@
+import * as THREE from "three";
+
+// --- Colormaps ---
+// sampleColormap(name, t, target) writes the colour for t in [0, 1] into a
+// THREE.Color; t outside is clamped, so infinities take the end colours, and
+// NaN is no data. "classic" is the original HSL height ramp.
+
+export const COLORMAPS = {
+  classic: "Classic",
+  viridis: "Viridis",
+  turbo: "Turbo",
+  diverging: "Diverging",
+};
+
+const STOPS = {
+  viridis: [
+    0x440154, 0x482475, 0x414487, 0x355f8d, 0x2a788e, 0x21918c, 0x22a884,
+    0x44bf70, 0x7ad151, 0xbddf26, 0xfde725,
+  ].map((c) => new THREE.Color(c)),
+  diverging: [
+    0x2166ac, 0x4393c3, 0x92c5de, 0xd1e5f0, 0xf7f7f7, 0xfddbc7, 0xf4a582,
+    0xd6604d, 0xb2182b,
+  ].map((c) => new THREE.Color(c)),
+};
+
+export const NO_DATA_COLOR = new THREE.Color(0x666666);
+
+// Polynomial fit of Google's Turbo by Mikhail Anikin, in sRGB.
+function turbo(t) {
+  return [
+    0.13572138 + t * (4.6153926 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943)))),
+    0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604)))),
+    0.1066733 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973)))),
+  ].map((c) => Math.min(1, Math.max(0, c)));
+}
+
+export function sampleColormap(name, t, target = new THREE.Color()) {
+  if (Number.isNaN(t)) return target.copy(NO_DATA_COLOR);
+  t = Math.min(1, Math.max(0, t));
+  if (name === "turbo") {
+    const [r, g, b] = turbo(t);
+    return target.setRGB(r, g, b, THREE.SRGBColorSpace);
+  }
+  const stops = STOPS[name];
+  if (!stops) return target.setHSL(0.66 - t * 0.66, 0.85, 0.55);
+  const x = t * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  return target.lerpColors(stops[i], stops[i + 1], x - i);
+}
+
+// CSS linear-gradient for a legend bar, low values at the left.
+export function colormapGradient(name, steps = 16) {
+  const color = new THREE.Color();
+  const parts = [];
+  for (let i = 0; i <= steps; i++) {
+    parts.push(sampleColormap(name, i / steps, color).getStyle());
+  }
+  return `linear-gradient(to right, ${parts.join(", ")})`;
+}
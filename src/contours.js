@@ -0,0 +1,220 @@
+// --- Contours ---
+// Contours are traced per triangle and chained into polylines through the
+// mesh edges they cross, so lines are continuous across shared edges. A
+// vertex exactly at a contour elevation counts as above it.
+
+const MAX_LEVELS = 2000;
+
+// "Nice" interval giving roughly `target` contours over [min, max].
+export function suggestContourInterval(min, max, target = 20) {
+  const range = max - min;
+  if (!(range > 0)) return 1;
+  const raw = range / target;
+  const pow = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].find((s) => s * pow >= raw);
+  return step * pow;
+}
+
+// Returns [{ elevation, major, polylines: [Float64Array xyz...] }].
+//   interval:   elevation step
+//   base:       elevation one contour passes through
+//   majorEvery: every n-th contour from base is major
+export function generateContours(data, { interval, base = 0, majorEvery = 5 }) {
+  const { indices, vertices } = data;
+  const vertexCount = vertices.length / 3;
+  const triCount = Math.floor(indices.length / 3);
+  const hidden = new Set(data.invisibleFaces || []);
+  if (!(interval > 0)) throw new Error("Contour interval must be positive");
+
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  for (let v = 0; v < vertexCount; v++) {
+    const z = vertices[v * 3 + 2];
+    if (z < minZ) minZ = z;
+    if (z > maxZ) maxZ = z;
+  }
+  if (!(minZ <= maxZ)) return [];
+  const first = Math.ceil((minZ - base) / interval);
+  const last = Math.floor((maxZ - base) / interval);
+  if (last - first + 1 > MAX_LEVELS) {
+    throw new Error(`Interval gives more than ${MAX_LEVELS} contour levels`);
+  }
+
+  // Segments per level, keyed by the edges they connect.
+  const levels = new Map();
+  const z = (v) => vertices[v * 3 + 2];
+  for (let t = 0; t < triCount; t++) {
+    if (hidden.has(t)) continue;
+    const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    if (!tri.every((v) => v >= 0 && v < vertexCount)) continue;
+    const zs = tri.map(z);
+    if (!zs.every(Number.isFinite)) continue;
+    const lo = Math.ceil((Math.min(...zs) - base) / interval);
+    const hi = Math.floor((Math.max(...zs) - base) / interval);
+    for (let k = lo; k <= hi; k++) {
+      const level = base + k * interval;
+      const crossings = [];
+      for (let j = 0; j < 3; j++) {
+        const a = tri[j];
+        const b = tri[(j + 1) % 3];
+        if (z(a) >= level !== z(b) >= level) crossings.push(a < b ? [a, b] : [b, a]);
+      }
+      if (crossings.length !== 2) continue;
+      if (!levels.has(k)) levels.set(k, []);
+      levels.get(k).push(crossings);
+    }
+  }
+
+  const result = [];
+  for (const k of [...levels.keys()].sort((a, b) => a - b)) {
+    const level = base + k * interval;
+    const point = ([a, b]) => {
+      const s = (level - z(a)) / (z(b) - z(a));
+      return [
+        vertices[a * 3] + s * (vertices[b * 3] - vertices[a * 3]),
+        vertices[a * 3 + 1] + s * (vertices[b * 3 + 1] - vertices[a * 3 + 1]),
+        level,
+      ];
+    };
+    // Contours through a vertex give repeated points; drop them.
+    const toPolyline = (chain) => {
+      const out = [];
+      for (const edge of chain) {
+        const p = point(edge);
+        const n = out.length;
+        if (n > 0 && out[n - 3] === p[0] && out[n - 2] === p[1]) continue;
+        out.push(...p);
+      }
+      return Float64Array.from(out);
+    };
+    const polylines = chainSegments(levels.get(k)).map(toPolyline).filter((p) => p.length >= 6);
+    if (polylines.length === 0) continue;
+    result.push({
+      elevation: level,
+      major: majorEvery > 0 && ((k % majorEvery) + majorEvery) % majorEvery === 0,
+      polylines,
+    });
+  }
+  return result;
+}
+
+// Joins segments ([edgeA, edgeB]) sharing an edge into lists of edges.
+function chainSegments(segments) {
+  const key = ([a, b]) => `${a},${b}`;
+  const byEdge = new Map();
+  segments.forEach((seg, i) => {
+    for (const edge of seg) {
+      const k = key(edge);
+      if (!byEdge.has(k)) byEdge.set(k, []);
+      byEdge.get(k).push(i);
+    }
+  });
+  const used = new Uint8Array(segments.length);
+  const nextFrom = (edge) => {
+    for (const i of byEdge.get(key(edge))) {
+      if (used[i]) continue;
+      used[i] = 1;
+      const seg = segments[i];
+      return key(seg[0]) === key(edge) ? seg[1] : seg[0];
+    }
+    return null;
+  };
+
+  const chains = [];
+  for (let i = 0; i < segments.length; i++) {
+    if (used[i]) continue;
+    used[i] = 1;
+    const chain = [segments[i][0], segments[i][1]];
+    for (let e = nextFrom(chain[chain.length - 1]); e; e = nextFrom(e)) chain.push(e);
+    const head = [];
+    for (let e = nextFrom(chain[0]); e; e = nextFrom(e)) head.push(e);
+    chains.push(head.reverse().concat(chain));
+  }
+  return chains;
+}
+
+// --- Contour export ---
+export const CONTOUR_FORMATS = { geojson: "GeoJSON", dxf: "DXF" };
+
+// Returns [{ suffix, blob }] like exportMesh.
+export function exportContours(format, contours, { epsgCode } = {}) {
+  if (format === "dxf") {
+    return [{ suffix: "-contours.dxf", blob: new Blob([contoursToDXF(contours)], { type: "application/dxf" }) }];
+  }
+  return [
+    {
+      suffix: "-contours.geojson",
+      blob: new Blob([contoursToGeoJSON(contours, epsgCode)], { type: "application/geo+json" }),
+    },
+  ];
+}
+
+function contoursToGeoJSON(contours, epsgCode) {
+  const features = [];
+  for (const c of contours) {
+    for (const line of c.polylines) {
+      const coordinates = [];
+      for (let i = 0; i < line.length; i += 3) coordinates.push([line[i], line[i + 1], line[i + 2]]);
+      features.push({
+        type: "Feature",
+        properties: { elevation: c.elevation, major: c.major },
+        geometry: { type: "LineString", coordinates },
+      });
+    }
+  }
+  const collection = { type: "FeatureCollection" };
+  // Projected coordinates: name the CRS the old (pre-RFC 7946) way.
+  if (epsgCode) {
+    collection.crs = { type: "name", properties: { name: `urn:ogc:def:crs:EPSG::${epsgCode}` } };
+  }
+  collection.features = features;
+  return JSON.stringify(collection);
+}
+
+// AutoCAD R12 ASCII DXF with one 3D POLYLINE per contour line, on layers
+// CONTOUR_MAJOR and CONTOUR_MINOR.
+function contoursToDXF(contours) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  pair(0, "SECTION");
+  pair(2, "TABLES");
+  pair(0, "TABLE");
+  pair(2, "LAYER");
+  pair(70, 2);
+  for (const [name, color] of [["CONTOUR_MAJOR", 1], ["CONTOUR_MINOR", 8]]) {
+    pair(0, "LAYER");
+    pair(2, name);
+    pair(70, 0);
+    pair(62, color);
+    pair(6, "CONTINUOUS");
+  }
+  pair(0, "ENDTAB");
+  pair(0, "ENDSEC");
+  pair(0, "SECTION");
+  pair(2, "ENTITIES");
+  for (const c of contours) {
+    const layer = c.major ? "CONTOUR_MAJOR" : "CONTOUR_MINOR";
+    for (const line of c.polylines) {
+      pair(0, "POLYLINE");
+      pair(8, layer);
+      pair(66, 1);
+      pair(10, 0);
+      pair(20, 0);
+      pair(30, 0);
+      pair(70, 8);
+      for (let i = 0; i < line.length; i += 3) {
+        pair(0, "VERTEX");
+        pair(8, layer);
+        pair(10, line[i]);
+        pair(20, line[i + 1]);
+        pair(30, line[i + 2]);
+        pair(70, 32);
+      }
+      pair(0, "SEQEND");
+      pair(8, layer);
+    }
+  }
+  pair(0, "ENDSEC");
+  pair(0, "EOF");
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,133 @@
+import proj4 from "proj4";
+
+// --- Coordinate reference systems and units ---
+// Only the bundled EPSG definitions below can be reprojected. Coordinates
+// are easting/northing (or longitude/latitude) in x/y; heights are only
+// converted between units, never between vertical datums.
+
+// Keys are LandXML linearUnit names; imperial ones belong under <Imperial>.
+export const LINEAR_UNITS = {
+  meter: { abbr: "m", metres: 1 },
+  millimeter: { abbr: "mm", metres: 0.001 },
+  centimeter: { abbr: "cm", metres: 0.01 },
+  kilometer: { abbr: "km", metres: 1000 },
+  foot: { abbr: "ft", metres: 0.3048, imperial: true },
+  USSurveyFoot: { abbr: "US ft", metres: 1200 / 3937, imperial: true },
+  inch: { abbr: "in", metres: 0.0254, imperial: true },
+  mile: { abbr: "mi", metres: 1609.344, imperial: true },
+};
+
+const CRS_DEFINITIONS = new Map();
+
+function define(code, name, proj) {
+  CRS_DEFINITIONS.set(code, { name, geographic: proj.startsWith("+proj=longlat") });
+  proj4.defs(`EPSG:${code}`, `${proj} +no_defs`);
+}
+
+define(4326, "WGS 84", "+proj=longlat +datum=WGS84");
+define(4258, "ETRS89", "+proj=longlat +ellps=GRS80");
+define(6668, "JGD2011", "+proj=longlat +ellps=GRS80");
+define(3857, "WGS 84 / Pseudo-Mercator", "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext");
+for (let zone = 1; zone <= 60; zone++) {
+  define(32600 + zone, `WGS 84 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} +datum=WGS84 +units=m`);
+  define(32700 + zone, `WGS 84 / UTM zone ${zone}S`, `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m`);
+}
+for (let zone = 1; zone <= 23; zone++) {
+  define(26900 + zone, `NAD83 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} +datum=NAD83 +units=m`);
+}
+for (let zone = 28; zone <= 38; zone++) {
+  define(25800 + zone, `ETRS89 / UTM zone ${zone}N`, `+proj=utm +zone=${zone} +ellps=GRS80 +units=m`);
+}
+for (let zone = 48; zone <= 58; zone++) {
+  define(28300 + zone, `GDA94 / MGA zone ${zone}`, `+proj=utm +zone=${zone} +south +ellps=GRS80 +units=m`);
+}
+for (let zone = 46; zone <= 59; zone++) {
+  define(7800 + zone, `GDA2020 / MGA zone ${zone}`, `+proj=utm +zone=${zone} +south +ellps=GRS80 +units=m`);
+}
+// Japan Plane Rectangular CS zones I-XIX: [lat_0, lon_0] in degrees.
+[
+  [33, 129.5], [33, 131], [36, 132 + 1 / 6], [33, 133.5], [36, 134 + 1 / 3],
+  [36, 136], [36, 137 + 1 / 6], [36, 138.5], [36, 139 + 5 / 6], [40, 140 + 5 / 6],
+  [44, 140.25], [44, 142.25], [44, 144.25], [26, 142], [26, 127.5],
+  [26, 124], [26, 131], [20, 136], [26, 154],
+].forEach(([lat, lon], i) => {
+  define(
+    6669 + i,
+    `JGD2011 / Japan Plane Rectangular CS ${toRoman(i + 1)}`,
+    `+proj=tmerc +lat_0=${lat} +lon_0=${lon} +k=0.9999 +x_0=0 +y_0=0 +ellps=GRS80 +units=m`
+  );
+});
+define(27700, "OSGB36 / British National Grid", "+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m");
+define(2193, "NZGD2000 / New Zealand Transverse Mercator", "+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 +ellps=GRS80 +units=m");
+define(2154, "RGF93 / Lambert-93", "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +units=m");
+define(3006, "SWEREF99 TM", "+proj=utm +zone=33 +ellps=GRS80 +units=m");
+define(2056, "CH1903+ / LV95", "+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m");
+define(3035, "ETRS89 / LAEA Europe", "+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +units=m");
+
+function toRoman(n) {
+  const numerals = [[10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+  let out = "";
+  for (const [value, numeral] of numerals) {
+    for (; n >= value; n -= value) out += numeral;
+  }
+  return out;
+}
+
+// [[code, { name, geographic }]] in code order.
+export function bundledCrsList() {
+  return [...CRS_DEFINITIONS].sort((a, b) => a[0] - b[0]);
+}
+
+export function isBundledCrs(code) {
+  return CRS_DEFINITIONS.has(code);
+}
+
+export function isGeographicCrs(code) {
+  return !!code && !!CRS_DEFINITIONS.get(code)?.geographic;
+}
+
+export function crsLabel(code) {
+  if (!code) return "none";
+  const def = CRS_DEFINITIONS.get(code);
+  return def ? `EPSG:${code} ${def.name}` : `EPSG:${code}`;
+}
+
+// Coordinate frames are { epsg, unit } with either part possibly null. Returns
+// (x, y, z) => [x, y, z] from one frame to another, or null when nothing
+// changes. Without both CRSs the position is not reprojected, and without
+// both units the values are not scaled.
+export function createCoordinateTransform(from, to) {
+  const reproject = !!(from.epsg && to.epsg && from.epsg !== to.epsg);
+  const scaled = !!(from.unit && to.unit && from.unit !== to.unit);
+  if (!reproject && !scaled) return null;
+  for (const code of reproject ? [from.epsg, to.epsg] : []) {
+    if (!isBundledCrs(code)) throw new Error(`EPSG:${code} is not a bundled CRS`);
+  }
+  const fromMetres = LINEAR_UNITS[from.unit]?.metres ?? 1;
+  const toMetres = LINEAR_UNITS[to.unit]?.metres ?? 1;
+  const fromGeographic = isGeographicCrs(from.epsg);
+  const toGeographic = isGeographicCrs(reproject ? to.epsg : from.epsg);
+  const converter = reproject ? proj4(`EPSG:${from.epsg}`, `EPSG:${to.epsg}`) : null;
+  const zScale = fromMetres / toMetres;
+
+  return (x, y, z) => {
+    let px = fromGeographic ? x : x * fromMetres;
+    let py = fromGeographic ? y : y * fromMetres;
+    if (converter) [px, py] = converter.forward([px, py]);
+    return toGeographic
+      ? [px, py, z * zScale]
+      : [px / toMetres, py / toMetres, z * zScale];
+  };
+}
+
+// Applies a transform to a flat xyz array, returning a new Float64Array.
+export function transformCoordinates(coords, transform) {
+  const out = new Float64Array(coords.length);
+  for (let i = 0; i < coords.length; i += 3) {
+    const p = transform(coords[i], coords[i + 1], coords[i + 2]);
+    out[i] = p[0];
+    out[i + 1] = p[1];
+    out[i + 2] = p[2];
+  }
+  return out;
+}
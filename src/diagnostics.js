@@ -0,0 +1,295 @@
+import * as THREE from "three";
+
+// --- Diagnostic categories ---
+// kind decides how the problem is highlighted: triangles are filled, edges
+// are drawn as line segments and vertices as points.
+export const DIAGNOSTIC_CATEGORIES = [
+  { key: "invalidIndex", label: "Out-of-range / undefined indices", severity: "error", color: 0xff2d2d },
+  { key: "invalidVertex", label: "Non-finite vertex coordinates", severity: "error", color: 0xff2d2d },
+  { key: "degenerate", label: "Degenerate triangles", severity: "error", color: 0xff4d6d },
+  { key: "duplicateTriangle", label: "Duplicate triangles", severity: "error", color: 0xff7b00 },
+  { key: "nonManifoldEdge", label: "Non-manifold edges", severity: "error", color: 0xff00ff },
+  { key: "windingEdge", label: "Inconsistent winding", severity: "warning", color: 0xff3b3b },
+  { key: "duplicateVertex", label: "Duplicate vertices", severity: "warning", color: 0xf72585 },
+  { key: "coincidentVertex", label: "Coincident vertices", severity: "warning", color: 0xb5179e },
+  { key: "unreferencedVertex", label: "Unreferenced vertices", severity: "warning", color: 0xc77dff },
+  { key: "boundaryEdge", label: "Boundary edges", severity: "info", color: 0xffd166 },
+];
+
+const COINCIDENT_TOLERANCE = 1e-6; // relative to the bounding-box diagonal
+const DEGENERATE_TOLERANCE = 1e-10; // |cross| relative to longest edge²
+
+// --- Mesh analysis ---
+// Returns { triangleCount, vertexCount, issues: { [key]: { triangles, edges, vertices, count } } }
+// where triangles are triangle indices, edges a flat [a, b, a, b, ...] list of
+// vertex indices and vertices a list of vertex indices.
+export function analyzeMesh(data) {
+  const { indices, vertices } = data;
+  const vertexCount = Math.floor(vertices.length / 3);
+  const triangleCount = Math.floor(indices.length / 3);
+
+  const issues = {};
+  for (const cat of DIAGNOSTIC_CATEGORIES) {
+    issues[cat.key] = { triangles: [], edges: [], vertices: [], count: 0 };
+  }
+
+  const isValidIndex = (v) =>
+    Number.isInteger(v) && v >= 0 && v < vertexCount;
+
+  // Vertex coordinates
+  const finite = new Uint8Array(vertexCount);
+  for (let v = 0; v < vertexCount; v++) {
+    const x = vertices[v * 3];
+    const y = vertices[v * 3 + 1];
+    const z = vertices[v * 3 + 2];
+    if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
+      finite[v] = 1;
+    } else {
+      issues.invalidVertex.vertices.push(v);
+    }
+  }
+  issues.invalidVertex.count = issues.invalidVertex.vertices.length;
+
+  // Triangles: index validity, degeneracy, duplicates, edge usage
+  const referenced = new Uint8Array(vertexCount);
+  const triangleKeys = new Map();
+  const edges = new Map(); // key → { a, b, count, forward }
+  const edgeKey = (a, b) => (a < b ? a * vertexCount + b : b * vertexCount + a);
+
+  for (let t = 0; t < triangleCount; t++) {
+    const a = indices[t * 3];
+    const b = indices[t * 3 + 1];
+    const c = indices[t * 3 + 2];
+    const tri = [a, b, c];
+
+    let valid = true;
+    for (const vi of tri) {
+      if (isValidIndex(vi)) referenced[vi] = 1;
+      else valid = false;
+    }
+    if (!valid) {
+      issues.invalidIndex.triangles.push(t);
+      for (const vi of tri) {
+        if (isValidIndex(vi)) issues.invalidIndex.vertices.push(vi);
+      }
+      continue;
+    }
+
+    if (a === b || b === c || a === c || isZeroArea(vertices, a, b, c)) {
+      issues.degenerate.triangles.push(t);
+      issues.degenerate.vertices.push(a, b, c);
+    }
+
+    const sorted = tri.slice().sort((x, y) => x - y).join(",");
+    if (triangleKeys.has(sorted)) {
+      issues.duplicateTriangle.triangles.push(t);
+    } else {
+      triangleKeys.set(sorted, t);
+    }
+
+    for (let j = 0; j < 3; j++) {
+      const from = tri[j];
+      const to = tri[(j + 1) % 3];
+      if (from === to) continue;
+      const key = edgeKey(from, to);
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { a: Math.min(from, to), b: Math.max(from, to), count: 0, forward: 0 };
+        edges.set(key, edge);
+      }
+      edge.count++;
+      if (from < to) edge.forward++;
+    }
+  }
+  issues.invalidIndex.count = issues.invalidIndex.triangles.length;
+  issues.degenerate.count = issues.degenerate.triangles.length;
+  issues.duplicateTriangle.count = issues.duplicateTriangle.triangles.length;
+
+  // Edges: boundary, non-manifold, winding
+  for (const edge of edges.values()) {
+    if (edge.count === 1) {
+      issues.boundaryEdge.edges.push(edge.a, edge.b);
+    } else if (edge.count > 2) {
+      issues.nonManifoldEdge.edges.push(edge.a, edge.b);
+    } else if (edge.forward !== 1) {
+      // Two consistently wound neighbours traverse a shared edge in opposite directions.
+      issues.windingEdge.edges.push(edge.a, edge.b);
+    }
+  }
+  issues.boundaryEdge.count = issues.boundaryEdge.edges.length / 2;
+  issues.nonManifoldEdge.count = issues.nonManifoldEdge.edges.length / 2;
+  issues.windingEdge.count = issues.windingEdge.edges.length / 2;
+
+  // Vertices: unreferenced, duplicate, coincident
+  for (let v = 0; v < vertexCount; v++) {
+    if (!referenced[v]) issues.unreferencedVertex.vertices.push(v);
+  }
+  issues.unreferencedVertex.count = issues.unreferencedVertex.vertices.length;
+
+  findDuplicateVertices(vertices, vertexCount, finite, issues);
+
+  return { triangleCount, vertexCount, issues };
+}
+
+function isZeroArea(vertices, a, b, c) {
+  const ax = vertices[a * 3], ay = vertices[a * 3 + 1], az = vertices[a * 3 + 2];
+  const ux = vertices[b * 3] - ax, uy = vertices[b * 3 + 1] - ay, uz = vertices[b * 3 + 2] - az;
+  const vx = vertices[c * 3] - ax, vy = vertices[c * 3 + 1] - ay, vz = vertices[c * 3 + 2] - az;
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  const cross = Math.sqrt(cx * cx + cy * cy + cz * cz);
+  const wx = vx - ux, wy = vy - uy, wz = vz - uz;
+  const longest = Math.max(
+    ux * ux + uy * uy + uz * uz,
+    vx * vx + vy * vy + vz * vz,
+    wx * wx + wy * wy + wz * wz
+  );
+  return !(cross > longest * DEGENERATE_TOLERANCE);
+}
+
+function findDuplicateVertices(vertices, vertexCount, finite, issues) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let v = 0; v < vertexCount; v++) {
+    if (!finite[v]) continue;
+    const x = vertices[v * 3], y = vertices[v * 3 + 1], z = vertices[v * 3 + 2];
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (z < minZ) minZ = z;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+    if (z > maxZ) maxZ = z;
+  }
+  const diagonal = Math.hypot(maxX - minX, maxY - minY, maxZ - minZ);
+  const tol = diagonal * COINCIDENT_TOLERANCE;
+
+  const exact = new Map();
+  const cells = new Map();
+  const cellSize = tol || 1;
+  const cellKey = (ix, iy, iz) => `${ix},${iy},${iz}`;
+
+  for (let v = 0; v < vertexCount; v++) {
+    if (!finite[v]) continue;
+    const x = vertices[v * 3], y = vertices[v * 3 + 1], z = vertices[v * 3 + 2];
+
+    const exactKey = `${x},${y},${z}`;
+    if (exact.has(exactKey)) {
+      issues.duplicateVertex.vertices.push(v);
+      continue;
+    }
+    exact.set(exactKey, v);
+
+    const ix = Math.floor((x - minX) / cellSize);
+    const iy = Math.floor((y - minY) / cellSize);
+    const iz = Math.floor((z - minZ) / cellSize);
+    if (tol > 0) {
+      let coincident = false;
+      for (let dx = -1; dx <= 1 && !coincident; dx++) {
+        for (let dy = -1; dy <= 1 && !coincident; dy++) {
+          for (let dz = -1; dz <= 1 && !coincident; dz++) {
+            const bucket = cells.get(cellKey(ix + dx, iy + dy, iz + dz));
+            if (!bucket) continue;
+            for (const o of bucket) {
+              const d = Math.hypot(
+                vertices[o * 3] - x,
+                vertices[o * 3 + 1] - y,
+                vertices[o * 3 + 2] - z
+              );
+              if (d <= tol) {
+                coincident = true;
+                break;
+              }
+            }
+          }
+        }
+      }
+      if (coincident) issues.coincidentVertex.vertices.push(v);
+    }
+    const key = cellKey(ix, iy, iz);
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(v);
+    else cells.set(key, [v]);
+  }
+  issues.duplicateVertex.count = issues.duplicateVertex.vertices.length;
+  issues.coincidentVertex.count = issues.coincidentVertex.vertices.length;
+}
+
+// --- Diagnostics overlay ---
+// Builds one child object per category (named "diag-<key>") from centered positions.
+export function buildDiagnosticsOverlay(diagnostics, positions, indices, pointSize) {
+  const group = new THREE.Group();
+  group.name = "diagnostics";
+  const vertexCount = positions.length / 3;
+  const inRange = (v) => Number.isInteger(v) && v >= 0 && v < vertexCount;
+
+  for (const cat of DIAGNOSTIC_CATEGORIES) {
+    const issue = diagnostics.issues[cat.key];
+    if (!issue || issue.count === 0) continue;
+    const catGroup = new THREE.Group();
+    catGroup.name = `diag-${cat.key}`;
+
+    if (issue.triangles.length > 0) {
+      const tris = [];
+      for (const t of issue.triangles) {
+        const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+        if (inRange(a) && inRange(b) && inRange(c)) tris.push(a, b, c);
+      }
+      if (tris.length > 0) {
+        catGroup.add(
+          new THREE.Mesh(
+            gatherGeometry(positions, tris),
+            new THREE.MeshBasicMaterial({
+              color: cat.color,
+              side: THREE.DoubleSide,
+              transparent: true,
+              opacity: 0.7,
+              polygonOffset: true,
+              polygonOffsetFactor: -1,
+              polygonOffsetUnits: -1,
+            })
+          )
+        );
+      }
+    }
+
+    if (issue.edges.length > 0) {
+      catGroup.add(
+        new THREE.LineSegments(
+          gatherGeometry(positions, issue.edges),
+          new THREE.LineBasicMaterial({ color: cat.color, depthTest: false })
+        )
+      );
+    }
+
+    if (issue.vertices.length > 0) {
+      catGroup.add(
+        new THREE.Points(
+          gatherGeometry(positions, issue.vertices),
+          new THREE.PointsMaterial({
+            color: cat.color,
+            size: pointSize * 2,
+            sizeAttenuation: true,
+            depthTest: false,
+          })
+        )
+      );
+    }
+
+    group.add(catGroup);
+  }
+  return group;
+}
+
+function gatherGeometry(positions, vertexIndices) {
+  const out = new Float32Array(vertexIndices.length * 3);
+  for (let i = 0; i < vertexIndices.length; i++) {
+    const v = vertexIndices[i];
+    out[i * 3] = positions[v * 3];
+    out[i * 3 + 1] = positions[v * 3 + 1];
+    out[i * 3 + 2] = positions[v * 3 + 2];
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(out, 3));
+  return geometry;
+}
@@ -0,0 +1,67 @@
+// --- Embedding protocol ---
+// A page embedding the viewer in an iframe drives its API (see the viewer
+// object in main.js) with window.postMessage:
+//   -> { type: "ivv:call", id, method, args }
+//   <- { type: "ivv:result", id, result } or { type: "ivv:error", id, message }
+//   -> { type: "ivv:subscribe", event }      hover, select, load or remove
+//   <- { type: "ivv:event", event, detail }
+//   <- { type: "ivv:ready" }                 once the startup loads have settled
+//                                            (loaded, failed or cancelled)
+// A load call that fails or is cancelled is answered with ivv:error.
+// Messages are accepted from this origin and from the origins the deployment
+// lists, comma-separated, in the VITE_EMBED_ORIGINS build variable ("*"
+// accepts any). The embedding page controls the iframe's URL, so the list
+// can't come from there.
+
+export const EMBED_METHODS = [
+  "load", "remove", "clear", "files", "setVisible", "fit",
+  "getControls", "setControls", "select", "getSelection", "pick",
+];
+
+export function embedOriginsFromEnv() {
+  const list = import.meta.env.VITE_EMBED_ORIGINS || "";
+  return list.split(",").map((o) => o.trim()).filter(Boolean);
+}
+
+export function connectEmbedding(viewer, allowedOrigins) {
+  const allowed = (origin) =>
+    origin === location.origin || allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+  const subscribed = new Set();
+
+  window.addEventListener("message", (ev) => {
+    const msg = ev.data;
+    if (!msg || typeof msg.type !== "string" || !msg.type.startsWith("ivv:")) return;
+    if (!allowed(ev.origin) || !ev.source) return;
+    const reply = (data) => ev.source.postMessage(data, ev.origin);
+
+    if (msg.type === "ivv:subscribe") {
+      const key = `${msg.event}|${ev.origin}`;
+      if (subscribed.has(key)) return;
+      const target = ev.source;
+      const origin = ev.origin;
+      try {
+        viewer.on(msg.event, (detail) =>
+          target.postMessage({ type: "ivv:event", event: msg.event, detail }, origin)
+        );
+        subscribed.add(key);
+      } catch (err) {
+        reply({ type: "ivv:error", id: msg.id, message: err.message });
+      }
+    } else if (msg.type === "ivv:call") {
+      if (!EMBED_METHODS.includes(msg.method)) {
+        reply({ type: "ivv:error", id: msg.id, message: `Unknown method ${msg.method}` });
+        return;
+      }
+      Promise.resolve()
+        .then(() => viewer[msg.method](...(msg.args || [])))
+        .then(
+          (result) => reply({ type: "ivv:result", id: msg.id, result }),
+          (err) => reply({ type: "ivv:error", id: msg.id, message: err.message || String(err) })
+        );
+    }
+  });
+
+  viewer.ready.then(() => {
+    if (window.parent !== window) window.parent.postMessage({ type: "ivv:ready" }, "*");
+  });
+}
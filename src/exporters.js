@@ -0,0 +1,422 @@
+// --- Mesh exporters ---
+// Each exporter takes { name, indices, vertices, pointIds? } in output
+// coordinates (x = easting, y = northing, z = elevation) and returns a list of
+// { suffix, blob } files. Triangles that reference a missing vertex (-1) are
+// kept as null in JSON and dropped by formats that cannot represent them.
+
+export const EXPORT_FORMATS = {
+  json: "JSON {indices, vertices}",
+  landxml: "LandXML surface",
+  obj: "OBJ",
+  ply: "PLY (binary)",
+  gltf: "glTF (embedded)",
+  glb: "GLB",
+  bin: "Raw .bin pair",
+};
+
+export function exportMesh(format, mesh) {
+  const exporter = {
+    json: exportJSON,
+    landxml: exportLandXML,
+    obj: exportOBJ,
+    ply: exportPLY,
+    gltf: (m) => exportGLTF(m, false),
+    glb: (m) => exportGLTF(m, true),
+    bin: exportBin,
+  }[format];
+  if (!exporter) throw new Error(`Unknown export format "${format}"`);
+  return exporter(mesh);
+}
+
+// Picks triangles (by triangle number) out of a mesh. With compact, unused
+// vertices are dropped and indices renumbered; otherwise the original vertex
+// numbering is kept so exported indices match the source.
+export function subsetMesh(mesh, triangles, compact) {
+  const { indices, vertices, pointIds } = mesh;
+  const out = new Int32Array(triangles.length * 3);
+  triangles.forEach((t, i) => {
+    out[i * 3] = indices[t * 3];
+    out[i * 3 + 1] = indices[t * 3 + 1];
+    out[i * 3 + 2] = indices[t * 3 + 2];
+  });
+  let invisibleFaces = mesh.invisibleFaces;
+  if (invisibleFaces) {
+    const hidden = new Set(invisibleFaces);
+    invisibleFaces = [];
+    triangles.forEach((t, i) => {
+      if (hidden.has(t)) invisibleFaces.push(i);
+    });
+  }
+  if (!compact) return { ...mesh, indices: out, invisibleFaces };
+
+  const vertexCount = vertices.length / 3;
+  const remap = new Int32Array(vertexCount).fill(-1);
+  const keep = [];
+  for (let i = 0; i < out.length; i++) {
+    const v = out[i];
+    if (v < 0 || v >= vertexCount) {
+      out[i] = -1;
+      continue;
+    }
+    if (remap[v] === -1) {
+      remap[v] = keep.length;
+      keep.push(v);
+    }
+    out[i] = remap[v];
+  }
+  const newVertices = new Float64Array(keep.length * 3);
+  keep.forEach((v, i) => {
+    newVertices[i * 3] = vertices[v * 3];
+    newVertices[i * 3 + 1] = vertices[v * 3 + 1];
+    newVertices[i * 3 + 2] = vertices[v * 3 + 2];
+  });
+  return {
+    ...mesh,
+    indices: out,
+    vertices: newVertices,
+    pointIds: pointIds ? keep.map((v) => pointIds[v]) : undefined,
+    invisibleFaces,
+  };
+}
+
+// Flat list of the triangles whose three indices are valid. With
+// triangleNumbers, also returns the original triangle number of each.
+function validTriangles(mesh, triangleNumbers = null) {
+  const { indices, vertices } = mesh;
+  const vertexCount = vertices.length / 3;
+  const valid = (v) => Number.isInteger(v) && v >= 0 && v < vertexCount;
+  const tris = [];
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    if (valid(indices[t]) && valid(indices[t + 1]) && valid(indices[t + 2])) {
+      tris.push(indices[t], indices[t + 1], indices[t + 2]);
+      if (triangleNumbers) triangleNumbers.push(t / 3);
+    }
+  }
+  return tris;
+}
+
+const num = (v) => (Number.isFinite(v) ? String(v) : "null");
+
+// --- JSON ---
+// One triangle / vertex per line instead of one number per line.
+function exportJSON(mesh) {
+  const { indices, vertices } = mesh;
+  const lines = ["{", '  "indices": ['];
+  for (let i = 0; i < indices.length; i += 3) {
+    const tri = [];
+    for (let j = i; j < Math.min(i + 3, indices.length); j++) {
+      tri.push(indices[j] < 0 ? "null" : String(indices[j]));
+    }
+    lines.push(`    ${tri.join(", ")}${i + 3 < indices.length ? "," : ""}`);
+  }
+  lines.push("  ],", '  "vertices": [');
+  for (let i = 0; i < vertices.length; i += 3) {
+    const v = [num(vertices[i]), num(vertices[i + 1]), num(vertices[i + 2])];
+    lines.push(`    ${v.join(", ")}${i + 3 < vertices.length ? "," : ""}`);
+  }
+  lines.push("  ]", "}", "");
+  return [
+    {
+      suffix: ".json",
+      blob: new Blob([lines.join("\n")], { type: "application/json" }),
+    },
+  ];
+}
+
+// --- LandXML ---
+// Reverses parseLandXML: points are written as "northing easting elevation".
+function escapeXML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xmlAttrs(obj, skip = []) {
+  return Object.entries(obj)
+    .filter(([k, v]) => !skip.includes(k) && v != null)
+    .map(([k, v]) => ` ${k}="${escapeXML(v)}"`)
+    .join("");
+}
+
+// Writes a polyline as <PntList3D>, or <PntList2D> when it has no elevations.
+function pntList(points) {
+  let has3D = false;
+  for (let i = 2; i < points.length; i += 3) {
+    if (Number.isFinite(points[i])) has3D = true;
+  }
+  const out = [];
+  for (let i = 0; i < points.length; i += 3) {
+    const z = Number.isFinite(points[i + 2]) ? points[i + 2] : 0;
+    out.push(has3D ? `${points[i + 1]} ${points[i]} ${z}` : `${points[i + 1]} ${points[i]}`);
+  }
+  const tag = has3D ? "PntList3D" : "PntList2D";
+  return `<${tag}>${out.join(" ")}</${tag}>`;
+}
+
+function exportLandXML(mesh) {
+  const { vertices, pointIds, metadata = {} } = mesh;
+  const { boundaries = [], breaklines = [] } = mesh;
+  const id = (v) => (pointIds ? pointIds[v] : v + 1);
+  const now = new Date().toISOString();
+  const parts = [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    `<LandXML xmlns="http://www.landxml.org/schema/LandXML-1.2" version="1.2" date="${now.slice(0, 10)}" time="${now.slice(11, 19)}">\n`,
+  ];
+  if (metadata.units) {
+    const system = metadata.units.system === "Imperial" ? "Imperial" : "Metric";
+    parts.push(`  <Units>\n    <${system}${xmlAttrs(metadata.units, ["system"])}/>\n  </Units>\n`);
+  }
+  if (metadata.coordinateSystem) {
+    parts.push(`  <CoordinateSystem${xmlAttrs(metadata.coordinateSystem)}/>\n`);
+  }
+  parts.push(
+    "  <Surfaces>\n",
+    `    <Surface name="${escapeXML(mesh.name)}"${metadata.description ? ` desc="${escapeXML(metadata.description)}"` : ""}>\n`
+  );
+  if (boundaries.length > 0 || breaklines.length > 0) {
+    parts.push("      <SourceData>\n");
+    if (boundaries.length > 0) {
+      parts.push("        <Boundaries>\n");
+      for (const b of boundaries) {
+        parts.push(
+          `          <Boundary${xmlAttrs({ name: b.name || null, bndType: b.type })}>` +
+            `${pntList(b.points)}</Boundary>\n`
+        );
+      }
+      parts.push("        </Boundaries>\n");
+    }
+    if (breaklines.length > 0) {
+      parts.push("        <Breaklines>\n");
+      for (const b of breaklines) {
+        parts.push(
+          `          <Breakline${xmlAttrs({ name: b.name || null, brkType: b.type })}>` +
+            `${pntList(b.points)}</Breakline>\n`
+        );
+      }
+      parts.push("        </Breaklines>\n");
+    }
+    parts.push("      </SourceData>\n");
+  }
+  parts.push(
+    `      <Definition surfType="${escapeXML(metadata.surfType || "TIN")}">\n`,
+    "        <Pnts>\n"
+  );
+  for (let v = 0; v < vertices.length / 3; v++) {
+    const x = vertices[v * 3], y = vertices[v * 3 + 1], z = vertices[v * 3 + 2];
+    if (!Number.isFinite(x + y + z)) continue;
+    parts.push(`          <P id="${id(v)}">${y} ${x} ${z}</P>\n`);
+  }
+  parts.push("        </Pnts>\n", "        <Faces>\n");
+  const triangleNumbers = [];
+  const tris = validTriangles(mesh, triangleNumbers);
+  const invisible = new Set(mesh.invisibleFaces || []);
+  for (let i = 0; i < tris.length; i += 3) {
+    const flag = invisible.has(triangleNumbers[i / 3]) ? ' i="1"' : "";
+    parts.push(`          <F${flag}>${id(tris[i])} ${id(tris[i + 1])} ${id(tris[i + 2])}</F>\n`);
+  }
+  parts.push(
+    "        </Faces>\n",
+    "      </Definition>\n",
+    "    </Surface>\n",
+    "  </Surfaces>\n",
+    "</LandXML>\n"
+  );
+  return [{ suffix: ".xml", blob: new Blob(parts, { type: "application/xml" }) }];
+}
+
+// --- OBJ ---
+function exportOBJ(mesh) {
+  const { vertices } = mesh;
+  const parts = [`# ${mesh.name}\n`];
+  for (let i = 0; i < vertices.length; i += 3) {
+    parts.push(`v ${num(vertices[i])} ${num(vertices[i + 1])} ${num(vertices[i + 2])}\n`);
+  }
+  const tris = validTriangles(mesh);
+  for (let i = 0; i < tris.length; i += 3) {
+    parts.push(`f ${tris[i] + 1} ${tris[i + 1] + 1} ${tris[i + 2] + 1}\n`);
+  }
+  return [{ suffix: ".obj", blob: new Blob(parts, { type: "text/plain" }) }];
+}
+
+// --- PLY ---
+// Binary little-endian with double-precision coordinates.
+function exportPLY(mesh) {
+  const { vertices } = mesh;
+  const vertexCount = vertices.length / 3;
+  const tris = validTriangles(mesh);
+  const faceCount = tris.length / 3;
+  const header =
+    "ply\nformat binary_little_endian 1.0\n" +
+    `comment ${mesh.name}\n` +
+    `element vertex ${vertexCount}\n` +
+    "property double x\nproperty double y\nproperty double z\n" +
+    `element face ${faceCount}\n` +
+    "property list uchar uint vertex_indices\nend_header\n";
+  const body = new DataView(new ArrayBuffer(vertexCount * 24 + faceCount * 13));
+  let o = 0;
+  for (let i = 0; i < vertices.length; i++, o += 8) body.setFloat64(o, vertices[i], true);
+  for (let i = 0; i < tris.length; i += 3) {
+    body.setUint8(o, 3);
+    body.setUint32(o + 1, tris[i], true);
+    body.setUint32(o + 5, tris[i + 1], true);
+    body.setUint32(o + 9, tris[i + 2], true);
+    o += 13;
+  }
+  return [
+    {
+      suffix: ".ply",
+      blob: new Blob([header, body.buffer], { type: "application/octet-stream" }),
+    },
+  ];
+}
+
+// --- glTF / GLB ---
+// Positions are stored as float32 relative to the mesh's bounding-box center;
+// the center itself goes into the node translation (doubles in JSON) so large
+// coordinates survive. Converted from the viewer's Z-up to glTF's Y-up.
+function exportGLTF(mesh, binary) {
+  const { vertices } = mesh;
+  const vertexCount = vertices.length / 3;
+  const tris = validTriangles(mesh);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertices.length; i += 3) {
+    const p = toYUp(vertices[i], vertices[i + 1], vertices[i + 2]);
+    if (!Number.isFinite(p[0] + p[1] + p[2])) continue;
+    for (let k = 0; k < 3; k++) {
+      if (p[k] < min[k]) min[k] = p[k];
+      if (p[k] > max[k]) max[k] = p[k];
+    }
+  }
+  const center = min.map((m, k) => (Number.isFinite(m) ? (m + max[k]) / 2 : 0));
+
+  const positions = new Float32Array(vertexCount * 3);
+  const localMin = [Infinity, Infinity, Infinity];
+  const localMax = [-Infinity, -Infinity, -Infinity];
+  for (let v = 0; v < vertexCount; v++) {
+    const p = toYUp(vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]);
+    for (let k = 0; k < 3; k++) {
+      const value = Number.isFinite(p[k]) ? p[k] - center[k] : 0;
+      positions[v * 3 + k] = value;
+      const stored = positions[v * 3 + k];
+      if (stored < localMin[k]) localMin[k] = stored;
+      if (stored > localMax[k]) localMax[k] = stored;
+    }
+  }
+  const indexArray = Uint32Array.from(tris);
+  const positionBytes = positions.byteLength;
+  const bin = new Uint8Array(positionBytes + indexArray.byteLength);
+  bin.set(new Uint8Array(positions.buffer), 0);
+  bin.set(new Uint8Array(indexArray.buffer), positionBytes);
+
+  const json = {
+    asset: { version: "2.0", generator: "indices-vertices-visualizer" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: mesh.name, mesh: 0, translation: center }],
+    meshes: [
+      {
+        name: mesh.name,
+        primitives: [{ attributes: { POSITION: 0 }, indices: 1, mode: 4 }],
+      },
+    ],
+    buffers: [{ byteLength: bin.byteLength }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes, target: 34962 },
+      {
+        buffer: 0,
+        byteOffset: positionBytes,
+        byteLength: indexArray.byteLength,
+        target: 34963,
+      },
+    ],
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: 5126,
+        count: vertexCount,
+        type: "VEC3",
+        min: vertexCount > 0 ? localMin : [0, 0, 0],
+        max: vertexCount > 0 ? localMax : [0, 0, 0],
+      },
+      { bufferView: 1, componentType: 5125, count: indexArray.length, type: "SCALAR" },
+    ],
+  };
+
+  if (!binary) {
+    json.buffers[0].uri =
+      "data:application/octet-stream;base64," + bytesToBase64(bin);
+    return [
+      {
+        suffix: ".gltf",
+        blob: new Blob([JSON.stringify(json)], { type: "model/gltf+json" }),
+      },
+    ];
+  }
+
+  const jsonBytes = padTo4(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+  const binBytes = padTo4(bin, 0);
+  const total = 12 + 8 + jsonBytes.byteLength + 8 + binBytes.byteLength;
+  const header = new DataView(new ArrayBuffer(20));
+  header.setUint32(0, 0x46546c67, true); // "glTF"
+  header.setUint32(4, 2, true);
+  header.setUint32(8, total, true);
+  header.setUint32(12, jsonBytes.byteLength, true);
+  header.setUint32(16, 0x4e4f534a, true); // JSON
+  const binHeader = new DataView(new ArrayBuffer(8));
+  binHeader.setUint32(0, binBytes.byteLength, true);
+  binHeader.setUint32(4, 0x004e4942, true); // BIN
+  return [
+    {
+      suffix: ".glb",
+      blob: new Blob([header.buffer, jsonBytes, binHeader.buffer, binBytes], {
+        type: "model/gltf-binary",
+      }),
+    },
+  ];
+}
+
+function toYUp(x, y, z) {
+  return [x, z, 0 - y];
+}
+
+function padTo4(bytes, fill) {
+  const padded = new Uint8Array(Math.ceil(bytes.byteLength / 4) * 4).fill(fill);
+  padded.set(bytes);
+  return padded;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+// --- Raw binary ---
+// Little-endian Float32 xyz triples and Uint32 indices (missing indices are
+// written as 0xFFFFFFFF).
+function exportBin(mesh) {
+  const { indices, vertices } = mesh;
+  const vertexView = new DataView(new ArrayBuffer(vertices.length * 4));
+  for (let i = 0; i < vertices.length; i++) vertexView.setFloat32(i * 4, vertices[i], true);
+  const indexView = new DataView(new ArrayBuffer(indices.length * 4));
+  for (let i = 0; i < indices.length; i++) {
+    indexView.setUint32(i * 4, indices[i] < 0 ? 0xffffffff : indices[i], true);
+  }
+  return [
+    {
+      suffix: ".vertices.bin",
+      blob: new Blob([vertexView.buffer], { type: "application/octet-stream" }),
+    },
+    {
+      suffix: ".indices.bin",
+      blob: new Blob([indexView.buffer], { type: "application/octet-stream" }),
+    },
+  ];
+}
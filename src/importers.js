@@ -0,0 +1,387 @@
+import { normalizePrimitiveMode } from "./topology.js";
+
+// --- Mesh format importers ---
+// Worker-safe parsers for glTF/GLB, OBJ, PLY and STL. Each returns a list of
+// surfaces { name, indices: Int32Array, vertices: Float64Array }. Index
+// buffers are kept in file order: polygons are fan-triangulated in place and
+// nothing is welded or re-indexed. glTF primitives that are not triangle
+// lists keep their index buffer and name its mode (see topology.js); ones
+// that can't be read are listed in the first surface's skippedPrimitives.
+
+// --- glTF / GLB ---
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const MODE_TRIANGLES = 4;
+
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+export function parseGLB(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error("Not a GLB file");
+  let offset = 12;
+  let json = null;
+  let bin = null;
+  while (offset < arrayBuffer.byteLength) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (type === CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, length)));
+    } else if (type === CHUNK_BIN) {
+      bin = arrayBuffer.slice(start, start + length);
+    }
+    offset = start + length;
+  }
+  if (!json) throw new Error("GLB has no JSON chunk");
+  return parseGLTF(json, bin);
+}
+
+// binChunk is the GLB binary chunk; other buffers must be data URIs.
+export function parseGLTF(json, binChunk = null) {
+  const buffers = (json.buffers || []).map((b, i) => {
+    if (b.uri === undefined) {
+      if (i === 0 && binChunk) return binChunk;
+      throw new Error(`Buffer ${i} has no data`);
+    }
+    if (b.uri.startsWith("data:")) return decodeDataURI(b.uri);
+    throw new Error(`External buffer "${b.uri}" is not supported; use .glb or embedded buffers`);
+  });
+
+  const readAccessor = (index) => {
+    const acc = json.accessors[index];
+    if (acc.sparse) throw new Error("Sparse accessors are not supported");
+    const ArrayType = COMPONENT_ARRAYS[acc.componentType];
+    const size = TYPE_SIZES[acc.type];
+    const out = new Float64Array(acc.count * size);
+    if (acc.bufferView === undefined) return out;
+    const bv = json.bufferViews[acc.bufferView];
+    const buffer = buffers[bv.buffer];
+    const base = (bv.byteOffset || 0) + (acc.byteOffset || 0);
+    const elementBytes = ArrayType.BYTES_PER_ELEMENT * size;
+    const stride = bv.byteStride || elementBytes;
+    const view = new DataView(buffer);
+    const read = {
+      5120: (o) => view.getInt8(o),
+      5121: (o) => view.getUint8(o),
+      5122: (o) => view.getInt16(o, true),
+      5123: (o) => view.getUint16(o, true),
+      5125: (o) => view.getUint32(o, true),
+      5126: (o) => view.getFloat32(o, true),
+    }[acc.componentType];
+    const norm = acc.normalized
+      ? { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 }[acc.componentType]
+      : 0;
+    for (let i = 0; i < acc.count; i++) {
+      for (let k = 0; k < size; k++) {
+        const v = read(base + i * stride + k * ArrayType.BYTES_PER_ELEMENT);
+        out[i * size + k] = norm ? Math.max(v / norm, -1) : v;
+      }
+    }
+    return out;
+  };
+
+  const surfaces = [];
+  const skipped = [];
+  const visitNode = (nodeIndex, parentMatrix) => {
+    const node = json.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, nodeMatrix(node));
+    if (node.mesh !== undefined) {
+      const mesh = json.meshes[node.mesh];
+      mesh.primitives.forEach((prim, p) => {
+        const name = `${mesh.name || `mesh ${node.mesh}`} #${p}`;
+        const skip = (reason) => skipped.push(`${name}: ${reason}`);
+        let mode;
+        try {
+          mode = normalizePrimitiveMode(prim.mode ?? MODE_TRIANGLES);
+        } catch (err) {
+          skip(err.message);
+          return;
+        }
+        if (prim.extensions && prim.extensions.KHR_draco_mesh_compression) {
+          skip("Draco compression is not supported");
+          return;
+        }
+        if (prim.attributes.POSITION === undefined) {
+          skip("no POSITION attribute");
+          return;
+        }
+        const local = readAccessor(prim.attributes.POSITION);
+        const vertices = new Float64Array(local.length);
+        for (let i = 0; i < local.length; i += 3) {
+          const [x, y, z] = transformPoint(matrix, local[i], local[i + 1], local[i + 2]);
+          // glTF is Y-up; the viewer is Z-up.
+          vertices[i] = x;
+          vertices[i + 1] = 0 - z;
+          vertices[i + 2] = y;
+        }
+        let indices;
+        if (prim.indices !== undefined) {
+          indices = Int32Array.from(readAccessor(prim.indices));
+        } else {
+          indices = new Int32Array(local.length / 3);
+          for (let i = 0; i < indices.length; i++) indices[i] = i;
+        }
+        const surface = { name, indices, vertices };
+        if (mode !== "triangles") surface.mode = mode;
+        surfaces.push(surface);
+      });
+    }
+    for (const child of node.children || []) visitNode(child, matrix);
+  };
+
+  const sceneIndex = json.scene ?? 0;
+  const roots =
+    json.scenes && json.scenes[sceneIndex]
+      ? json.scenes[sceneIndex].nodes || []
+      : (json.nodes || []).map((_, i) => i);
+  for (const root of roots) visitNode(root, IDENTITY);
+
+  if (surfaces.length === 0) {
+    const reasons = skipped.length > 0 ? ` (skipped ${skipped.join("; ")})` : "";
+    throw new Error(`No readable primitives found in glTF${reasons}`);
+  }
+  if (skipped.length > 0) surfaces[0].skippedPrimitives = skipped;
+  return surfaces;
+}
+
+function decodeDataURI(uri) {
+  const comma = uri.indexOf(",");
+  const binary = atob(uri.slice(comma + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+// Column-major 4×4 matrices, as in glTF.
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+function nodeMatrix(node) {
+  if (node.matrix) return node.matrix;
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  const x2 = qx + qx, y2 = qy + qy, z2 = qz + qz;
+  const xx = qx * x2, xy = qx * y2, xz = qx * z2;
+  const yy = qy * y2, yz = qy * z2, zz = qz * z2;
+  const wx = qw * x2, wy = qw * y2, wz = qw * z2;
+  return [
+    (1 - (yy + zz)) * sx, (xy + wz) * sx, (xz - wy) * sx, 0,
+    (xy - wz) * sy, (1 - (xx + zz)) * sy, (yz + wx) * sy, 0,
+    (xz + wy) * sz, (yz - wx) * sz, (1 - (xx + yy)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+}
+
+function multiplyMatrices(a, b) {
+  const out = new Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + r] * b[c * 4 + k];
+      out[c * 4 + r] = sum;
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, x, y, z) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+// --- OBJ ---
+// Face corners index the position list directly (texture and normal
+// references are ignored), so the OBJ's own vertex numbering is kept.
+export function parseOBJ(text) {
+  const vertices = [];
+  const indices = [];
+  const lines = text.split(/\r?\n/);
+  for (let l = 0; l < lines.length; l++) {
+    let line = lines[l];
+    while (line.endsWith("\\") && l + 1 < lines.length) {
+      line = line.slice(0, -1) + " " + lines[++l];
+    }
+    line = line.trim();
+    if (/^v\s/.test(line)) {
+      const parts = line.split(/\s+/);
+      vertices.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+    } else if (/^f\s/.test(line)) {
+      const corners = line
+        .split(/\s+/)
+        .slice(1)
+        .map((c) => {
+          const v = parseInt(c.split("/")[0], 10);
+          if (Number.isNaN(v)) return -1;
+          return v < 0 ? vertices.length / 3 + v : v - 1;
+        });
+      for (let k = 1; k + 1 < corners.length; k++) {
+        indices.push(corners[0], corners[k], corners[k + 1]);
+      }
+    }
+  }
+  if (vertices.length === 0) throw new Error("No vertices found in OBJ");
+  return [
+    {
+      name: null,
+      indices: Int32Array.from(indices),
+      vertices: Float64Array.from(vertices),
+    },
+  ];
+}
+
+// --- PLY ---
+const PLY_TYPES = {
+  char: ["getInt8", 1], int8: ["getInt8", 1],
+  uchar: ["getUint8", 1], uint8: ["getUint8", 1],
+  short: ["getInt16", 2], int16: ["getInt16", 2],
+  ushort: ["getUint16", 2], uint16: ["getUint16", 2],
+  int: ["getInt32", 4], int32: ["getInt32", 4],
+  uint: ["getUint32", 4], uint32: ["getUint32", 4],
+  float: ["getFloat32", 4], float32: ["getFloat32", 4],
+  double: ["getFloat64", 8], float64: ["getFloat64", 8],
+};
+
+export function parsePLY(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const headerText = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const endMatch = /end_header\r?\n/.exec(headerText);
+  if (!headerText.startsWith("ply") || !endMatch) throw new Error("Not a PLY file");
+  const headerLength = new TextEncoder().encode(headerText.slice(0, endMatch.index + endMatch[0].length)).length;
+
+  let format = null;
+  const elements = [];
+  for (const line of headerText.slice(0, endMatch.index).split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === "format") format = parts[1];
+    else if (parts[0] === "element") {
+      elements.push({ name: parts[1], count: parseInt(parts[2], 10), properties: [] });
+    } else if (parts[0] === "property") {
+      const el = elements[elements.length - 1];
+      if (parts[1] === "list") {
+        el.properties.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+      } else {
+        el.properties.push({ name: parts[2], list: false, type: parts[1] });
+      }
+    }
+  }
+
+  const vertices = [];
+  const indices = [];
+  // Scalar vertex properties other than x/y/z become named attributes.
+  const vertexElement = elements.find((el) => el.name === "vertex");
+  const attributes = {};
+  for (const prop of vertexElement ? vertexElement.properties : []) {
+    if (!prop.list && !["x", "y", "z"].includes(prop.name)) attributes[prop.name] = [];
+  }
+  const handleElement = (el, values) => {
+    if (el.name === "vertex") {
+      vertices.push(values.x, values.y, values.z);
+      for (const name in attributes) attributes[name].push(values[name]);
+    } else if (el.name === "face") {
+      const list = values.vertex_indices || values.vertex_index || [];
+      for (let k = 1; k + 1 < list.length; k++) {
+        indices.push(list[0], list[k], list[k + 1]);
+      }
+    }
+  };
+
+  if (format === "ascii") {
+    const body = new TextDecoder().decode(bytes.subarray(headerLength));
+    const tokens = body.split(/\s+/).filter((t) => t.length > 0);
+    let t = 0;
+    for (const el of elements) {
+      for (let i = 0; i < el.count; i++) {
+        const values = {};
+        for (const prop of el.properties) {
+          if (prop.list) {
+            const n = Number(tokens[t++]);
+            const list = [];
+            for (let k = 0; k < n; k++) list.push(Number(tokens[t++]));
+            values[prop.name] = list;
+          } else {
+            values[prop.name] = Number(tokens[t++]);
+          }
+        }
+        handleElement(el, values);
+      }
+    }
+  } else if (format === "binary_little_endian" || format === "binary_big_endian") {
+    const little = format === "binary_little_endian";
+    const view = new DataView(arrayBuffer);
+    let offset = headerLength;
+    const read = (type) => {
+      const [getter, size] = PLY_TYPES[type];
+      const v = view[getter](offset, little);
+      offset += size;
+      return v;
+    };
+    for (const el of elements) {
+      for (let i = 0; i < el.count; i++) {
+        const values = {};
+        for (const prop of el.properties) {
+          if (prop.list) {
+            const n = read(prop.countType);
+            const list = new Array(n);
+            for (let k = 0; k < n; k++) list[k] = read(prop.type);
+            values[prop.name] = list;
+          } else {
+            values[prop.name] = read(prop.type);
+          }
+        }
+        handleElement(el, values);
+      }
+    }
+  } else {
+    throw new Error(`Unsupported PLY format "${format}"`);
+  }
+
+  return [
+    {
+      name: null,
+      indices: Int32Array.from(indices),
+      vertices: Float64Array.from(vertices),
+      attributes: Object.fromEntries(
+        Object.entries(attributes).map(([name, values]) => [name, Float64Array.from(values)])
+      ),
+    },
+  ];
+}
+
+// --- STL ---
+// STL has no index buffer: every facet gets three fresh vertices.
+export function parseSTL(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const isBinary =
+    arrayBuffer.byteLength >= 84 &&
+    84 + view.getUint32(80, true) * 50 === arrayBuffer.byteLength;
+
+  const vertices = [];
+  if (isBinary) {
+    const count = view.getUint32(80, true);
+    for (let f = 0; f < count; f++) {
+      const base = 84 + f * 50 + 12; // skip the facet normal
+      for (let k = 0; k < 9; k++) vertices.push(view.getFloat32(base + k * 4, true));
+    }
+  } else {
+    const text = new TextDecoder().decode(new Uint8Array(arrayBuffer));
+    const re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let m;
+    while ((m = re.exec(text))) vertices.push(Number(m[1]), Number(m[2]), Number(m[3]));
+  }
+  if (vertices.length === 0) throw new Error("No facets found in STL");
+  const indices = new Int32Array(vertices.length / 3);
+  for (let i = 0; i < indices.length; i++) indices[i] = i;
+  return [{ name: null, indices, vertices: Float64Array.from(vertices) }];
+}
@@ -0,0 +1,83 @@
+// --- Geometry queries on original (un-centered) file data ---
+
+export function getVertex(data, v) {
+  const { vertices } = data;
+  return [vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]];
+}
+
+export function faceNormal(a, b, c) {
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  return {
+    normal: len > 0 ? [nx / len, ny / len, nz / len] : [0, 0, 0],
+    area: len / 2,
+  };
+}
+
+// Slope in degrees from horizontal, independent of winding.
+export function slopeDegrees(normal) {
+  const horizontal = Math.hypot(normal[0], normal[1]);
+  return (Math.atan2(horizontal, Math.abs(normal[2])) * 180) / Math.PI;
+}
+
+export function triangleInfo(data, t) {
+  const { indices } = data;
+  const slots = [t * 3, t * 3 + 1, t * 3 + 2];
+  const verts = slots.map((s) => indices[s]);
+  const coords = verts.map((v) => getVertex(data, v));
+  const { normal, area } = faceNormal(coords[0], coords[1], coords[2]);
+
+  const neighbors = [];
+  const triCount = Math.floor(indices.length / 3);
+  for (let u = 0; u < triCount; u++) {
+    if (u === t) continue;
+    let shared = 0;
+    for (let j = 0; j < 3; j++) {
+      if (verts.includes(indices[u * 3 + j])) shared++;
+    }
+    if (shared >= 2) neighbors.push(u);
+  }
+
+  return {
+    triangle: t,
+    slots,
+    vertices: verts,
+    coords,
+    normal,
+    area,
+    slope: slopeDegrees(normal),
+    neighbors,
+  };
+}
+
+export function vertexInfo(data, v) {
+  const { indices } = data;
+  const slots = [];
+  const triangles = [];
+  const normal = [0, 0, 0];
+  for (let s = 0; s < indices.length; s++) {
+    if (indices[s] !== v) continue;
+    slots.push(s);
+    const t = Math.floor(s / 3);
+    if (triangles[triangles.length - 1] === t) continue;
+    triangles.push(t);
+    const a = getVertex(data, indices[t * 3]);
+    const b = getVertex(data, indices[t * 3 + 1]);
+    const c = getVertex(data, indices[t * 3 + 2]);
+    const f = faceNormal(a, b, c);
+    // Area-weighted average of the incident face normals
+    for (let k = 0; k < 3; k++) normal[k] += f.normal[k] * f.area;
+  }
+  const len = Math.hypot(normal[0], normal[1], normal[2]);
+  return {
+    vertex: v,
+    coords: getVertex(data, v),
+    slots,
+    triangles,
+    normal: len > 0 ? normal.map((n) => n / len) : normal,
+  };
+}
@@ -0,0 +1,313 @@
+import * as THREE from "three";
+
+// --- GPU index labels ---
+// Labels are drawn as instanced glyph quads sampling a bitmap text atlas.
+// Each instance is one character; its anchor is projected in the vertex
+// shader and offset in screen pixels, so labels keep a constant size.
+// Which labels are drawn is decided on the CPU by updateLabelLayers, which
+// declutters them on a screen-space grid and caps them to a budget.
+
+export const LABEL_MODES = {
+  slot: "Index slot",
+  vertex: "Vertex index",
+  triangle: "Triangle index",
+  pointId: "LandXML point id",
+};
+
+const FIRST_CHAR = 32;
+const LAST_CHAR = 126;
+const ATLAS_COLS = 16;
+const CELL_W = 24;
+const CELL_H = 40;
+const GLYPH_W = 7;
+const GLYPH_H = 12;
+const MAX_CHARS = 16;
+
+let atlasTexture = null;
+
+function getAtlasTexture() {
+  if (atlasTexture) return atlasTexture;
+  const count = LAST_CHAR - FIRST_CHAR + 1;
+  const rows = Math.ceil(count / ATLAS_COLS);
+  const canvas = document.createElement("canvas");
+  canvas.width = ATLAS_COLS * CELL_W;
+  canvas.height = rows * CELL_H;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.font = `bold ${CELL_H * 0.8}px monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i < count; i++) {
+    const col = i % ATLAS_COLS;
+    const row = Math.floor(i / ATLAS_COLS);
+    ctx.fillText(
+      String.fromCharCode(FIRST_CHAR + i),
+      col * CELL_W + CELL_W / 2,
+      row * CELL_H + CELL_H / 2 + 1
+    );
+  }
+  atlasTexture = new THREE.CanvasTexture(canvas);
+  atlasTexture.minFilter = THREE.LinearFilter;
+  atlasTexture.generateMipmaps = false;
+  atlasTexture.userData.grid = [ATLAS_COLS, rows];
+  return atlasTexture;
+}
+
+const vertexShader = /* glsl */ `
+  attribute vec2 corner;
+  attribute vec3 anchor;
+  attribute vec3 glyph; // atlas cell, char position, string length
+  uniform vec2 viewport;
+  uniform vec2 glyphSize;
+  uniform vec2 atlasGrid;
+  varying vec2 vUv;
+  void main() {
+    vec4 clip = projectionMatrix * modelViewMatrix * vec4(anchor, 1.0);
+    vec2 offset = vec2(
+      (glyph.y - glyph.z * 0.5 + corner.x) * glyphSize.x,
+      (corner.y - 0.5) * glyphSize.y
+    );
+    clip.xy += offset * 2.0 / viewport * clip.w;
+    gl_Position = clip;
+    float col = mod(glyph.x, atlasGrid.x);
+    float row = floor(glyph.x / atlasGrid.x);
+    vUv = vec2(
+      (col + corner.x) / atlasGrid.x,
+      1.0 - (row + 1.0 - corner.y) / atlasGrid.y
+    );
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D atlas;
+  uniform vec3 color;
+  uniform vec4 background;
+  varying vec2 vUv;
+  void main() {
+    float a = texture2D(atlas, vUv).a;
+    gl_FragColor = vec4(mix(background.rgb, color, a), max(background.a, a));
+  }
+`;
+
+// Creates the label object for one file entry. positions are the centered
+// positions used by the file's mesh; pointIds is optional (LandXML).
+// slots optionally gives the file's own index buffer when indices is a
+// triangle list decoded from it: { indices, restarts } (see topology.js).
+export function createLabelLayer(positions, indices, pointIds, capacity, slots = null) {
+  const texture = getAtlasTexture();
+  const maxInstances = capacity * MAX_CHARS;
+
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.setAttribute(
+    "corner",
+    new THREE.BufferAttribute(new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+  );
+  geometry.setIndex([0, 1, 2, 0, 2, 3]);
+  const anchorAttr = new THREE.InstancedBufferAttribute(
+    new Float32Array(maxInstances * 3),
+    3
+  );
+  anchorAttr.setUsage(THREE.DynamicDrawUsage);
+  const glyphAttr = new THREE.InstancedBufferAttribute(
+    new Float32Array(maxInstances * 3),
+    3
+  );
+  glyphAttr.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute("anchor", anchorAttr);
+  geometry.setAttribute("glyph", glyphAttr);
+  geometry.instanceCount = 0;
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+      atlas: { value: texture },
+      atlasGrid: { value: new THREE.Vector2(...texture.userData.grid) },
+      glyphSize: { value: new THREE.Vector2(GLYPH_W, GLYPH_H) },
+      viewport: { value: new THREE.Vector2(1, 1) },
+      color: { value: new THREE.Color(0xffffff) },
+      background: { value: new THREE.Vector4(0, 0, 0, 0.6) },
+    },
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.frustumCulled = false;
+  mesh.renderOrder = 20;
+  mesh.userData.labels = {
+    positions,
+    indices,
+    pointIds,
+    slots,
+    capacity,
+    anchors: null,
+    mode: null,
+  };
+  return mesh;
+}
+
+// Label anchors (in local coordinates) and text for a mode.
+function getSource(state, mode) {
+  if (state.mode === mode && state.anchors) return state;
+  const { positions, indices, pointIds, slots } = state;
+  let anchors;
+  let text;
+  if (mode === "vertex" || mode === "pointId") {
+    anchors = positions;
+    text =
+      mode === "pointId" && pointIds
+        ? (i) => String(pointIds[i])
+        : (i) => String(i);
+  } else if (mode === "triangle") {
+    const triCount = Math.floor(indices.length / 3);
+    anchors = new Float32Array(triCount * 3);
+    for (let t = 0; t < triCount; t++) {
+      for (let j = 0; j < 3; j++) {
+        const vi = indices[t * 3 + j];
+        for (let k = 0; k < 3; k++) anchors[t * 3 + k] += positions[vi * 3 + k] / 3;
+      }
+    }
+    text = (i) => String(i);
+  } else if (slots) {
+    // Slots of the file's buffer sit on their vertex; restart markers sit
+    // halfway between the vertices before and after them. Slots that refer
+    // to no vertex get NaN anchors and are never drawn.
+    const vertexCount = positions.length / 3;
+    const restarts = new Set(slots.restarts);
+    const valid = (s) => !restarts.has(s) && slots.indices[s] >= 0 && slots.indices[s] < vertexCount;
+    anchors = new Float32Array(slots.indices.length * 3).fill(NaN);
+    for (let s = 0; s < slots.indices.length; s++) {
+      const ends = restarts.has(s) ? [s - 1, s + 1].filter(valid) : valid(s) ? [s] : [];
+      if (ends.length === 0) continue;
+      for (let k = 0; k < 3; k++) {
+        let sum = 0;
+        for (const n of ends) sum += positions[slots.indices[n] * 3 + k];
+        anchors[s * 3 + k] = sum / ends.length;
+      }
+    }
+    text = (i) => (restarts.has(i) ? `${i}:restart` : String(i));
+  } else {
+    // Index slots: pulled slightly towards their triangle's centroid so the
+    // slots of a shared vertex do not stack on top of each other.
+    anchors = new Float32Array(indices.length * 3);
+    for (let t = 0; t < indices.length / 3; t++) {
+      const c = [0, 0, 0];
+      for (let j = 0; j < 3; j++) {
+        const vi = indices[t * 3 + j];
+        for (let k = 0; k < 3; k++) c[k] += positions[vi * 3 + k] / 3;
+      }
+      for (let j = 0; j < 3; j++) {
+        const s = t * 3 + j;
+        const vi = indices[s];
+        for (let k = 0; k < 3; k++) {
+          anchors[s * 3 + k] = positions[vi * 3 + k] * 0.8 + c[k] * 0.2;
+        }
+      }
+    }
+    text = (i) => String(i);
+  }
+  state.mode = mode;
+  state.anchors = anchors;
+  state.text = text;
+  return state;
+}
+
+// Chooses which labels to draw for every visible layer.
+//   filter: "cursor" keeps labels within cursorRadius px of the cursor,
+//           "budget" spreads labels over the whole screen.
+//   clip:   optional (x, y, z) => boolean in world space; labels for which
+//           it returns false are skipped (clipping planes, section box).
+export function updateLabelLayers(layers, camera, viewport, options) {
+  const { mode, filter, cursor, cursorRadius = 120, budget = 1500, clip = null } = options;
+  const cellW = GLYPH_W * 5;
+  const cellH = GLYPH_H + 4;
+  const gridCols = Math.ceil(viewport.x / cellW);
+  const occupied = new Set();
+  const viewProj = new THREE.Matrix4().multiplyMatrices(
+    camera.projectionMatrix,
+    camera.matrixWorldInverse
+  );
+  const m = new THREE.Matrix4();
+  let remaining = budget;
+
+  for (const layer of layers) {
+    const state = getSource(layer.userData.labels, mode);
+    const { anchors, text } = state;
+    const count = anchors.length / 3;
+    m.multiplyMatrices(viewProj, layer.matrixWorld);
+    const e = m.elements;
+    const world = layer.matrixWorld.elements;
+
+    const anchorArr = layer.geometry.attributes.anchor.array;
+    const glyphArr = layer.geometry.attributes.glyph.array;
+    const maxInstances = anchorArr.length / 3;
+    let n = 0;
+    let accepted = 0;
+
+    // Returns false once this layer cannot take more labels.
+    const accept = (i, px, py) => {
+      if (remaining <= 0 || accepted >= state.capacity) return false;
+      const cell = Math.floor(py / cellH) * gridCols + Math.floor(px / cellW);
+      if (occupied.has(cell)) return true;
+      const str = text(i).slice(0, MAX_CHARS);
+      if (n + str.length > maxInstances) return false;
+      occupied.add(cell);
+      for (let k = 0; k < str.length; k++) {
+        const code = str.charCodeAt(k);
+        const cellIndex =
+          code >= FIRST_CHAR && code <= LAST_CHAR ? code - FIRST_CHAR : 31; // "?"
+        anchorArr[n * 3] = anchors[i * 3];
+        anchorArr[n * 3 + 1] = anchors[i * 3 + 1];
+        anchorArr[n * 3 + 2] = anchors[i * 3 + 2];
+        glyphArr[n * 3] = cellIndex;
+        glyphArr[n * 3 + 1] = k;
+        glyphArr[n * 3 + 2] = str.length;
+        n++;
+      }
+      accepted++;
+      remaining--;
+      return true;
+    };
+
+    // Near-cursor labels are prioritised by distance to the cursor.
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      const x = anchors[i * 3], y = anchors[i * 3 + 1], z = anchors[i * 3 + 2];
+      if (
+        clip &&
+        !clip(
+          world[0] * x + world[4] * y + world[8] * z + world[12],
+          world[1] * x + world[5] * y + world[9] * z + world[13],
+          world[2] * x + world[6] * y + world[10] * z + world[14]
+        )
+      ) {
+        continue;
+      }
+      const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+      if (!(w > 0)) continue;
+      const nx = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+      const ny = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+      if (!(nx >= -1 && nx <= 1 && ny >= -1 && ny <= 1)) continue;
+      const px = ((nx + 1) / 2) * viewport.x;
+      const py = ((1 - ny) / 2) * viewport.y;
+      if (filter === "cursor") {
+        if (!cursor) break;
+        const d = Math.hypot(px - cursor.x, py - cursor.y);
+        if (d <= cursorRadius) candidates.push({ i, px, py, d });
+      } else if (!accept(i, px, py)) {
+        break;
+      }
+    }
+    candidates.sort((a, b) => a.d - b.d);
+    for (const c of candidates) {
+      if (!accept(c.i, c.px, c.py)) break;
+    }
+
+    layer.geometry.instanceCount = n;
+    layer.geometry.attributes.anchor.needsUpdate = true;
+    layer.geometry.attributes.glyph.needsUpdate = true;
+    layer.material.uniforms.viewport.value.copy(viewport);
+  }
+}
@@ -1,16 +1,87 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
 import {
   CSS2DRenderer,
   CSS2DObject,
 } from "three/addons/renderers/CSS2DRenderer.js";
+import {
+  DIAGNOSTIC_CATEGORIES,
+  analyzeMesh,
+  buildDiagnosticsOverlay,
+} from "./diagnostics.js";
+import { getVertex, triangleInfo, vertexInfo } from "./inspect.js";
+import { parseIndexQuery } from "./search.js";
+import { LABEL_MODES, createLabelLayer, updateLabelLayers } from "./labels.js";
+import { HEIGHTMAP_SPLITS, parseHeightmapJSON } from "./parsers.js";
+import { runLoadBenchmark } from "./bench.js";
+import { connectEmbedding, embedOriginsFromEnv } from "./embed.js";
+import { EXPORT_FORMATS, exportMesh, subsetMesh } from "./exporters.js";
+import {
+  CACHE_OPTIMIZERS,
+  CACHE_POLICIES,
+  buildVertexCacheOverlay,
+  optimizeVertexCache,
+  reorderTriangles,
+  simulateVertexCache,
+} from "./vertexcache.js";
+import {
+  MEASURE_QUANTITIES,
+  MEASURE_TOOLS,
+  MEASURE_TYPES,
+  measureDistance,
+  measureFaceAngle,
+  measurePolygon,
+  measureTriangles,
+  measurementsToCSV,
+} from "./measure.js";
+import { compareSurfaces, createSurfaceSampler } from "./surfacediff.js";
+import { PRIMITIVE_MODES, decodePrimitives } from "./topology.js";
+import { drawProfileChart, profileToCSV, sampleProfile } from "./profile.js";
+import { drawUVLayout } from "./uvlayout.js";
+import { DIFF_KINDS, diffMeshes } from "./meshdiff.js";
+import {
+  CONTOUR_FORMATS,
+  exportContours,
+  generateContours,
+  suggestContourInterval,
+} from "./contours.js";
+import {
+  LINEAR_UNITS,
+  bundledCrsList,
+  createCoordinateTransform,
+  crsLabel,
+  isBundledCrs,
+  isGeographicCrs,
+  transformCoordinates,
+} from "./crs.js";
+import {
+  MANIFEST_VERSION,
+  clearSession,
+  createProject,
+  decodeViewHash,
+  encodeViewHash,
+  loadSession,
+  readProject,
+  saveSession,
+} from "./session.js";
+import { COLORMAPS, colormapGradient, sampleColormap } from "./colormaps.js";
+import {
+  ATTRIBUTE_PREFIX,
+  SCALAR_MODES,
+  attributeNames,
+  computeScalars,
+  scalarModeInfo,
+  scalarRange,
+} from "./scalars.js";
 
 // --- Scene setup ---
 const canvas = document.getElementById("canvas");
-const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, stencil: true });
 renderer.setPixelRatio(window.devicePixelRatio);
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.setClearColor(0x1a1a2e);
+renderer.localClippingEnabled = true;
 
 const labelRenderer = new CSS2DRenderer();
 labelRenderer.setSize(window.innerWidth, window.innerHeight);
@@ -20,6 +91,18 @@ labelRenderer.domElement.style.left = "0";
 labelRenderer.domElement.style.pointerEvents = "none";
 document.getElementById("app").appendChild(labelRenderer.domElement);
 
+// In split view labelRenderer covers the left half and this one the right,
+// drawing copies of the label elements since an element can only be shown
+// once (see renderSplit).
+const splitLabelRenderer = new CSS2DRenderer();
+splitLabelRenderer.setSize(window.innerWidth / 2, window.innerHeight);
+splitLabelRenderer.domElement.style.position = "absolute";
+splitLabelRenderer.domElement.style.top = "0";
+splitLabelRenderer.domElement.style.left = "50%";
+splitLabelRenderer.domElement.style.pointerEvents = "none";
+splitLabelRenderer.domElement.hidden = true;
+document.getElementById("app").appendChild(splitLabelRenderer.domElement);
+
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(
   60,
@@ -71,9 +154,15 @@ scene.add(gridHelper);
 
 // --- State ---
 let currentSide = THREE.DoubleSide;
-const fileEntries = []; // { id, name, group, data }
+const fileEntries = []; // { id, name, group, data, bounds, origin, diagnostics, diagnosticsShown }
 let fileIdCounter = 0;
+const loadJobs = []; // { id, name, phase, loaded, total, error, worker }
+let loadJobIdCounter = 0;
 let globalCenter = new THREE.Vector3();
+let selection = []; // { entryId, type: "triangle" | "vertex", index }
+let meshDiff = null; // { baseId, otherId, result } from diffMeshes
+let labelsDirty = true;
+const LABEL_BUDGET = 1500;
 
 // --- UI elements ---
 const wireframeCheck = document.getElementById("wireframe");
@@ -82,7 +171,17 @@ const normalsCheck = document.getElementById("showNormals");
 const axesCheck = document.getElementById("showAxes");
 const gridCheck = document.getElementById("showGrid");
 const indicesCheck = document.getElementById("showIndices");
+const invisibleFacesCheck = document.getElementById("showInvisibleFaces");
+const boundariesCheck = document.getElementById("showBoundaries");
+const breaklinesCheck = document.getElementById("showBreaklines");
+const labelModeSelect = document.getElementById("labelMode");
+const labelFilterSelect = document.getElementById("labelFilter");
 const colorModeSelect = document.getElementById("colorMode");
+const colormapSelect = document.getElementById("colormap");
+const colorMinInput = document.getElementById("colorMin");
+const colorMaxInput = document.getElementById("colorMax");
+const legendEl = document.getElementById("legend");
+const legendNoteEl = document.getElementById("legendNote");
 const opacitySlider = document.getElementById("opacity");
 const pointSizeSlider = document.getElementById("pointSize");
 const resetCameraBtn = document.getElementById("resetCamera");
@@ -90,118 +189,249 @@ const fitToViewBtn = document.getElementById("fitToView");
 const toggleSideBtn = document.getElementById("toggleSide");
 const triCountEl = document.getElementById("triCount");
 const vertCountEl = document.getElementById("vertCount");
+const primitiveCountEl = document.getElementById("primitiveCount");
 const hoverInfoEl = document.getElementById("hoverInfo");
 const dropzone = document.getElementById("dropzone");
 const fileInput = document.getElementById("fileInput");
 const fileListEl = document.getElementById("fileList");
+const diagnosticsListEl = document.getElementById("diagnosticsList");
+const searchQueryInput = document.getElementById("searchQuery");
+const searchFileSelect = document.getElementById("searchFile");
+const searchStatusEl = document.getElementById("searchStatus");
+const exportPanelEl = document.getElementById("exportPanel");
+const exportTitleEl = document.getElementById("exportTitle");
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportScopeSelect = document.getElementById("exportScope");
+const exportCoordsSelect = document.getElementById("exportCoords");
+const exportCompactCheck = document.getElementById("exportCompact");
+const playbackFileSelect = document.getElementById("playbackFile");
+const playbackPlayBtn = document.getElementById("playbackPlay");
+const playbackSlider = document.getElementById("playbackSlider");
+const playbackSpeedInput = document.getElementById("playbackSpeed");
+const playbackInfoEl = document.getElementById("playbackInfo");
+const exportIndexOrderRow = document.getElementById("exportIndexOrderRow");
+const exportIndexOrderSelect = document.getElementById("exportIndexOrder");
+const cacheFileSelect = document.getElementById("cacheFile");
+const cacheSizeInput = document.getElementById("cacheSize");
+const cachePolicySelect = document.getElementById("cachePolicy");
+const cacheOptimizerSelect = document.getElementById("cacheOptimizer");
+const cacheShowMissesCheck = document.getElementById("cacheShowMisses");
+const cacheViewSelect = document.getElementById("cacheView");
+const cacheResultsEl = document.getElementById("cacheResults");
+const compareBaseSelect = document.getElementById("compareBase");
+const compareOtherSelect = document.getElementById("compareOther");
+const compareSpacingInput = document.getElementById("compareSpacing");
+const compareResultsEl = document.getElementById("compareResults");
+const diffBaseSelect = document.getElementById("diffBase");
+const diffOtherSelect = document.getElementById("diffOther");
+const diffToleranceInput = document.getElementById("diffTolerance");
+const diffWindingSelect = document.getElementById("diffWinding");
+const diffSplitCheck = document.getElementById("diffSplit");
+const diffResultsEl = document.getElementById("diffResults");
+const splitViewEl = document.getElementById("splitView");
+const splitBaseNameEl = document.getElementById("splitBaseName");
+const splitOtherNameEl = document.getElementById("splitOtherName");
+const contourFileSelect = document.getElementById("contourFile");
+const contourIntervalInput = document.getElementById("contourInterval");
+const contourBaseInput = document.getElementById("contourBase");
+const contourMajorInput = document.getElementById("contourMajor");
+const contourLabelsCheck = document.getElementById("contourLabels");
+const contourFormatSelect = document.getElementById("contourFormat");
+const contourStatusEl = document.getElementById("contourStatus");
+const profileDrawBtn = document.getElementById("profileDraw");
+const profileStatusEl = document.getElementById("profileStatus");
+const profilePanelEl = document.getElementById("profilePanel");
+const profileChartCanvas = document.getElementById("profileChart");
+const profileLegendEl = document.getElementById("profileLegend");
+const profileReadoutEl = document.getElementById("profileReadout");
+const uvFileSelect = document.getElementById("uvFile");
+const uvLabelsCheck = document.getElementById("uvLabels");
+const uvShowBtn = document.getElementById("uvShow");
+const uvPanelEl = document.getElementById("uvPanel");
+const uvCanvas = document.getElementById("uvCanvas");
+const uvReadoutEl = document.getElementById("uvReadout");
+const heightmapPanelEl = document.getElementById("heightmapPanel");
+const heightmapTitleEl = document.getElementById("heightmapTitle");
+const heightmapSplitSelect = document.getElementById("heightmapSplit");
+const heightmapOrderSelect = document.getElementById("heightmapOrder");
+const heightmapRowAxisSelect = document.getElementById("heightmapRowAxis");
+const heightmapNodataInput = document.getElementById("heightmapNodata");
+const heightmapFlipYCheck = document.getElementById("heightmapFlipY");
+const clipModeSelect = document.getElementById("clipMode");
+const clipPlanesEl = document.getElementById("clipPlanes");
+const clipBoxEl = document.getElementById("clipBox");
+const clipCapCheck = document.getElementById("clipCap");
+const measureToolSelect = document.getElementById("measureTool");
+const measureSnapCheck = document.getElementById("measureSnap");
+const measureStartBtn = document.getElementById("measureStart");
+const measureStatusEl = document.getElementById("measureStatus");
+const measureListEl = document.getElementById("measureList");
+const sceneCrsSelect = document.getElementById("sceneCrs");
+const sceneUnitSelect = document.getElementById("sceneUnit");
+const readoutCrsSelect = document.getElementById("readoutCrs");
+const crsPanelEl = document.getElementById("crsPanel");
+const crsTitleEl = document.getElementById("crsTitle");
+const crsEpsgInput = document.getElementById("crsEpsg");
+const crsUnitSelect = document.getElementById("crsUnit");
+const crsCodesList = document.getElementById("crsCodes");
+const stylePanelEl = document.getElementById("stylePanel");
+const styleTitleEl = document.getElementById("styleTitle");
+const styleColorModeSelect = document.getElementById("styleColorMode");
+const styleColorInput = document.getElementById("styleColor");
+const styleOpacityOwnCheck = document.getElementById("styleOpacityOwn");
+const styleOpacitySlider = document.getElementById("styleOpacity");
+const styleRenderSelect = document.getElementById("styleRender");
+const stylePrimitiveSelect = document.getElementById("stylePrimitive");
+const styleGizmoSelect = document.getElementById("styleGizmo");
+const inspectorEl = document.getElementById("inspector");
+const inspectorBodyEl = document.getElementById("inspectorBody");
 
 // --- Raycaster ---
 const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
-raycaster.params.Points.threshold = 0.3;
-
-// --- LandXML parser ---
-function parseLandXML(xmlString) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlString, "text/xml");
-  const surfaces = doc.getElementsByTagName("Surface");
-  const results = [];
 
-  for (const surface of surfaces) {
-    const name = surface.getAttribute("name") || "Untitled";
-    const pnts = surface.getElementsByTagName("P");
-    const faces = surface.getElementsByTagName("F");
+// The canvas is one viewport, or two halves in the mesh diff's split view
+// (see splitPair) where each half leaves out the other file. Picking goes
+// from client coordinates through the viewport under the pointer.
+function viewportAt(clientX) {
+  const pair = splitPair();
+  const width = pair ? window.innerWidth / 2 : window.innerWidth;
+  const right = pair !== null && clientX >= width;
+  return { left: right ? width : 0, width, hiddenId: pair ? pair[right ? 0 : 1].id : null };
+}
 
-    // Build vertex map (1-based id → {index, x, y, z})
-    const vertexMap = new Map();
-    const vertices = [];
-    let idx = 0;
-    for (const p of pnts) {
-      const id = parseInt(p.getAttribute("id"));
-      const coords = p.textContent.trim().split(/\s+/).map(Number);
-      // LandXML: northing, easting, elevation → we store as x=easting, y=northing, z=elevation
-      vertexMap.set(id, idx);
-      vertices.push(coords[1], coords[0], coords[2]);
-      idx++;
-    }
+function clientToNDC(clientX, clientY, viewport = viewportAt(clientX)) {
+  return new THREE.Vector2(
+    ((clientX - viewport.left) / viewport.width) * 2 - 1,
+    -(clientY / window.innerHeight) * 2 + 1
+  );
+}
 
-    const indices = [];
-    for (const f of faces) {
-      const ids = f.textContent.trim().split(/\s+/).map(Number);
-      indices.push(vertexMap.get(ids[0]), vertexMap.get(ids[1]), vertexMap.get(ids[2]));
-    }
+// Client position of a point projected by the camera.
+function ndcToClient(p, viewport) {
+  return [viewport.left + ((p.x + 1) / 2) * viewport.width, ((1 - p.y) / 2) * window.innerHeight];
+}
+raycaster.params.Points.threshold = 0.3;
+const VERTEX_PICK_PIXELS = 10;
 
-    results.push({ name, indices, vertices });
+// --- Bounds and origins ---
+// Each entry's positions are stored relative to its own bounding-box center
+// (entry.origin). The group is then placed at origin - globalCenter, so a
+// change of globalCenter only moves groups instead of rebuilding them.
+function computeEntryBounds(vertices) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < vertices.length; i += 3) {
+    const x = vertices[i], y = vertices[i + 1], z = vertices[i + 2];
+    if (!Number.isFinite(x + y + z)) continue;
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (z < minZ) minZ = z;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+    if (z > maxZ) maxZ = z;
   }
+  return new THREE.Box3(
+    new THREE.Vector3(minX, minY, minZ),
+    new THREE.Vector3(maxX, maxY, maxZ)
+  );
+}
 
-  return results;
+// Bounds of all files in original coordinates, with their transforms.
+function sceneBounds() {
+  const box = new THREE.Box3();
+  for (const entry of fileEntries) {
+    if (!entry.bounds.isEmpty()) box.union(placedBounds(entry));
+  }
+  return box;
 }
 
-// --- Heightmap grid JSON parser ---
-function parseHeightmapJSON(data) {
-  const cellLength = data.cellLength;
-  const min = data.min;
-  const max = data.max;
+// The entry's bounds in scene coordinates, through its group's placement.
+function placedBounds(entry) {
+  if (!entry.group || !isPlaced(entry)) return entry.bounds;
+  return entry.bounds
+    .clone()
+    .translate(entry.origin.clone().negate())
+    .applyMatrix4(entry.group.matrixWorld)
+    .translate(globalCenter);
+}
 
-  const cols = Math.round((max[1] - min[1]) / cellLength);
-  const rows = Math.round((max[0] - min[0]) / cellLength);
+// --- Compute global center from all files ---
+function computeGlobalCenter() {
+  const box = sceneBounds();
+  if (box.isEmpty()) {
+    globalCenter.set(0, 0, 0);
+  } else {
+    box.getCenter(globalCenter);
+  }
+}
 
-  const vertices = [];
-  const validIndex = new Map();
-  let vertIdx = 0;
+// The entry's transform offsets the group, rotating and scaling it about the
+// entry's own origin.
+function placeGroup(entry) {
+  if (!entry.group) return;
+  const { offset, rotation, scale } = entry.transform;
+  entry.group.position.subVectors(entry.origin, globalCenter).add(offset);
+  entry.group.rotation.copy(rotation);
+  entry.group.scale.copy(scale);
+  entry.group.updateMatrixWorld(true);
+}
 
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      const i = r * cols + c;
-      const h = data.heights[i];
-      const z = typeof h === "string" ? parseFloat(h) : h;
-      if (z == null || isNaN(z)) continue;
+// Points picked on a file (profiles, measurements, the hover readout) are in
+// scene coordinates: the file's coordinates with its transform applied, as
+// placeGroup does, but not centered. Files without a transform pass through
+// unchanged, keeping full precision.
+// Scales are kept away from zero so the transform can be inverted.
+const MIN_SCALE = 1e-6;
 
-      validIndex.set(i, vertIdx);
-      vertices.push(min[0] + r * cellLength, min[1] + c * cellLength, z);
-      vertIdx++;
-    }
+function clampScale(scale) {
+  for (let k = 0; k < 3; k++) {
+    const s = scale.getComponent(k);
+    if (!(Math.abs(s) >= MIN_SCALE)) scale.setComponent(k, s < 0 ? -MIN_SCALE : MIN_SCALE);
   }
+  return scale;
+}
 
-  const indices = [];
-  for (let r = 0; r < rows - 1; r++) {
-    for (let c = 0; c < cols - 1; c++) {
-      const tl = r * cols + c;
-      const tr = tl + 1;
-      const bl = tl + cols;
-      const br = bl + 1;
-
-      const iTL = validIndex.get(tl);
-      const iTR = validIndex.get(tr);
-      const iBL = validIndex.get(bl);
-      const iBR = validIndex.get(br);
+function isPlaced(entry) {
+  const { offset, rotation, scale } = entry.transform;
+  return (
+    offset.lengthSq() > 0 ||
+    rotation.x !== 0 || rotation.y !== 0 || rotation.z !== 0 ||
+    scale.x !== 1 || scale.y !== 1 || scale.z !== 1
+  );
+}
 
-      if (iTL != null && iTR != null && iBL != null) {
-        indices.push(iTL, iBL, iTR);
-      }
-      if (iTR != null && iBL != null && iBR != null) {
-        indices.push(iTR, iBL, iBR);
-      }
-    }
-  }
+function entryToScene(entry, p) {
+  if (!isPlaced(entry)) return p;
+  const { offset, rotation, scale } = entry.transform;
+  const v = new THREE.Vector3(p[0], p[1], p[2])
+    .sub(entry.origin)
+    .multiply(scale)
+    .applyEuler(rotation)
+    .add(entry.origin)
+    .add(offset);
+  return [v.x, v.y, v.z];
+}
 
-  return { indices, vertices };
+function sceneToEntry(entry, p) {
+  if (!isPlaced(entry)) return p;
+  const { offset, rotation, scale } = entry.transform;
+  const v = new THREE.Vector3(p[0], p[1], p[2])
+    .sub(offset)
+    .sub(entry.origin)
+    .applyQuaternion(new THREE.Quaternion().setFromEuler(rotation).invert())
+    .divide(scale)
+    .add(entry.origin);
+  return [v.x, v.y, v.z];
 }
 
-// --- Compute global center from all files ---
-function computeGlobalCenter() {
-  const box = new THREE.Box3();
-  for (const entry of fileEntries) {
-    const verts = entry.data.vertices;
-    for (let i = 0; i < verts.length; i += 3) {
-      box.expandByPoint(new THREE.Vector3(verts[i], verts[i + 1], verts[i + 2]));
-    }
-  }
-  if (box.isEmpty()) {
-    globalCenter.set(0, 0, 0);
-  } else {
-    box.getCenter(globalCenter);
+// The entry's data with its vertices in scene coordinates.
+function placedData(entry) {
+  if (!isPlaced(entry)) return entry.data;
+  const vertices = new Float64Array(entry.data.vertices.length);
+  for (let i = 0; i < vertices.length; i += 3) {
+    vertices.set(entryToScene(entry, entry.data.vertices.subarray(i, i + 3)), i);
   }
+  return { ...entry.data, vertices };
 }
 
 // --- Build mesh group for a file entry ---
@@ -212,16 +442,20 @@ function buildMeshGroup(entry) {
   const geometry = new THREE.BufferGeometry();
   const positions = new Float32Array(vertices.length);
   for (let i = 0; i < vertices.length; i += 3) {
-    positions[i] = vertices[i] - globalCenter.x;
-    positions[i + 1] = vertices[i + 1] - globalCenter.y;
-    positions[i + 2] = vertices[i + 2] - globalCenter.z;
+    positions[i] = vertices[i] - entry.origin.x;
+    positions[i + 1] = vertices[i + 1] - entry.origin.y;
+    positions[i + 2] = vertices[i + 2] - entry.origin.z;
   }
   geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-  geometry.setIndex(indices);
+  const invisibleFaces = entry.data.invisibleFaces || [];
+  geometry.setIndex(
+    toIndexAttribute(indices, vertices.length / 3, new Set(invisibleFaces))
+  );
   geometry.computeVertexNormals();
   geometry.computeBoundingSphere();
-
-  applyColors(geometry, colorModeSelect.value);
+  if (entry.data.uvs) {
+    geometry.setAttribute("uv", new THREE.BufferAttribute(Float32Array.from(entry.data.uvs), 2));
+  }
 
   // Mesh
   const material = new THREE.MeshPhongMaterial({
@@ -233,7 +467,9 @@ function buildMeshGroup(entry) {
   });
   const mesh = new THREE.Mesh(geometry, material);
   mesh.name = "mesh";
+  mesh.userData.entryId = entry.id;
   group.add(mesh);
+  applyEntryColors(entry, group);
 
   // Wireframe overlay
   const wireMat = new THREE.LineBasicMaterial({
@@ -241,8 +477,12 @@ function buildMeshGroup(entry) {
     opacity: 0.15,
     transparent: true,
   });
+  // Quads and polygons show their outlines rather than their triangulation.
+  const { topology } = entry.data;
   const wireOverlay = new THREE.LineSegments(
-    new THREE.WireframeGeometry(geometry),
+    topology && topology.edges.length > 0
+      ? pairsGeometry(positions, topology.edges)
+      : new THREE.WireframeGeometry(geometry),
     wireMat
   );
   wireOverlay.name = "wireOverlay";
@@ -265,51 +505,246 @@ function buildMeshGroup(entry) {
   points.visible = verticesCheck.checked;
   group.add(points);
 
-  // Normal helpers
+  // Normal helpers: computed (green), the file's own (magenta) and tangents
   const radius = geometry.boundingSphere.radius;
-  const normalHelper = createNormalHelper(geometry, radius * 0.05);
+  const normalHelper = new THREE.Group();
+  normalHelper.add(createNormalHelper(geometry, radius * 0.05));
+  const unitVectors = (values) => {
+    const out = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i += 3) {
+      const len = Math.hypot(values[i], values[i + 1], values[i + 2]);
+      if (!(len > 0)) continue;
+      for (let k = 0; k < 3; k++) out[i + k] = values[i + k] / len;
+    }
+    return new THREE.BufferAttribute(out, 3);
+  };
+  if (entry.data.normals) {
+    normalHelper.add(createNormalHelper(geometry, radius * 0.05, unitVectors(entry.data.normals), 0xff4fd8));
+  }
+  if (entry.data.tangents) {
+    normalHelper.add(createNormalHelper(geometry, radius * 0.03, unitVectors(entry.data.tangents), 0xef476f));
+  }
   normalHelper.name = "normalHelper";
   normalHelper.visible = normalsCheck.checked;
   group.add(normalHelper);
 
+  // Line and point primitives
+  if (topology) group.add(buildPrimitiveOverlay(positions, topology));
+
+  // LandXML invisible faces (<F i="1">), drawn separately so they can be
+  // toggled; userData.triangles maps overlay faces back to triangle numbers.
+  if (invisibleFaces.length > 0) {
+    const hidden = buildInvisibleFacesMesh(geometry, indices, invisibleFaces);
+    hidden.userData.entryId = entry.id;
+    hidden.visible = invisibleFacesCheck.checked;
+    group.add(hidden);
+  }
+
+  // LandXML boundaries and breaklines
+  group.add(buildFeatureLines(entry));
+
+  // Contours
+  if (entry.contours) group.add(buildContourLines(entry));
+
   // Index labels
-  const indexLabelsGroup = new THREE.Group();
-  indexLabelsGroup.name = "indexLabels";
-  indexLabelsGroup.visible = indicesCheck.checked;
-  const pos = geometry.attributes.position;
-  for (let i = 0; i < indices.length; i++) {
-    const vi = indices[i];
-    const div = document.createElement("div");
-    div.textContent = String(i);
-    div.style.cssText =
-      "font-size:10px;color:#fff;background:rgba(0,0,0,0.6);padding:0 2px;border-radius:2px;line-height:1.2;white-space:nowrap;";
-    const label = new CSS2DObject(div);
-    label.position.set(pos.getX(vi), pos.getY(vi), pos.getZ(vi));
-    indexLabelsGroup.add(label);
+  const indexLabels = createLabelLayer(
+    positions,
+    indices,
+    entry.data.pointIds,
+    LABEL_BUDGET,
+    topology && { indices: topology.indices, restarts: topology.restarts }
+  );
+  indexLabels.name = "indexLabels";
+  indexLabels.visible = indicesCheck.checked;
+  group.add(indexLabels);
+
+  // Diagnostics overlay
+  const diagnosticsOverlay = buildDiagnosticsOverlay(
+    entry.diagnostics,
+    positions,
+    indices,
+    parseFloat(pointSizeSlider.value)
+  );
+  for (const child of diagnosticsOverlay.children) {
+    child.visible = entry.diagnosticsShown.has(child.name.replace("diag-", ""));
   }
-  group.add(indexLabelsGroup);
+  group.add(diagnosticsOverlay);
 
   return group;
 }
 
-// --- Rebuild all meshes (after center changes) ---
-function rebuildAll() {
-  computeGlobalCenter();
-  for (const entry of fileEntries) {
-    if (entry.group) {
-      scene.remove(entry.group);
-      disposeGroup(entry.group);
+// Triangles referencing a missing vertex, or listed in skip, are collapsed to
+// (0, 0, 0) so they are not drawn but keep their triangle number for picking.
+function toIndexAttribute(indices, vertexCount, skip = null) {
+  const triCount = Math.floor(indices.length / 3);
+  const array = new Uint32Array(triCount * 3);
+  const valid = (v) => Number.isInteger(v) && v >= 0 && v < vertexCount;
+  for (let t = 0; t < triCount; t++) {
+    const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+    if (valid(a) && valid(b) && valid(c) && !(skip && skip.has(t))) {
+      array[t * 3] = a;
+      array[t * 3 + 1] = b;
+      array[t * 3 + 2] = c;
     }
-    entry.group = buildMeshGroup(entry);
-    entry.group.visible = entry.visible;
-    scene.add(entry.group);
   }
+  return new THREE.BufferAttribute(array, 1);
+}
+
+// Line segments between vertex pairs; pairs with a missing vertex are left out.
+function pairsGeometry(positions, pairs) {
+  const vertexCount = positions.length / 3;
+  const valid = (v) => v >= 0 && v < vertexCount;
+  const index = [];
+  for (let i = 0; i + 1 < pairs.length; i += 2) {
+    if (valid(pairs[i]) && valid(pairs[i + 1])) index.push(pairs[i], pairs[i + 1]);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(new THREE.BufferAttribute(Uint32Array.from(index), 1));
+  return geometry;
+}
+
+function buildPrimitiveOverlay(positions, topology) {
+  const group = new THREE.Group();
+  group.name = "primitives";
+  if (topology.lines.length > 0) {
+    const lines = new THREE.LineSegments(
+      pairsGeometry(positions, topology.lines),
+      new THREE.LineBasicMaterial({ color: 0xf1faee })
+    );
+    lines.name = "primitiveLines";
+    group.add(lines);
+  }
+  if (topology.points.length > 0) {
+    const vertexCount = positions.length / 3;
+    const index = Array.from(topology.points).filter((v) => v >= 0 && v < vertexCount);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(Uint32Array.from(index), 1));
+    const points = new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({
+        color: 0xf1faee,
+        size: parseFloat(pointSizeSlider.value) * 1.5,
+        sizeAttenuation: true,
+      })
+    );
+    points.name = "primitivePoints";
+    group.add(points);
+  }
+  return group;
+}
+
+function buildInvisibleFacesMesh(geometry, indices, invisibleFaces) {
+  const vertexCount = geometry.attributes.position.count;
+  const valid = (v) => Number.isInteger(v) && v >= 0 && v < vertexCount;
+  const tris = [];
+  const triangles = [];
+  for (const t of invisibleFaces) {
+    const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+    if (!valid(a) || !valid(b) || !valid(c)) continue;
+    tris.push(a, b, c);
+    triangles.push(t);
+  }
+  const hiddenGeometry = new THREE.BufferGeometry();
+  hiddenGeometry.setAttribute("position", geometry.attributes.position);
+  hiddenGeometry.setIndex(new THREE.BufferAttribute(Uint32Array.from(tris), 1));
+  const mesh = new THREE.Mesh(
+    hiddenGeometry,
+    new THREE.MeshBasicMaterial({
+      color: 0x9e9e9e,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.3,
+      depthWrite: false,
+    })
+  );
+  mesh.name = "invisibleFaces";
+  mesh.userData.triangles = triangles;
+  return mesh;
+}
+
+const BOUNDARY_COLORS = { outer: 0x06d6a0, void: 0xef476f, island: 0x118ab2 };
+
+function buildFeatureLines(entry) {
+  const group = new THREE.Group();
+  group.name = "landxmlFeatures";
+  const { boundaries = [], breaklines = [] } = entry.data;
+  // 2D point lists have no elevation; draw them at the surface's lowest point.
+  const fallbackZ = entry.bounds.isEmpty() ? 0 : entry.bounds.min.z;
+  const makeLines = (name, features, colorOf) => {
+    const sub = new THREE.Group();
+    sub.name = name;
+    for (const f of features) {
+      const pts = f.points;
+      const arr = new Float32Array(pts.length);
+      for (let i = 0; i < pts.length; i += 3) {
+        arr[i] = pts[i] - entry.origin.x;
+        arr[i + 1] = pts[i + 1] - entry.origin.y;
+        arr[i + 2] = (Number.isFinite(pts[i + 2]) ? pts[i + 2] : fallbackZ) - entry.origin.z;
+      }
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", new THREE.BufferAttribute(arr, 3));
+      const line = new THREE.Line(
+        geometry,
+        new THREE.LineBasicMaterial({ color: colorOf(f), depthTest: false })
+      );
+      line.renderOrder = 5;
+      line.userData.feature = f;
+      sub.add(line);
+    }
+    return sub;
+  };
+  const boundaryLines = makeLines(
+    "boundaries",
+    boundaries,
+    (f) => BOUNDARY_COLORS[f.type] ?? BOUNDARY_COLORS.outer
+  );
+  boundaryLines.visible = boundariesCheck.checked;
+  const breaklineLines = makeLines("breaklines", breaklines, () => 0xffb703);
+  breaklineLines.visible = breaklinesCheck.checked;
+  group.add(boundaryLines);
+  group.add(breaklineLines);
+  return group;
+}
+
+// --- Scene updates ---
+// Re-centers the scene on all files; existing groups are only moved.
+function updateSceneOrigin() {
+  computeGlobalCenter();
+  for (const entry of fileEntries) placeGroup(entry);
+  updateProfileLine();
+  updateMeasureOverlay();
+  updateClipping();
   updateStats();
+  labelsDirty = true;
   fitToAll();
 }
 
+// Rebuilds one entry's group, e.g. after its data changed.
+function rebuildEntry(entry) {
+  if (entry.group) {
+    scene.remove(entry.group);
+    disposeGroup(entry.group);
+  }
+  entry.group = buildMeshGroup(entry);
+  entry.group.visible = entry.visible;
+  scene.add(entry.group);
+  clipObject(entry.group);
+  placeGroup(entry);
+  applyEntryStyle(entry);
+  if (styleTarget === entry) updateGizmo();
+  applyPlayback(entry);
+  updateVertexCacheOverlay(entry);
+  updateClipCaps();
+  updateSelectionHighlight();
+  labelsDirty = true;
+}
+
 function disposeGroup(group) {
   group.traverse((obj) => {
+    // CSS2D elements are only removed for the object itself being removed.
+    if (obj.isCSS2DObject) obj.element.remove();
     if (obj.geometry) obj.geometry.dispose();
     if (obj.material) {
       if (Array.isArray(obj.material)) obj.material.forEach((m) => m.dispose());
@@ -321,9 +756,102 @@ function disposeGroup(group) {
 // --- Add geometry data ---
 function addGeometry(name, data) {
   const id = fileIdCounter++;
-  const entry = { id, name, data, group: null, visible: true };
+  const entry = {
+    id,
+    name,
+    data: null,
+    group: null,
+    visible: true,
+    primitiveMode: null,
+    crs: defaultEntryCrs(data),
+    style: {
+      colorMode: null,
+      color: FILE_COLORS[id % FILE_COLORS.length],
+      opacity: null,
+      renderStyle: null,
+    },
+    transform: {
+      offset: new THREE.Vector3(),
+      rotation: new THREE.Euler(),
+      scale: new THREE.Vector3(1, 1, 1),
+    },
+  };
+  setEntryData(entry, data);
   fileEntries.push(entry);
-  rebuildAll();
+  const rangeChanged = updateColorRange();
+  rebuildEntry(entry);
+  if (rangeChanged) updateColors();
+  updateSceneOrigin();
+  updateFileListUI();
+  return entry;
+}
+
+// Recomputes everything derived from an entry's data.
+function setEntryData(entry, data) {
+  entry.sourceData = data;
+  entry.data = projectEntryData(entry, decodeEntryPrimitives(entry, data));
+  data = entry.data;
+  entry.diagnostics = analyzeMesh(data);
+  entry.diagnosticsShown = new Set(
+    DIAGNOSTIC_CATEGORIES.filter(
+      (c) => c.severity !== "info" && entry.diagnostics.issues[c.key].count > 0
+    ).map((c) => c.key)
+  );
+  const triCount = Math.floor(data.indices.length / 3);
+  entry.playback = {
+    count: triCount,
+    speed: entry.playback ? entry.playback.speed : 50,
+    playing: false,
+    acc: 0,
+    wireEdges: null,
+  };
+  entry.vertexCache = null;
+  entry.scalars = null;
+  entry.difference = null;
+  entry.contours = null;
+  entry.sampler = null;
+  entry.bounds = computeEntryBounds(data.vertices);
+  entry.origin = entry.bounds.isEmpty()
+    ? new THREE.Vector3()
+    : entry.bounds.getCenter(new THREE.Vector3());
+}
+
+// The entry's primitive mode: its override, else the file's.
+function entryPrimitiveMode(entry, data = entry.sourceData) {
+  return entry.primitiveMode || data.mode || "triangles";
+}
+
+// Other modes are decoded into data.indices as a triangle list; data.topology
+// keeps the file's index buffer and the line and point primitives.
+function decodeEntryPrimitives(entry, data) {
+  const mode = entryPrimitiveMode(entry, data);
+  if (mode === "triangles") return data;
+  const topology = decodePrimitives(data.indices, mode, data.vertices.length / 3, {
+    faceSizes: data.faceSizes,
+    restarts: data.restarts,
+  });
+  return { ...data, indices: topology.triangles, topology: { ...topology, indices: data.indices } };
+}
+
+// Replaces an entry's geometry; selections on it no longer apply.
+function replaceEntryData(entry, data) {
+  replaceEntriesData([entry], () => data);
+}
+
+// The same for several entries, with dataOf(entry) the new data and the
+// scene-wide updates run once.
+function replaceEntriesData(entries, dataOf) {
+  for (const entry of entries) {
+    setEntryData(entry, dataOf(entry));
+    clearDifferencesAgainst(entry);
+    clearMeshDiff(entry);
+  }
+  selection = selection.filter((s) => !entries.some((e) => e.id === s.entryId));
+  updateColorRange();
+  for (const entry of entries) rebuildEntry(entry);
+  updateColors();
+  updateSceneOrigin();
+  updateInspector();
   updateFileListUI();
 }
 
@@ -337,7 +865,19 @@ function removeGeometry(id) {
     disposeGroup(entry.group);
   }
   fileEntries.splice(idx, 1);
-  rebuildAll();
+  emitViewerEvent("remove", { id });
+  clearDifferencesAgainst(entry);
+  clearMeshDiff(entry);
+  selection = selection.filter((s) => s.entryId !== id);
+  if (exportTarget === entry) closeExportPanel();
+  if (heightmapTarget === entry) closeHeightmapPanel();
+  if (crsTarget === entry) closeCrsPanel();
+  if (styleTarget === entry) closeStylePanel();
+  if (soloState && soloState.id === entry.id) toggleSolo(entry);
+  if (isolatedId === entry.id) toggleIsolate(entry);
+  if (updateColorRange()) updateColors();
+  updateSceneOrigin();
+  updateInspector();
   updateFileListUI();
 }
 
@@ -345,13 +885,21 @@ function removeGeometry(id) {
 function updateStats() {
   let totalTri = 0,
     totalVert = 0;
+  const primitives = new Map(); // noun -> count, for non-triangle-list files
   for (const entry of fileEntries) {
     if (!entry.visible) continue;
-    totalTri += entry.data.indices.length / 3;
+    totalTri += getVisibleTriangles(entry).length;
     totalVert += entry.data.vertices.length / 3;
+    const { topology } = entry.data;
+    if (topology) {
+      const { noun } = PRIMITIVE_MODES[topology.mode];
+      primitives.set(noun, (primitives.get(noun) || 0) + topology.primitiveCount);
+    }
   }
   triCountEl.textContent = totalTri;
   vertCountEl.textContent = totalVert;
+  primitiveCountEl.parentElement.hidden = primitives.size === 0;
+  primitiveCountEl.textContent = [...primitives].map(([noun, n]) => `${n} ${noun}`).join(", ");
 }
 
 // --- File list UI ---
@@ -360,14 +908,15 @@ function updateFileListUI() {
   for (const entry of fileEntries) {
     const row = document.createElement("div");
     row.className = "file-row";
+    addRowDragHandlers(row, entry);
 
     const cb = document.createElement("input");
     cb.type = "checkbox";
     cb.checked = entry.visible;
     cb.addEventListener("change", () => {
-      entry.visible = cb.checked;
-      if (entry.group) entry.group.visible = cb.checked;
+      setEntryVisible(entry, cb.checked);
       updateStats();
+      updateProfile();
     });
 
     const label = document.createElement("span");
@@ -378,8 +927,8 @@ function updateFileListUI() {
     const exportBtn = document.createElement("button");
     exportBtn.textContent = "\u21e9";
     exportBtn.className = "file-export";
-    exportBtn.title = "Export JSON";
-    exportBtn.addEventListener("click", () => exportGeometry(entry));
+    exportBtn.title = "Export";
+    exportBtn.addEventListener("click", () => openExportPanel(entry));
 
     const removeBtn = document.createElement("button");
     removeBtn.textContent = "\u00d7";
@@ -388,344 +937,4091 @@ function updateFileListUI() {
 
     row.appendChild(cb);
     row.appendChild(label);
+    if (entry.data.heightmap) {
+      const gridBtn = document.createElement("button");
+      gridBtn.textContent = "\u25a6";
+      gridBtn.className = "file-export";
+      gridBtn.title = "Heightmap triangulation";
+      gridBtn.addEventListener("click", () => openHeightmapPanel(entry));
+      row.appendChild(gridBtn);
+    }
+    const crsBtn = document.createElement("button");
+    crsBtn.textContent = "\u2316";
+    crsBtn.className = "file-export";
+    crsBtn.title = "CRS and unit";
+    crsBtn.addEventListener("click", () => openCrsPanel(entry));
+    row.appendChild(crsBtn);
+    const styleBtn = document.createElement("button");
+    styleBtn.textContent = "\u2699";
+    styleBtn.className = "file-export";
+    styleBtn.title = "Style and transform";
+    styleBtn.addEventListener("click", () => openStylePanel(entry));
+    row.appendChild(styleBtn);
+    const soloBtn = document.createElement("button");
+    soloBtn.textContent = "S";
+    soloBtn.className = soloState && soloState.id === entry.id ? "file-toggle active" : "file-toggle";
+    soloBtn.title = "Solo: show only this file";
+    soloBtn.addEventListener("click", () => toggleSolo(entry));
+    row.appendChild(soloBtn);
+    const isolateBtn = document.createElement("button");
+    isolateBtn.textContent = "I";
+    isolateBtn.className = isolatedId === entry.id ? "file-toggle active" : "file-toggle";
+    isolateBtn.title = "Isolate: ghost the other files";
+    isolateBtn.addEventListener("click", () => toggleIsolate(entry));
+    row.appendChild(isolateBtn);
     row.appendChild(exportBtn);
     row.appendChild(removeBtn);
     fileListEl.appendChild(row);
+
+    const meta = describeMetadata(entry);
+    if (meta) {
+      const metaEl = document.createElement("div");
+      metaEl.className = "file-meta";
+      metaEl.textContent = meta.short;
+      metaEl.title = meta.full;
+      fileListEl.appendChild(metaEl);
+    }
+  }
+  for (const job of loadJobs) {
+    fileListEl.appendChild(createLoadJobRow(job));
   }
+  updateColorModeOptions();
+  updateLegend();
+  fillFileSelect(searchFileSelect);
+  updateProfile();
+  fillFileSelect(contourFileSelect);
+  updateContourStatus();
+  fillFileSelect(compareBaseSelect);
+  fillFileSelect(compareOtherSelect);
+  updateCompareUI();
+  fillFileSelect(diffBaseSelect);
+  fillFileSelect(diffOtherSelect);
+  updateMeshDiffUI();
+  fillFileSelect(playbackFileSelect);
+  updatePlaybackUI();
+  fillFileSelect(cacheFileSelect);
+  updateCacheUI();
+  fillFileSelect(uvFileSelect, (e) => e.data.uvs);
+  updateUVLayout();
+  updateDiagnosticsUI();
+  scheduleStateSave();
 }
 
-// --- Export ---
-function exportGeometry(entry) {
-  const json = JSON.stringify(
-    { indices: entry.data.indices, vertices: entry.data.vertices },
-    null,
-    2
-  );
-  const blob = new Blob([json], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = entry.name.replace(/\.[^.]+$/, "") + ".json";
-  a.click();
-  URL.revokeObjectURL(url);
+// Short and full descriptions of the entry's CRS and unit tags, LandXML
+// units and CRS, and surface info.
+function describeMetadata(entry) {
+  const data = entry.sourceData;
+  const meta = data.metadata || {};
+  const short = [];
+  const full = [];
+  if (entry.crs.unit) short.push(LINEAR_UNITS[entry.crs.unit].abbr);
+  else if (meta.units) short.push(meta.units.linearUnit || meta.units.system);
+  if (meta.units) {
+    full.push(
+      `Units: ${meta.units.system}` +
+        Object.entries(meta.units)
+          .filter(([k]) => k !== "system")
+          .map(([k, v]) => `, ${k}=${v}`)
+          .join("")
+    );
+  }
+  const crs = meta.coordinateSystem;
+  if (entry.crs.epsg) short.push(`EPSG:${entry.crs.epsg}`);
+  else if (crs) short.push(crs.name || "CRS");
+  if (crs) {
+    full.push(
+      "CRS: " +
+        Object.entries(crs)
+          .map(([k, v]) => `${k}=${v}`)
+          .join(", ")
+    );
+  }
+  const frame = entryFrame(entry);
+  if (frame.epsg !== entry.crs.epsg || frame.unit !== entry.crs.unit) {
+    short.push(`\u2192 ${frame.epsg ? `EPSG:${frame.epsg}` : LINEAR_UNITS[frame.unit].abbr}`);
+    full.push(`Converted to ${crsLabel(frame.epsg)}, ${frame.unit || "unknown unit"}`);
+  } else if (sceneFrame.epsg && entry.crs.epsg && !isBundledCrs(entry.crs.epsg)) {
+    full.push(`Not reprojected: EPSG:${entry.crs.epsg} is not bundled`);
+  }
+  const { topology } = entry.data;
+  if (topology) {
+    const { label, noun } = PRIMITIVE_MODES[topology.mode];
+    short.push(label);
+    full.push(
+      `${label}: ${topology.primitiveCount} ${noun}, ${topology.restarts.length} restarts` +
+        (topology.skipped > 0 ? `, ${topology.skipped} degenerate or short skipped` : "")
+    );
+  }
+  if (data.skippedPrimitives) {
+    short.push(`${data.skippedPrimitives.length} primitives skipped`);
+    full.push("Skipped primitives:", ...data.skippedPrimitives);
+  }
+  if (meta.surfType) short.push(meta.surfType);
+  if (meta.description) full.push(`Description: ${meta.description}`);
+  const counts = [
+    [data.invisibleFaces, "invisible faces"],
+    [data.boundaries, "boundaries"],
+    [data.breaklines, "breaklines"],
+  ];
+  for (const [list, label] of counts) {
+    if (list && list.length > 0) full.push(`${list.length} ${label}`);
+  }
+  if (short.length === 0 && full.length === 0) return null;
+  return { short: short.join(" · ") || "no units / CRS", full: full.join("\n") };
 }
 
-// --- Colors ---
-function applyColors(geometry, mode) {
-  const positions = geometry.attributes.position;
-  const count = positions.count;
-  const colors = new Float32Array(count * 3);
-  const indices = geometry.index ? geometry.index.array : null;
+function createLoadJobRow(job) {
+  const row = document.createElement("div");
+  row.className = job.error ? "file-row load-job error" : "file-row load-job";
+  row.dataset.jobId = String(job.id);
 
-  if (mode === "height") {
-    let minZ = Infinity,
-      maxZ = -Infinity;
-    for (let i = 0; i < count; i++) {
-      const z = positions.getZ(i);
-      if (z < minZ) minZ = z;
-      if (z > maxZ) maxZ = z;
-    }
-    const range = maxZ - minZ || 1;
-    for (let i = 0; i < count; i++) {
-      const t = (positions.getZ(i) - minZ) / range;
-      const color = new THREE.Color();
-      color.setHSL(0.66 - t * 0.66, 0.85, 0.55);
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
-  } else if (mode === "index") {
-    const numTri = indices ? indices.length / 3 : count / 3;
-    for (let t = 0; t < numTri; t++) {
-      const color = new THREE.Color();
-      color.setHSL((t / numTri) * 0.9, 0.8, 0.55);
-      for (let j = 0; j < 3; j++) {
-        const vi = indices ? indices[t * 3 + j] : t * 3 + j;
-        colors[vi * 3] = color.r;
-        colors[vi * 3 + 1] = color.g;
-        colors[vi * 3 + 2] = color.b;
-      }
-    }
+  const label = document.createElement("span");
+  label.className = "file-name";
+  label.textContent = job.name;
+  label.title = job.error || job.name;
+
+  const dismissBtn = document.createElement("button");
+  dismissBtn.textContent = "\u00d7";
+  dismissBtn.className = "file-remove";
+  dismissBtn.title = job.error ? "Dismiss" : "Cancel";
+  dismissBtn.addEventListener("click", () => finishLoadJob(job));
+
+  const head = document.createElement("div");
+  head.className = "load-job-head";
+  head.appendChild(label);
+  head.appendChild(dismissBtn);
+  row.appendChild(head);
+
+  if (job.error) {
+    const msg = document.createElement("div");
+    msg.className = "load-job-error";
+    msg.textContent = job.error;
+    row.appendChild(msg);
   } else {
-    const color = new THREE.Color(0x219ebc);
-    for (let i = 0; i < count; i++) {
-      colors[i * 3] = color.r;
-      colors[i * 3 + 1] = color.g;
-      colors[i * 3 + 2] = color.b;
-    }
+    const progress = document.createElement("progress");
+    progress.max = 1;
+    const status = document.createElement("span");
+    status.className = "load-job-status";
+    row.appendChild(progress);
+    row.appendChild(status);
+    setLoadJobProgress(row, job);
   }
-
-  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  return row;
 }
 
-function createNormalHelper(geometry, length) {
-  const positions = geometry.attributes.position;
-  const normals = geometry.attributes.normal;
-  const count = positions.count;
-  const linePositions = new Float32Array(count * 6);
-  for (let i = 0; i < count; i++) {
-    const x = positions.getX(i);
-    const y = positions.getY(i);
-    const z = positions.getZ(i);
-    linePositions[i * 6] = x;
-    linePositions[i * 6 + 1] = y;
-    linePositions[i * 6 + 2] = z;
-    linePositions[i * 6 + 3] = x + normals.getX(i) * length;
-    linePositions[i * 6 + 4] = y + normals.getY(i) * length;
-    linePositions[i * 6 + 5] = z + normals.getZ(i) * length;
+function setLoadJobProgress(row, job) {
+  const progress = row.querySelector("progress");
+  const status = row.querySelector(".load-job-status");
+  if (!progress) return;
+  if (job.phase === "parsing") {
+    progress.removeAttribute("value");
+    status.textContent = "Parsing\u2026";
+  } else {
+    const fraction = job.total > 0 ? job.loaded / job.total : 0;
+    progress.value = fraction;
+    status.textContent = `${Math.round(fraction * 100)}%`;
   }
-  const lineGeometry = new THREE.BufferGeometry();
-  lineGeometry.setAttribute(
-    "position",
-    new THREE.BufferAttribute(linePositions, 3)
-  );
-  return new THREE.LineSegments(
-    lineGeometry,
-    new THREE.LineBasicMaterial({
-      color: 0x00ff88,
-      opacity: 0.5,
-      transparent: true,
-    })
-  );
 }
 
-// --- Camera ---
-function fitToAll() {
-  const box = new THREE.Box3();
+function updateLoadJobUI(job) {
+  const row = fileListEl.querySelector(`[data-job-id="${job.id}"]`);
+  if (row) setLoadJobProgress(row, job);
+}
+
+// --- Diagnostics UI ---
+function updateDiagnosticsUI() {
+  diagnosticsListEl.innerHTML = "";
   for (const entry of fileEntries) {
-    if (!entry.visible || !entry.group) continue;
-    const mesh = entry.group.getObjectByName("mesh");
-    if (mesh) {
-      mesh.geometry.computeBoundingBox();
-      const b = mesh.geometry.boundingBox.clone();
-      box.union(b);
+    const { issues } = entry.diagnostics;
+    const section = document.createElement("div");
+    section.className = "diag-file";
+
+    const problems = DIAGNOSTIC_CATEGORIES.filter(
+      (c) => c.severity !== "info" && issues[c.key].count > 0
+    ).length;
+    const header = document.createElement("div");
+    header.className = "diag-header";
+    header.textContent = entry.name;
+    header.title = entry.name;
+    const status = document.createElement("span");
+    status.className = problems > 0 ? "diag-status bad" : "diag-status ok";
+    status.textContent = problems > 0 ? `${problems} issue(s)` : "OK";
+    header.appendChild(status);
+    section.appendChild(header);
+
+    for (const cat of DIAGNOSTIC_CATEGORIES) {
+      const count = issues[cat.key].count;
+      if (count === 0) continue;
+      const row = document.createElement("label");
+      row.className = `diag-row ${cat.severity}`;
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = entry.diagnosticsShown.has(cat.key);
+      cb.addEventListener("change", () => {
+        if (cb.checked) entry.diagnosticsShown.add(cat.key);
+        else entry.diagnosticsShown.delete(cat.key);
+        const obj = entry.group && entry.group.getObjectByName(`diag-${cat.key}`);
+        if (obj) obj.visible = cb.checked;
+      });
+
+      const swatch = document.createElement("span");
+      swatch.className = "diag-swatch";
+      swatch.style.background = `#${cat.color.toString(16).padStart(6, "0")}`;
+
+      const text = document.createElement("span");
+      text.className = "diag-label";
+      text.textContent = cat.label;
+
+      const countEl = document.createElement("span");
+      countEl.className = "diag-count";
+      countEl.textContent = count;
+
+      row.appendChild(cb);
+      row.appendChild(swatch);
+      row.appendChild(text);
+      row.appendChild(countEl);
+      section.appendChild(row);
     }
+    diagnosticsListEl.appendChild(section);
   }
-  if (box.isEmpty()) return;
+}
 
-  const sphere = new THREE.Sphere();
-  box.getBoundingSphere(sphere);
-  const radius = sphere.radius;
-  const center = sphere.center;
+// --- Export ---
+let exportTarget = null;
 
-  const dist = radius * 2.5;
-  camera.position.set(
-    center.x + dist * 0.7,
-    center.y - dist * 0.7,
-    center.z + dist * 0.5
-  );
-  camera.lookAt(center);
-  controls.target.copy(center);
-  controls.update();
-  camera.near = radius * 0.01;
-  camera.far = radius * 100;
-  camera.updateProjectionMatrix();
+function openExportPanel(entry) {
+  exportTarget = entry;
+  exportTitleEl.textContent = entry.name;
+  exportTitleEl.title = entry.name;
+  exportIndexOrderRow.hidden = !(entry.vertexCache && entry.vertexCache.optimized);
+  if (exportIndexOrderRow.hidden) exportIndexOrderSelect.value = "original";
+  exportPanelEl.hidden = false;
+}
 
-  // Scale helpers
-  const s = radius * 0.5;
-  axesHelper.scale.setScalar(s);
-  axesHelper.position.set(box.min.x, box.min.y, box.min.z);
-  gridHelper.scale.setScalar(radius * 0.1);
-  gridHelper.position.set(center.x, center.y, box.min.z);
-  const labels = axesLabelsGroup.children;
-  labels[0].position.set(box.min.x + s * 1.1, box.min.y, box.min.z);
-  labels[1].position.set(box.min.x, box.min.y + s * 1.1, box.min.z);
-  labels[2].position.set(box.min.x, box.min.y, box.min.z + s * 1.1);
+function closeExportPanel() {
+  exportTarget = null;
+  exportPanelEl.hidden = true;
 }
 
-// --- Helpers: iterate all file meshes ---
+function allTriangles(entry) {
+  const triCount = Math.floor(entry.data.indices.length / 3);
+  return Array.from({ length: triCount }, (_, t) => t);
+}
+
+// Triangles currently drawn for an entry.
+function getVisibleTriangles(entry) {
+  if (!entry.visible) return [];
+  const { invisibleFaces } = entry.data;
+  let tris = allTriangles(entry);
+  if (entry.playback.count < tris.length) tris.length = entry.playback.count;
+  if (invisibleFacesCheck.checked || !invisibleFaces || invisibleFaces.length === 0) {
+    return clipTriangles(entry, tris);
+  }
+  const hidden = new Set(invisibleFaces);
+  return clipTriangles(entry, tris.filter((t) => !hidden.has(t)));
+}
+
+function getSelectedTriangles(entry) {
+  return selection
+    .filter((s) => s.entryId === entry.id && s.type === "triangle")
+    .map((s) => s.index)
+    .sort((a, b) => a - b);
+}
+
+// options: { format, scope: "all" | "visible" | "selected", coords: "original" | "centered", compact,
+//            indexOrder: "original" | "optimized" }
+function exportGeometry(entry, options) {
+  const { format, scope, coords, compact, indexOrder = "original" } = options;
+  const { indices, pointIds } = entry.data;
+  let vertices = entry.data.vertices;
+  if (coords === "centered") {
+    vertices = Float64Array.from(vertices);
+    for (let i = 0; i < vertices.length; i += 3) {
+      vertices[i] -= globalCenter.x;
+      vertices[i + 1] -= globalCenter.y;
+      vertices[i + 2] -= globalCenter.z;
+    }
+  }
+  let mesh = { name: entry.name, indices, vertices, pointIds };
+  if (entry.data.invisibleFaces) {
+    const { invisibleFaces, boundaries, breaklines } = entry.data;
+    Object.assign(mesh, { invisibleFaces, boundaries, breaklines, metadata: frameMetadata(entry) });
+    if (coords === "centered") {
+      const shift = (f) => {
+        const points = Float64Array.from(f.points);
+        for (let i = 0; i < points.length; i += 3) {
+          points[i] -= globalCenter.x;
+          points[i + 1] -= globalCenter.y;
+          points[i + 2] -= globalCenter.z;
+        }
+        return { ...f, points };
+      };
+      mesh.boundaries = boundaries.map(shift);
+      mesh.breaklines = breaklines.map(shift);
+    }
+  }
+  const optimized =
+    indexOrder === "optimized" && entry.vertexCache && entry.vertexCache.optimized;
+  if (scope !== "all" || compact || optimized) {
+    let tris =
+      scope === "selected"
+        ? getSelectedTriangles(entry)
+        : scope === "visible"
+          ? getVisibleTriangles(entry)
+          : allTriangles(entry);
+    if (optimized) {
+      const keep = new Set(tris);
+      tris = Array.from(optimized.order).filter((t) => keep.has(t));
+    }
+    mesh = subsetMesh(mesh, tris, compact);
+  }
+
+  const baseName = entry.name.replace(/\.[^.]+$/, "");
+  for (const file of exportMesh(format, mesh)) {
+    downloadBlob(file.blob, baseName + file.suffix);
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+for (const [value, text] of Object.entries(EXPORT_FORMATS)) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  exportFormatSelect.appendChild(opt);
+}
+
+document.getElementById("exportGo").addEventListener("click", () => {
+  if (!exportTarget) return;
+  exportGeometry(exportTarget, {
+    format: exportFormatSelect.value,
+    scope: exportScopeSelect.value,
+    coords: exportCoordsSelect.value,
+    compact: exportCompactCheck.checked,
+    indexOrder: exportIndexOrderSelect.value,
+  });
+  closeExportPanel();
+});
+document.getElementById("exportCancel").addEventListener("click", closeExportPanel);
+
+// --- Heightmap triangulation ---
+// Heightmap entries keep their source grid, so they can be re-triangulated
+// when the file's split, ordering, nodata or Y direction was guessed wrong.
+let heightmapTarget = null;
+
+for (const [value, text] of Object.entries(HEIGHTMAP_SPLITS)) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  heightmapSplitSelect.appendChild(opt);
+}
+
+function openHeightmapPanel(entry) {
+  const opts = entry.data.heightmap.options;
+  heightmapTarget = entry;
+  heightmapTitleEl.textContent = entry.name;
+  heightmapTitleEl.title = entry.name;
+  heightmapSplitSelect.value = opts.split;
+  heightmapOrderSelect.value = opts.order;
+  heightmapRowAxisSelect.value = opts.rowAxis;
+  heightmapNodataInput.value = opts.nodata ?? "";
+  heightmapFlipYCheck.checked = opts.flipY;
+  heightmapPanelEl.hidden = false;
+}
+
+function closeHeightmapPanel() {
+  heightmapTarget = null;
+  heightmapPanelEl.hidden = true;
+}
+
+document.getElementById("heightmapApply").addEventListener("click", () => {
+  if (!heightmapTarget) return;
+  const { heightmap } = heightmapTarget.data;
+  const nodata = heightmapNodataInput.value.trim();
+  const data = parseHeightmapJSON(heightmap, {
+    split: heightmapSplitSelect.value,
+    order: heightmapOrderSelect.value,
+    rowAxis: heightmapRowAxisSelect.value,
+    nodata: nodata === "" ? null : Number(nodata),
+    flipY: heightmapFlipYCheck.checked,
+  });
+  replaceEntryData(heightmapTarget, data);
+});
+document.getElementById("heightmapClose").addEventListener("click", closeHeightmapPanel);
+
+// --- Per-file style and transform ---
+// entry.style overrides the global colour mode, opacity and wireframe/vertex
+// toggles where set (null follows the global control). entry.transform is a
+// display offset: analysis and export keep using the file's coordinates.
+const FILE_COLORS = ["#219ebc", "#fb8500", "#06d6a0", "#ef476f", "#c77dff", "#90be6d", "#f9c74f", "#8ecae6"];
+const RENDER_STYLES = { shaded: "Shaded", wireframe: "Wireframe", points: "Points" };
+const GHOST_OPACITY = 0.08;
+let soloState = null; // { id, visible: Map(entryId -> visible before solo) }
+let isolatedId = null;
+let styleTarget = null;
+let dragEntry = null;
+
+const gizmo = new TransformControls(camera, canvas);
+scene.add(gizmo.getHelper());
+
+function setEntryVisible(entry, visible) {
+  entry.visible = visible;
+  if (entry.group) entry.group.visible = visible;
+  labelsDirty = true;
+}
+
+function applyEntryStyle(entry) {
+  const group = entry.group;
+  if (!group) return;
+  const { style } = entry;
+  const renderStyle = style.renderStyle || (wireframeCheck.checked ? "wireframe" : "shaded");
+  const ghost = isolatedId !== null && isolatedId !== entry.id;
+  const mesh = group.getObjectByName("mesh");
+  // The material is shared with faceColors, so hiding it hides both.
+  mesh.material.visible = renderStyle !== "points";
+  mesh.material.wireframe = renderStyle === "wireframe";
+  mesh.material.opacity = ghost ? GHOST_OPACITY : style.opacity ?? parseFloat(opacitySlider.value);
+  mesh.material.depthWrite = !ghost;
+  // Files higher in the list are drawn later, over the ones below.
+  mesh.renderOrder = fileEntries.length - fileEntries.indexOf(entry);
+  const faces = group.getObjectByName("faceColors");
+  if (faces) faces.renderOrder = mesh.renderOrder;
+  group.getObjectByName("wireOverlay").visible = renderStyle === "shaded";
+  group.getObjectByName("vertexPoints").visible = renderStyle === "points" || verticesCheck.checked;
+}
+
+// Solo shows only one file; toggling it off restores the previous visibility.
+function toggleSolo(entry) {
+  if (soloState) {
+    for (const e of fileEntries) {
+      if (soloState.visible.has(e.id)) setEntryVisible(e, soloState.visible.get(e.id));
+    }
+  }
+  if (soloState && soloState.id === entry.id) {
+    soloState = null;
+  } else {
+    const visible = soloState
+      ? soloState.visible
+      : new Map(fileEntries.map((e) => [e.id, e.visible]));
+    soloState = { id: entry.id, visible };
+    for (const e of fileEntries) setEntryVisible(e, e === entry);
+  }
+  updateStats();
+  updateProfile();
+  updateFileListUI();
+}
+
+// Isolate keeps every file visible but ghosts all but one.
+function toggleIsolate(entry) {
+  isolatedId = isolatedId === entry.id ? null : entry.id;
+  fileEntries.forEach(applyEntryStyle);
+  updateFileListUI();
+}
+
+// Rows are reordered by dragging; the order is also the drawing order.
+function addRowDragHandlers(row, entry) {
+  row.draggable = true;
+  row.addEventListener("dragstart", (e) => {
+    dragEntry = entry;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", entry.name);
+  });
+  row.addEventListener("dragend", () => (dragEntry = null));
+  row.addEventListener("dragover", (e) => {
+    if (!dragEntry || dragEntry === entry) return;
+    e.preventDefault();
+    row.classList.add("drag-over");
+  });
+  row.addEventListener("dragleave", () => row.classList.remove("drag-over"));
+  row.addEventListener("drop", (e) => {
+    row.classList.remove("drag-over");
+    if (!dragEntry || dragEntry === entry) return;
+    e.preventDefault();
+    fileEntries.splice(fileEntries.indexOf(dragEntry), 1);
+    fileEntries.splice(fileEntries.indexOf(entry), 0, dragEntry);
+    dragEntry = null;
+    fileEntries.forEach(applyEntryStyle);
+    updateFileListUI();
+  });
+}
+
+const TRANSFORM_INPUTS = {
+  offset: ["styleMoveX", "styleMoveY", "styleMoveZ"],
+  rotation: ["styleRotateX", "styleRotateY", "styleRotateZ"],
+  scale: ["styleScaleX", "styleScaleY", "styleScaleZ"],
+};
+
+function updateStyleTransformInputs() {
+  const { offset, rotation, scale } = styleTarget.transform;
+  TRANSFORM_INPUTS.offset.forEach((id, k) => {
+    document.getElementById(id).value = Number(offset.getComponent(k).toFixed(6));
+  });
+  ["x", "y", "z"].forEach((axis, k) => {
+    const deg = THREE.MathUtils.radToDeg(rotation[axis]);
+    document.getElementById(TRANSFORM_INPUTS.rotation[k]).value = Number(deg.toFixed(4));
+  });
+  TRANSFORM_INPUTS.scale.forEach((id, k) => {
+    document.getElementById(id).value = Number(scale.getComponent(k).toFixed(6));
+  });
+}
+
+function openStylePanel(entry) {
+  styleTarget = entry;
+  styleTitleEl.textContent = entry.name;
+  styleTitleEl.title = entry.name;
+  styleColorModeSelect.innerHTML = "";
+  styleColorModeSelect.appendChild(new Option("Global", ""));
+  fillColorModeSelect(styleColorModeSelect);
+  styleColorModeSelect.value = entry.style.colorMode || "";
+  styleColorInput.value = entry.style.color;
+  styleOpacityOwnCheck.checked = entry.style.opacity !== null;
+  styleOpacitySlider.value = entry.style.opacity ?? opacitySlider.value;
+  styleRenderSelect.value = entry.style.renderStyle || "";
+  const fileMode = PRIMITIVE_MODES[entry.sourceData.mode || "triangles"].label;
+  stylePrimitiveSelect.options[0].textContent = `As file (${fileMode})`;
+  stylePrimitiveSelect.value = entry.primitiveMode || "";
+  updateStyleTransformInputs();
+  stylePanelEl.hidden = false;
+  updateGizmo();
+}
+
+function closeStylePanel() {
+  styleTarget = null;
+  stylePanelEl.hidden = true;
+  styleGizmoSelect.value = "";
+  updateGizmo();
+}
+
+function updateGizmo() {
+  const mode = styleGizmoSelect.value;
+  if (!styleTarget || !mode || !styleTarget.group) {
+    gizmo.detach();
+    return;
+  }
+  gizmo.setMode(mode);
+  gizmo.attach(styleTarget.group);
+}
+
+// Called after the transform changed; clipped stats and labels depend on it.
+function onEntryTransformed(entry) {
+  placeGroup(entry);
+  if (profile.points.length >= 2) updateProfile();
+  updateStats();
+  labelsDirty = true;
+}
+
+for (const [value, text] of Object.entries(RENDER_STYLES)) {
+  styleRenderSelect.appendChild(new Option(text, value));
+}
+stylePrimitiveSelect.appendChild(new Option("As file", ""));
+for (const [value, { label }] of Object.entries(PRIMITIVE_MODES)) {
+  stylePrimitiveSelect.appendChild(new Option(label, value));
+}
+
+gizmo.addEventListener("dragging-changed", (e) => (controls.enabled = !e.value));
+gizmo.addEventListener("objectChange", () => {
+  const entry = styleTarget;
+  if (!entry) return;
+  const { group } = entry;
+  entry.transform.offset.subVectors(group.position, entry.origin).add(globalCenter);
+  entry.transform.rotation.copy(group.rotation);
+  clampScale(entry.transform.scale.copy(group.scale));
+  updateStyleTransformInputs();
+  onEntryTransformed(entry);
+});
+styleColorModeSelect.addEventListener("change", () => {
+  styleTarget.style.colorMode = styleColorModeSelect.value || null;
+  if (updateColorRange()) updateColors();
+  else applyEntryColors(styleTarget);
+  applyEntryStyle(styleTarget);
+  updateLegend();
+});
+styleColorInput.addEventListener("input", () => {
+  styleTarget.style.color = styleColorInput.value;
+  if (entryColorMode(styleTarget) !== "flat") {
+    styleTarget.style.colorMode = "flat";
+    styleColorModeSelect.value = "flat";
+    updateColorRange();
+    updateColors();
+  } else {
+    applyEntryColors(styleTarget);
+  }
+  applyEntryStyle(styleTarget);
+});
+styleOpacityOwnCheck.addEventListener("change", () => {
+  styleTarget.style.opacity = styleOpacityOwnCheck.checked
+    ? parseFloat(styleOpacitySlider.value)
+    : null;
+  applyEntryStyle(styleTarget);
+});
+styleOpacitySlider.addEventListener("input", () => {
+  styleOpacityOwnCheck.checked = true;
+  styleTarget.style.opacity = parseFloat(styleOpacitySlider.value);
+  applyEntryStyle(styleTarget);
+});
+styleRenderSelect.addEventListener("change", () => {
+  styleTarget.style.renderStyle = styleRenderSelect.value || null;
+  applyEntryStyle(styleTarget);
+});
+stylePrimitiveSelect.addEventListener("change", () => {
+  styleTarget.primitiveMode = stylePrimitiveSelect.value || null;
+  replaceEntryData(styleTarget, styleTarget.sourceData);
+});
+for (const [key, ids] of Object.entries(TRANSFORM_INPUTS)) {
+  ids.forEach((id, k) => {
+    document.getElementById(id).addEventListener("change", (e) => {
+      const value = parseFloat(e.target.value);
+      if (!Number.isFinite(value)) return;
+      const t = styleTarget.transform;
+      if (key === "rotation") t.rotation[["x", "y", "z"][k]] = THREE.MathUtils.degToRad(value);
+      else t[key].setComponent(k, value);
+      if (key === "scale") {
+        clampScale(t.scale);
+        updateStyleTransformInputs();
+      }
+      onEntryTransformed(styleTarget);
+    });
+  });
+}
+styleGizmoSelect.addEventListener("change", updateGizmo);
+document.getElementById("styleResetTransform").addEventListener("click", () => {
+  const t = styleTarget.transform;
+  t.offset.set(0, 0, 0);
+  t.rotation.set(0, 0, 0);
+  t.scale.set(1, 1, 1);
+  updateStyleTransformInputs();
+  onEntryTransformed(styleTarget);
+});
+document.getElementById("styleClose").addEventListener("click", closeStylePanel);
+
+// --- Coordinate reference systems ---
+// Entries are tagged with their file's CRS and unit (entry.crs). With a scene
+// CRS or unit chosen, entry.data holds the file data converted into it and
+// entry.sourceData the file's own; entries without the matching tag are left
+// as they are. Readouts can be shown in yet another CRS.
+const sceneFrame = { epsg: null, unit: null };
+let readoutEpsg = null; // null: as in the scene
+const readoutTransforms = new Map();
+let crsTarget = null;
+
+function defaultEntryCrs(data) {
+  const meta = data.metadata || {};
+  const epsg = meta.coordinateSystem && parseInt(meta.coordinateSystem.epsgCode);
+  const unit = meta.units && meta.units.linearUnit;
+  return { epsg: epsg || null, unit: LINEAR_UNITS[unit] ? unit : null };
+}
+
+// The CRS and unit an entry's data is in.
+function entryFrame(entry) {
+  const reproject = sceneFrame.epsg && isBundledCrs(entry.crs.epsg);
+  return {
+    epsg: reproject ? sceneFrame.epsg : entry.crs.epsg,
+    unit: sceneFrame.unit && entry.crs.unit ? sceneFrame.unit : entry.crs.unit,
+  };
+}
+
+// The file's LandXML units and CRS, rewritten for the frame entry.data is
+// in. Vertical datum attributes are kept since heights are not reprojected.
+function frameMetadata(entry) {
+  const meta = entry.data.metadata || {};
+  const frame = entryFrame(entry);
+  const out = { ...meta };
+  if (frame.unit !== entry.crs.unit) {
+    const system = LINEAR_UNITS[frame.unit].imperial ? "Imperial" : "Metric";
+    out.units = { ...meta.units, system, linearUnit: frame.unit };
+  }
+  if (frame.epsg !== entry.crs.epsg) {
+    const { verticalDatum, verticalCoordinateSystemName, geoidName } = meta.coordinateSystem || {};
+    out.coordinateSystem = {
+      name: crsLabel(frame.epsg),
+      epsgCode: String(frame.epsg),
+      verticalDatum,
+      verticalCoordinateSystemName,
+      geoidName,
+    };
+  }
+  return out;
+}
+
+function projectEntryData(entry, data) {
+  const transform = createCoordinateTransform(entry.crs, entryFrame(entry));
+  if (!transform) return data;
+  const features = (list) =>
+    list && list.map((f) => ({ ...f, points: transformCoordinates(f.points, transform) }));
+  return {
+    ...data,
+    vertices: transformCoordinates(data.vertices, transform),
+    boundaries: features(data.boundaries),
+    breaklines: features(data.breaklines),
+  };
+}
+
+// Re-applies the scene frame to every entry.
+function reprojectEntries() {
+  readoutTransforms.clear();
+  replaceEntriesData(fileEntries, (entry) => entry.sourceData);
+}
+
+function readoutTransform(entry) {
+  const frame = entryFrame(entry);
+  if (!readoutEpsg || !isBundledCrs(frame.epsg)) return null;
+  const key = `${frame.epsg}|${frame.unit}`;
+  if (!readoutTransforms.has(key)) {
+    readoutTransforms.set(
+      key,
+      createCoordinateTransform(frame, { epsg: readoutEpsg, unit: frame.unit })
+    );
+  }
+  return readoutTransforms.get(key);
+}
+
+// An entry's coordinates as text in the readout CRS.
+function formatCoord(entry, p) {
+  const transform = readoutTransform(entry);
+  if (!transform || p.some((x) => x == null)) return formatVec(p);
+  const q = transform(p[0], p[1], p[2]);
+  if (!isGeographicCrs(readoutEpsg)) return formatVec(q);
+  return `(${q[0].toFixed(9)}, ${q[1].toFixed(9)}, ${q[2].toFixed(6)})`;
+}
+
+function openCrsPanel(entry) {
+  crsTarget = entry;
+  crsTitleEl.textContent = entry.name;
+  crsTitleEl.title = entry.name;
+  crsEpsgInput.value = entry.crs.epsg ?? "";
+  crsUnitSelect.value = entry.crs.unit ?? "";
+  crsPanelEl.hidden = false;
+}
+
+function closeCrsPanel() {
+  crsTarget = null;
+  crsPanelEl.hidden = true;
+}
+
+// Scene CRSs are projected so heights and positions share a unit.
+for (const [code, def] of bundledCrsList()) {
+  crsCodesList.appendChild(new Option(def.name, code));
+  readoutCrsSelect.appendChild(new Option(crsLabel(code), code));
+  if (!def.geographic) sceneCrsSelect.appendChild(new Option(crsLabel(code), code));
+}
+for (const [unit, { abbr }] of Object.entries(LINEAR_UNITS)) {
+  sceneUnitSelect.appendChild(new Option(`${unit} (${abbr})`, unit));
+  crsUnitSelect.appendChild(new Option(`${unit} (${abbr})`, unit));
+}
+
+document.getElementById("crsApply").addEventListener("click", () => {
+  if (!crsTarget) return;
+  crsTarget.crs = {
+    epsg: parseInt(crsEpsgInput.value) || null,
+    unit: crsUnitSelect.value || null,
+  };
+  readoutTransforms.clear();
+  replaceEntryData(crsTarget, crsTarget.sourceData);
+});
+document.getElementById("crsClose").addEventListener("click", closeCrsPanel);
+sceneCrsSelect.addEventListener("change", () => {
+  sceneFrame.epsg = parseInt(sceneCrsSelect.value) || null;
+  reprojectEntries();
+});
+sceneUnitSelect.addEventListener("change", () => {
+  sceneFrame.unit = sceneUnitSelect.value || null;
+  reprojectEntries();
+});
+readoutCrsSelect.addEventListener("change", () => {
+  readoutEpsg = parseInt(readoutCrsSelect.value) || null;
+  updateInspector();
+});
+
+// --- Colors ---
+// Scalar modes (see scalars.js) share one value range across all files so
+// colours are comparable; the range is clamped by the min/max inputs.
+// Per-triangle modes are drawn by a non-indexed "faceColors" copy of the
+// mesh that shares its material, while the indexed mesh stays for picking.
+let colorRange = null; // { min, max, auto } for the current scalar mode
+
+for (const [value, text] of Object.entries(COLORMAPS)) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  colormapSelect.appendChild(opt);
+}
+
+// Fills a colour mode select with every mode the loaded files support.
+function fillColorModeSelect(select) {
+  const add = (parent, value, text) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    parent.appendChild(opt);
+  };
+  const anyFile = (field) => fileEntries.some((e) => e.data[field]);
+  for (const [value, info] of Object.entries(SCALAR_MODES)) {
+    if (!info.requires || anyFile(info.requires)) add(select, value, info.label);
+  }
+  add(select, "index", "Triangle Index");
+  add(select, "flat", "Flat");
+  if (anyFile("colors")) add(select, "colors", "File colours");
+  if (anyFile("uvs")) add(select, "uvChecker", "UV checker");
+  if (meshDiff) add(select, "meshDiff", "Mesh diff");
+  const names = new Set(fileEntries.flatMap((e) => attributeNames(e.data)));
+  if (names.size > 0) {
+    const group = document.createElement("optgroup");
+    group.label = "Attributes";
+    for (const name of names) add(group, ATTRIBUTE_PREFIX + name, name);
+    select.appendChild(group);
+  }
+}
+
+function updateColorModeOptions() {
+  const previous = colorModeSelect.value || "height";
+  colorModeSelect.innerHTML = "";
+  fillColorModeSelect(colorModeSelect);
+  const values = Array.from(colorModeSelect.options, (o) => o.value);
+  colorModeSelect.value = values.includes(previous) ? previous : "height";
+  if (colorModeSelect.value !== previous) {
+    updateColorRange();
+    updateColors();
+  }
+}
+updateColorModeOptions();
+
+function entryColorMode(entry) {
+  return entry.style.colorMode || colorModeSelect.value;
+}
+
+function getEntryScalars(entry, mode) {
+  if (!entry.scalars || entry.scalars.mode !== mode) {
+    const values =
+      mode === "difference"
+        ? entry.difference
+          ? entry.difference.values
+          : new Float64Array(entry.data.vertices.length / 3).fill(NaN)
+        : computeScalars(mode, entry.data);
+    entry.scalars = { mode, values };
+  }
+  return entry.scalars.values;
+}
+
+// Recomputes colorRange; returns true if it changed.
+function updateColorRange() {
+  const mode = colorModeSelect.value;
+  const previous = colorRange;
+  colorRange = null;
+  if (scalarModeInfo(mode)) {
+    const entries = fileEntries.filter((e) => entryColorMode(e) === mode);
+    let auto = scalarRange(entries.map((e) => getEntryScalars(e, mode)));
+    if (auto && mode === "difference") {
+      // Centered on zero so the diverging ramp is white where surfaces meet.
+      const m = Math.max(Math.abs(auto.min), Math.abs(auto.max));
+      auto = { min: -m, max: m };
+    }
+    const min = parseFloat(colorMinInput.value);
+    const max = parseFloat(colorMaxInput.value);
+    if (auto || (Number.isFinite(min) && Number.isFinite(max))) {
+      colorRange = {
+        min: Number.isFinite(min) ? min : auto.min,
+        max: Number.isFinite(max) ? max : auto.max,
+        auto,
+      };
+    }
+  }
+  return (
+    !previous !== !colorRange ||
+    (colorRange && (colorRange.min !== previous.min || colorRange.max !== previous.max))
+  );
+}
+
+function updateColors() {
+  for (const entry of fileEntries) applyEntryColors(entry);
+  updateLegend();
+}
+
+function applyEntryColors(entry, group = entry.group) {
+  if (!group) return;
+  const mesh = group.getObjectByName("mesh");
+  const oldFaces = group.getObjectByName("faceColors");
+  if (oldFaces) {
+    group.remove(oldFaces);
+    oldFaces.geometry.dispose();
+  }
+  mesh.visible = true;
+
+  const mode = entryColorMode(entry);
+  const map = mode === "uvChecker" && entry.data.uvs ? uvCheckerTexture() : null;
+  if (mesh.material.map !== map) {
+    mesh.material.map = map;
+    mesh.material.needsUpdate = true;
+  }
+  const diff = mode === "meshDiff" ? meshDiffSide(entry) : null;
+  applyDiffPointColors(group.getObjectByName("vertexPoints"), diff);
+  if (diff) {
+    addFaceColors(group, mesh, (t, color) => color.setHex(DIFF_COLORS[diff.triangleStatus[t]]));
+    return;
+  }
+  const info = scalarModeInfo(mode);
+  if (!info) {
+    if (mode === "colors" && entry.data.colors) {
+      mesh.geometry.setAttribute("color", new THREE.BufferAttribute(Float32Array.from(entry.data.colors), 3));
+    } else {
+      // The checker is tinted by white vertex colours.
+      applyColors(mesh.geometry, mode, map ? 0xffffff : entry.style.color);
+    }
+    return;
+  }
+  const values = getEntryScalars(entry, mode);
+  // Files with their own mode are coloured over their own range.
+  const range = mode === colorModeSelect.value ? colorRange : scalarRange([values]);
+  const { min, max } = range || { min: 0, max: 1 };
+  const span = max - min || 1;
+  const colormap = colormapSelect.value;
+  const color = new THREE.Color();
+
+  if (info.domain === "vertex") {
+    const colors = new Float32Array(values.length * 3);
+    for (let v = 0; v < values.length; v++) {
+      sampleColormap(colormap, (values[v] - min) / span, color);
+      color.toArray(colors, v * 3);
+    }
+    mesh.geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    return;
+  }
+  addFaceColors(group, mesh, (t, color) => sampleColormap(colormap, (values[t] - min) / span, color));
+}
+
+// Adds the "faceColors" mesh in place of the indexed one; setColor(t, color)
+// sets triangle t's colour.
+function addFaceColors(group, mesh, setColor) {
+  const color = new THREE.Color();
+  const index = mesh.geometry.index.array;
+  const src = mesh.geometry.attributes.position.array;
+  const positions = new Float32Array(index.length * 3);
+  const colors = new Float32Array(index.length * 3);
+  for (let t = 0; t < index.length / 3; t++) {
+    setColor(t, color);
+    for (let j = 0; j < 3; j++) {
+      const i = t * 3 + j;
+      const v = index[i];
+      positions[i * 3] = src[v * 3];
+      positions[i * 3 + 1] = src[v * 3 + 1];
+      positions[i * 3 + 2] = src[v * 3 + 2];
+      color.toArray(colors, i * 3);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  geometry.computeVertexNormals();
+  geometry.setDrawRange(0, mesh.geometry.drawRange.count);
+  const faces = new THREE.Mesh(geometry, mesh.material);
+  faces.name = "faceColors";
+  faces.renderOrder = mesh.renderOrder;
+  group.add(faces);
+  mesh.visible = false;
+}
+
+// Unit suffix for a scalar mode, from the visible files' LandXML units.
+function entryLinearUnit(entry) {
+  const { unit } = entryFrame(entry);
+  return unit ? LINEAR_UNITS[unit].abbr : "";
+}
+
+function scalarUnit(info) {
+  if (info.unit !== "length" && info.unit !== "area") return info.unit;
+  const units = new Set(fileEntries.filter((e) => e.visible).map(entryLinearUnit));
+  if (units.size > 1) return "mixed units";
+  const unit = [...units][0] || "";
+  return unit && info.unit === "area" ? `${unit}\u00b2` : unit;
+}
+
+function formatLegendValue(x) {
+  if (!Number.isFinite(x)) return String(x);
+  const abs = Math.abs(x);
+  if (abs !== 0 && (abs >= 1e6 || abs < 1e-3)) return x.toExponential(3);
+  return String(Number(x.toFixed(3)));
+}
+
+function updateLegend() {
+  const info = scalarModeInfo(colorModeSelect.value);
+  legendEl.hidden = !info || !colorRange;
+  if (legendEl.hidden) return;
+  const unit = scalarUnit(info);
+  const suffix = unit ? ` ${unit}` : "";
+  const clamped =
+    colorRange.auto &&
+    (colorRange.min > colorRange.auto.min || colorRange.max < colorRange.auto.max);
+  document.getElementById("legendTitle").textContent =
+    info.label + (clamped ? " (clamped)" : "");
+  document.getElementById("legendBar").style.background = colormapGradient(
+    colormapSelect.value
+  );
+  document.getElementById("legendMin").textContent =
+    formatLegendValue(colorRange.min) + suffix;
+  document.getElementById("legendMax").textContent =
+    formatLegendValue(colorRange.max) + suffix;
+  colorMinInput.placeholder = colorRange.auto ? formatLegendValue(colorRange.auto.min) : "auto";
+  colorMaxInput.placeholder = colorRange.auto ? formatLegendValue(colorRange.auto.max) : "auto";
+
+  let infinite = 0;
+  if (info.infinite) {
+    for (const entry of fileEntries) {
+      if (entryColorMode(entry) !== colorModeSelect.value) continue;
+      for (const x of getEntryScalars(entry, colorModeSelect.value)) if (x === Infinity) infinite++;
+    }
+  }
+  legendNoteEl.hidden = infinite === 0;
+  legendNoteEl.textContent = `${infinite} ${info.infinite} (\u221e), at the top colour`;
+}
+
+function applyColors(geometry, mode, flatColor = 0x219ebc) {
+  const positions = geometry.attributes.position;
+  const count = positions.count;
+  const colors = new Float32Array(count * 3);
+  const indices = geometry.index ? geometry.index.array : null;
+
+  if (mode === "height") {
+    let minZ = Infinity,
+      maxZ = -Infinity;
+    for (let i = 0; i < count; i++) {
+      const z = positions.getZ(i);
+      if (z < minZ) minZ = z;
+      if (z > maxZ) maxZ = z;
+    }
+    const range = maxZ - minZ || 1;
+    for (let i = 0; i < count; i++) {
+      const t = (positions.getZ(i) - minZ) / range;
+      const color = new THREE.Color();
+      color.setHSL(0.66 - t * 0.66, 0.85, 0.55);
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+  } else if (mode === "index") {
+    const numTri = indices ? indices.length / 3 : count / 3;
+    for (let t = 0; t < numTri; t++) {
+      const color = new THREE.Color();
+      color.setHSL((t / numTri) * 0.9, 0.8, 0.55);
+      for (let j = 0; j < 3; j++) {
+        const vi = indices ? indices[t * 3 + j] : t * 3 + j;
+        colors[vi * 3] = color.r;
+        colors[vi * 3 + 1] = color.g;
+        colors[vi * 3 + 2] = color.b;
+      }
+    }
+  } else {
+    const color = new THREE.Color(flatColor);
+    for (let i = 0; i < count; i++) {
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    }
+  }
+
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+}
+
+// A checker with u and v ramps in the cells' tint, so flipped or
+// mirrored UVs are visible.
+let checkerTexture = null;
+function uvCheckerTexture() {
+  if (checkerTexture) return checkerTexture;
+  const cells = 8;
+  const size = 512;
+  const cell = size / cells;
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  for (let i = 0; i < cells; i++) {
+    for (let j = 0; j < cells; j++) {
+      const light = (i + j) % 2 === 0 ? 80 : 35;
+      const r = Math.round(light + (i / cells) * 120);
+      const b = Math.round(light + ((cells - 1 - j) / cells) * 120);
+      ctx.fillStyle = `rgb(${r}, ${light + 40}, ${b})`;
+      ctx.fillRect(i * cell, j * cell, cell, cell);
+    }
+  }
+  ctx.fillStyle = "#fff";
+  ctx.font = `${cell * 0.3}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i < cells; i++) {
+    for (let j = 0; j < cells; j++) {
+      ctx.fillText(`${i},${cells - 1 - j}`, (i + 0.5) * cell, (j + 0.5) * cell);
+    }
+  }
+  checkerTexture = new THREE.CanvasTexture(canvas);
+  checkerTexture.wrapS = checkerTexture.wrapT = THREE.RepeatWrapping;
+  checkerTexture.colorSpace = THREE.SRGBColorSpace;
+  return checkerTexture;
+}
+
+function createNormalHelper(geometry, length, normals = geometry.attributes.normal, color = 0x00ff88) {
+  const positions = geometry.attributes.position;
+  const count = positions.count;
+  const linePositions = new Float32Array(count * 6);
+  for (let i = 0; i < count; i++) {
+    const x = positions.getX(i);
+    const y = positions.getY(i);
+    const z = positions.getZ(i);
+    linePositions[i * 6] = x;
+    linePositions[i * 6 + 1] = y;
+    linePositions[i * 6 + 2] = z;
+    linePositions[i * 6 + 3] = x + normals.getX(i) * length;
+    linePositions[i * 6 + 4] = y + normals.getY(i) * length;
+    linePositions[i * 6 + 5] = z + normals.getZ(i) * length;
+  }
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(linePositions, 3)
+  );
+  return new THREE.LineSegments(
+    lineGeometry,
+    new THREE.LineBasicMaterial({
+      color,
+      opacity: 0.5,
+      transparent: true,
+    })
+  );
+}
+
+// --- Camera ---
+function fitToAll() {
+  const box = new THREE.Box3();
+  for (const entry of fileEntries) {
+    if (!entry.visible || !entry.group || entry.bounds.isEmpty()) continue;
+    box.union(placedBounds(entry));
+  }
+  if (box.isEmpty()) return;
+  box.translate(globalCenter.clone().negate());
+
+  const sphere = new THREE.Sphere();
+  box.getBoundingSphere(sphere);
+  const radius = sphere.radius;
+  const center = sphere.center;
+
+  frameSphere(center, radius);
+  camera.far = radius * 100;
+  camera.updateProjectionMatrix();
+
+  // Scale helpers
+  const s = radius * 0.5;
+  axesHelper.scale.setScalar(s);
+  axesHelper.position.set(box.min.x, box.min.y, box.min.z);
+  gridHelper.scale.setScalar(radius * 0.1);
+  gridHelper.position.set(center.x, center.y, box.min.z);
+  const labels = axesLabelsGroup.children;
+  labels[0].position.set(box.min.x + s * 1.1, box.min.y, box.min.z);
+  labels[1].position.set(box.min.x, box.min.y + s * 1.1, box.min.z);
+  labels[2].position.set(box.min.x, box.min.y, box.min.z + s * 1.1);
+}
+
+function frameSphere(center, radius) {
+  const dist = radius * 2.5;
+  camera.position.set(
+    center.x + dist * 0.7,
+    center.y - dist * 0.7,
+    center.z + dist * 0.5
+  );
+  camera.lookAt(center);
+  controls.target.copy(center);
+  controls.update();
+  camera.near = radius * 0.01;
+  camera.updateProjectionMatrix();
+}
+
+// Frame a single triangle or vertex of a file entry, keeping the far plane
+// set by fitToAll so the rest of the scene stays visible.
+function frameElement(entry, type, index) {
+  const mesh = entry.group && entry.group.getObjectByName("mesh");
+  if (!mesh) return;
+  const pos = mesh.geometry.attributes.position;
+  const { indices } = entry.data;
+  const box = new THREE.Box3();
+  const verts =
+    type === "triangle"
+      ? [indices[index * 3], indices[index * 3 + 1], indices[index * 3 + 2]]
+      : [index];
+  for (const vi of verts) {
+    box.expandByPoint(
+      new THREE.Vector3().fromBufferAttribute(pos, vi).applyMatrix4(mesh.matrixWorld)
+    );
+  }
+  const sphere = new THREE.Sphere();
+  box.getBoundingSphere(sphere);
+  const minRadius = mesh.geometry.boundingSphere.radius * 0.02;
+  frameSphere(sphere.center, Math.max(sphere.radius, minRadius));
+}
+
+// --- Helpers: iterate all file meshes ---
 function forEachMesh(fn) {
   for (const entry of fileEntries) {
     if (!entry.group) continue;
-    fn(entry.group);
+    fn(entry.group);
+  }
+}
+
+// --- UI handlers ---
+// Wireframe, vertices and opacity can be overridden per file.
+wireframeCheck.addEventListener("change", () => fileEntries.forEach(applyEntryStyle));
+verticesCheck.addEventListener("change", () => fileEntries.forEach(applyEntryStyle));
+
+normalsCheck.addEventListener("change", () => {
+  forEachMesh((g) => {
+    const n = g.getObjectByName("normalHelper");
+    if (n) n.visible = normalsCheck.checked;
+  });
+});
+
+indicesCheck.addEventListener("change", () => {
+  forEachMesh((g) => {
+    const l = g.getObjectByName("indexLabels");
+    if (l) l.visible = indicesCheck.checked;
+  });
+  labelsDirty = true;
+});
+
+invisibleFacesCheck.addEventListener("change", () => {
+  forEachMesh((g) => {
+    const h = g.getObjectByName("invisibleFaces");
+    if (h) h.visible = invisibleFacesCheck.checked;
+  });
+  updateStats();
+});
+
+boundariesCheck.addEventListener("change", () => {
+  forEachMesh((g) => {
+    const b = g.getObjectByName("boundaries");
+    if (b) b.visible = boundariesCheck.checked;
+  });
+});
+
+breaklinesCheck.addEventListener("change", () => {
+  forEachMesh((g) => {
+    const b = g.getObjectByName("breaklines");
+    if (b) b.visible = breaklinesCheck.checked;
+  });
+});
+
+for (const [value, text] of Object.entries(LABEL_MODES)) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  labelModeSelect.appendChild(opt);
+}
+labelModeSelect.addEventListener("change", () => (labelsDirty = true));
+labelFilterSelect.addEventListener("change", () => (labelsDirty = true));
+controls.addEventListener("change", () => (labelsDirty = true));
+
+axesCheck.addEventListener("change", () => {
+  axesHelper.visible = axesCheck.checked;
+  axesLabelsGroup.visible = axesCheck.checked;
+});
+
+gridCheck.addEventListener("change", () => {
+  gridHelper.visible = gridCheck.checked;
+});
+
+colorModeSelect.addEventListener("change", () => {
+  // A new mode starts from its automatic range.
+  colorMinInput.value = "";
+  colorMaxInput.value = "";
+  updateColorRange();
+  updateColors();
+});
+colormapSelect.addEventListener("change", updateColors);
+for (const input of [colorMinInput, colorMaxInput]) {
+  input.addEventListener("change", () => {
+    updateColorRange();
+    updateColors();
+  });
+}
+
+opacitySlider.addEventListener("input", () => fileEntries.forEach(applyEntryStyle));
+
+pointSizeSlider.addEventListener("input", () => {
+  forEachMesh((g) => {
+    const p = g.getObjectByName("vertexPoints");
+    if (p) p.material.size = parseFloat(pointSizeSlider.value);
+    const pp = g.getObjectByName("primitivePoints");
+    if (pp) pp.material.size = parseFloat(pointSizeSlider.value) * 1.5;
+    const d = g.getObjectByName("diagnostics");
+    if (d) {
+      d.traverse((o) => {
+        if (o.isPoints) o.material.size = parseFloat(pointSizeSlider.value) * 2;
+      });
+    }
+  });
+});
+
+resetCameraBtn.addEventListener("click", fitToAll);
+fitToViewBtn.addEventListener("click", fitToAll);
+
+function setSide(side) {
+  currentSide = side;
+  const labels = {
+    [THREE.DoubleSide]: "Double",
+    [THREE.FrontSide]: "Front",
+    [THREE.BackSide]: "Back",
+  };
+  toggleSideBtn.textContent = `Side: ${labels[currentSide]}`;
+  forEachMesh((g) => {
+    const m = g.getObjectByName("mesh");
+    if (m) {
+      m.material.side = currentSide;
+      m.material.needsUpdate = true;
+    }
+  });
+  scheduleStateSave();
+}
+
+toggleSideBtn.addEventListener("click", () => {
+  if (currentSide === THREE.DoubleSide) setSide(THREE.FrontSide);
+  else if (currentSide === THREE.FrontSide) setSide(THREE.BackSide);
+  else setSide(THREE.DoubleSide);
+});
+
+// --- File loading ---
+// Files are read and parsed in a worker, one per file, so a job can be
+// cancelled by terminating its worker. Resolves to the file's entries (none
+// if it failed or was cancelled, or with strict rejects instead); each keeps
+// its source file for saving the session.
+function loadFile(file, { strict = false } = {}) {
+  if (!file) return Promise.resolve([]);
+  if (/\.zip$/i.test(file.name)) return openProject(file).then(() => []);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./parse.worker.js", import.meta.url), {
+      type: "module",
+    });
+    const job = {
+      id: loadJobIdCounter++,
+      name: file.name,
+      phase: "reading",
+      loaded: 0,
+      total: file.size,
+      error: null,
+      worker,
+      fail: (message) => (strict ? reject(new Error(message)) : resolve([])),
+    };
+    loadJobs.push(job);
+
+    worker.onmessage = (ev) => {
+      const msg = ev.data;
+      if (msg.type === "progress") {
+        job.phase = msg.phase;
+        job.loaded = msg.loaded;
+        job.total = msg.total;
+        updateLoadJobUI(job);
+      } else if (msg.type === "result") {
+        let entries;
+        try {
+          entries = msg.surfaces.map((s, surface) => {
+            const entry = addGeometry(s.name ? `${file.name} [${s.name}]` : file.name, s);
+            entry.source = { file, surface };
+            if (s.heightmap && !restoring) openHeightmapPanel(entry);
+            return entry;
+          });
+        } catch (err) {
+          failLoadJob(job, err.message);
+          return;
+        }
+        job.fail = null;
+        finishLoadJob(job);
+        emitViewerEvent("load", { files: entries.map(describeEntry) });
+        resolve(entries);
+      } else if (msg.type === "error") {
+        failLoadJob(job, msg.message);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      failLoadJob(job, e.message || "Worker failed");
+    };
+    worker.postMessage({ file });
+    updateFileListUI();
+  });
+}
+
+// Also what cancelling does, which settles a load still waiting.
+function finishLoadJob(job) {
+  if (job.worker) job.worker.terminate();
+  job.worker = null;
+  if (job.fail) job.fail(`${job.name}: load cancelled`);
+  job.fail = null;
+  const idx = loadJobs.indexOf(job);
+  if (idx !== -1) loadJobs.splice(idx, 1);
+  updateFileListUI();
+}
+
+function failLoadJob(job, message) {
+  if (job.worker) job.worker.terminate();
+  job.worker = null;
+  job.error = "Failed to parse file: " + message;
+  if (job.fail) job.fail(`${job.name}: ${message}`);
+  job.fail = null;
+  updateFileListUI();
+}
+
+// Only same-origin URLs are fetched, so a link can't make the viewer request
+// another site. The file is named after the last path segment.
+function loadURL(url, options) {
+  const resolved = new URL(url, location.href);
+  if (resolved.origin !== location.origin) {
+    return Promise.reject(new Error(`${url} is not on this site`));
+  }
+  const name = decodeURIComponent(resolved.pathname.split("/").pop()) || "download";
+  return fetch(resolved)
+    .then((r) => {
+      if (!r.ok) throw new Error(`${url}: HTTP ${r.status}`);
+      return r.blob();
+    })
+    .then((blob) => loadFile(new File([blob], name), options));
+}
+
+// Shows a load that failed before reaching the worker in the file list.
+function reportLoadError(name, message) {
+  loadJobs.push({
+    id: loadJobIdCounter++,
+    name,
+    phase: "reading",
+    loaded: 0,
+    total: 0,
+    error: "Failed to load file: " + message,
+    worker: null,
+  });
+  updateFileListUI();
+}
+
+fileInput.addEventListener("change", () => {
+  for (const f of fileInput.files) loadFile(f);
+  fileInput.value = "";
+});
+
+dropzone.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  dropzone.classList.add("dragover");
+});
+dropzone.addEventListener("dragleave", () =>
+  dropzone.classList.remove("dragover")
+);
+dropzone.addEventListener("drop", (e) => {
+  e.preventDefault();
+  dropzone.classList.remove("dragover");
+  for (const f of e.dataTransfer.files) loadFile(f);
+});
+
+// --- Session ---
+// The loaded files and the view are saved to IndexedDB as they change and
+// restored on reload; a project file holds the same state. The URL hash
+// mirrors the camera, the controls changed from their defaults and the
+// hidden files, so a link reproduces the view of the same files.
+const VIEW_CONTROLS = [
+  "wireframe", "showVertices", "showNormals", "showIndices", "showInvisibleFaces",
+  "showBoundaries", "showBreaklines", "showAxes", "showGrid",
+  // colorMode resets the range, so it goes before colorMin and colorMax.
+  "colorMode", "colormap", "colorMin", "colorMax", "labelMode", "labelFilter",
+  "opacity", "pointSize", "sceneCrs", "sceneUnit", "readoutCrs",
+  "clipMode", "clipX", "clipXPos", "clipXFlip", "clipY", "clipYPos", "clipYFlip",
+  "clipZ", "clipZPos", "clipZFlip", "clipCap",
+];
+const SIDES = { double: THREE.DoubleSide, front: THREE.FrontSide, back: THREE.BackSide };
+const sessionStatusEl = document.getElementById("sessionStatus");
+const projectInput = document.getElementById("projectInput");
+let controlDefaults = {};
+let persistSession = false;
+let restoring = false;
+let saveTimer = null;
+
+function setSessionStatus(text) {
+  sessionStatusEl.textContent = text;
+}
+
+function sideName(side) {
+  return Object.keys(SIDES).find((k) => SIDES[k] === side);
+}
+
+function captureControls() {
+  const values = {};
+  for (const id of VIEW_CONTROLS) {
+    const el = document.getElementById(id);
+    values[id] = el.type === "checkbox" ? el.checked : el.value;
+  }
+  return values;
+}
+
+// Sets controls as if the user had changed them, so their handlers run.
+// Checkbox values may also be "1"/"0" from the URL hash.
+function applyControls(values) {
+  for (const id of VIEW_CONTROLS) {
+    if (!(id in values)) continue;
+    const el = document.getElementById(id);
+    if (el.type === "checkbox") {
+      const checked = values[id] === true || values[id] === "1";
+      if (el.checked === checked) continue;
+      el.checked = checked;
+    } else {
+      if (el.value === String(values[id])) continue;
+      el.value = values[id];
+    }
+    el.dispatchEvent(new Event("input"));
+    el.dispatchEvent(new Event("change"));
+  }
+}
+
+// Camera position and target in original coordinates.
+function captureCamera() {
+  const position = camera.position.clone().add(globalCenter);
+  const target = controls.target.clone().add(globalCenter);
+  return [...position.toArray(), ...target.toArray()];
+}
+
+function applyCamera(values) {
+  camera.position.fromArray(values).sub(globalCenter);
+  controls.target.fromArray(values, 3).sub(globalCenter);
+  camera.lookAt(controls.target);
+  controls.update();
+  labelsDirty = true;
+}
+
+// { manifest, sources } for saveSession and createProject. Files are stored
+// once even when several entries came from them.
+function captureSession() {
+  const sources = [];
+  const files = [];
+  for (const entry of fileEntries) {
+    if (!entry.source) continue;
+    let source = sources.indexOf(entry.source.file);
+    if (source < 0) source = sources.push(entry.source.file) - 1;
+    const { offset, rotation, scale } = entry.transform;
+    const { heightmap } = entry.sourceData;
+    files.push({
+      source,
+      surface: entry.source.surface,
+      name: entry.name,
+      visible: entry.visible,
+      primitiveMode: entry.primitiveMode,
+      crs: { ...entry.crs },
+      style: { ...entry.style },
+      transform: {
+        offset: offset.toArray(),
+        rotation: [rotation.x, rotation.y, rotation.z],
+        scale: scale.toArray(),
+      },
+      heightmap: heightmap ? heightmap.options : null,
+    });
+  }
+  const box = clipState.box;
+  return {
+    manifest: {
+      version: MANIFEST_VERSION,
+      files,
+      view: {
+        controls: captureControls(),
+        side: sideName(currentSide),
+        clipBox: box ? [...box.min.toArray(), ...box.max.toArray()] : null,
+        camera: captureCamera(),
+      },
+    },
+    sources: sources.map((file) => ({ name: file.name, blob: file })),
+  };
+}
+
+function applyFileRecord(entry, record) {
+  setEntryVisible(entry, record.visible);
+  Object.assign(entry.style, record.style);
+  entry.transform.offset.fromArray(record.transform.offset);
+  entry.transform.rotation.fromArray(record.transform.rotation);
+  clampScale(entry.transform.scale.fromArray(record.transform.scale));
+  const { heightmap } = entry.sourceData;
+  const retriangulate =
+    heightmap && record.heightmap &&
+    JSON.stringify(record.heightmap) !== JSON.stringify(heightmap.options);
+  const changed =
+    record.crs.epsg !== entry.crs.epsg || record.crs.unit !== entry.crs.unit ||
+    (record.primitiveMode ?? null) !== entry.primitiveMode;
+  entry.crs = { ...record.crs };
+  entry.primitiveMode = record.primitiveMode ?? null;
+  if (retriangulate) replaceEntryData(entry, parseHeightmapJSON(heightmap, record.heightmap));
+  else if (changed) replaceEntryData(entry, entry.sourceData);
+}
+
+// Replaces the loaded files and view with a saved session or project.
+async function restoreSession({ manifest, sources }) {
+  restoring = true;
+  try {
+    for (const entry of [...fileEntries]) removeGeometry(entry.id);
+    const loaded = await Promise.all(
+      sources.map((s) => (s ? loadFile(new File([s.blob], s.name)) : []))
+    );
+    const ordered = [];
+    for (const record of manifest.files) {
+      const entry = (loaded[record.source] || []).find(
+        (e) => e.source.surface === record.surface
+      );
+      if (!entry || ordered.includes(entry)) continue;
+      applyFileRecord(entry, record);
+      ordered.push(entry);
+    }
+    // Surfaces that had been removed before saving.
+    for (const entry of [...fileEntries]) {
+      if (!ordered.includes(entry)) removeGeometry(entry.id);
+    }
+    fileEntries.splice(0, fileEntries.length, ...ordered);
+    for (const entry of fileEntries) {
+      placeGroup(entry);
+      applyEntryStyle(entry);
+    }
+    updateColorRange();
+    updateColors();
+
+    const { view } = manifest;
+    applyControls(view.controls);
+    setSide(SIDES[view.side] ?? THREE.DoubleSide);
+    if (view.clipBox) {
+      clipState.box = new THREE.Box3(
+        new THREE.Vector3().fromArray(view.clipBox),
+        new THREE.Vector3().fromArray(view.clipBox, 3)
+      );
+      onClipChange();
+    }
+    if (view.camera) applyCamera(view.camera);
+  } finally {
+    restoring = false;
+  }
+  updateStats();
+  updateFileListUI();
+}
+
+function viewHash() {
+  const controls = {};
+  for (const [id, value] of Object.entries(captureControls())) {
+    if (value !== controlDefaults[id]) controls[id] = value;
+  }
+  if (currentSide !== THREE.DoubleSide) controls.side = sideName(currentSide);
+  return encodeViewHash({
+    camera: fileEntries.length > 0 ? captureCamera() : null,
+    controls,
+    hidden: fileEntries.flatMap((e, i) => (e.visible ? [] : [i])),
+  });
+}
+
+// A hash describes the whole view: controls it leaves out are at their
+// defaults and files it doesn't hide are shown.
+function applyViewHash(hash) {
+  if (hash.replace(/^#/, "") === "") return;
+  const view = decodeViewHash(hash);
+  applyControls({ ...controlDefaults, ...view.controls });
+  setSide(SIDES[view.controls.side] ?? THREE.DoubleSide);
+  fileEntries.forEach((entry, i) => setEntryVisible(entry, !view.hidden.includes(i)));
+  if (view.camera) applyCamera(view.camera);
+  updateStats();
+  updateProfile();
+  updateFileListUI();
+}
+
+function saveState() {
+  clearTimeout(saveTimer);
+  history.replaceState(null, "", `#${viewHash()}`);
+  return saveSession(captureSession()).catch((err) =>
+    setSessionStatus(`Session not saved: ${err.message}`)
+  );
+}
+
+function scheduleStateSave() {
+  if (!persistSession || restoring) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveState, 1000);
+}
+
+function openProject(file) {
+  setSessionStatus(`Opening ${file.name}\u2026`);
+  return readProject(file)
+    .then(restoreSession)
+    .then(() => {
+      setSessionStatus(`Opened ${file.name}`);
+      scheduleStateSave();
+    })
+    .catch((err) => setSessionStatus(`Could not open ${file.name}: ${err.message}`));
+}
+
+function loadDefaultGeometry() {
+  return loadURL(import.meta.env.BASE_URL + "default-geometry.json").catch((err) =>
+    reportLoadError("default-geometry.json", err.message)
+  );
+}
+
+document.getElementById("panel").addEventListener("input", scheduleStateSave);
+document.getElementById("panel").addEventListener("change", scheduleStateSave);
+controls.addEventListener("end", scheduleStateSave);
+gizmo.addEventListener("mouseUp", scheduleStateSave);
+window.addEventListener("hashchange", () => applyViewHash(location.hash));
+
+document.getElementById("projectSave").addEventListener("click", () => {
+  setSessionStatus("Saving project\u2026");
+  createProject(captureSession())
+    .then((blob) => {
+      downloadBlob(blob, "project.zip");
+      setSessionStatus("");
+    })
+    .catch((err) => setSessionStatus(`Project not saved: ${err.message}`));
+});
+projectInput.addEventListener("change", () => {
+  if (projectInput.files[0]) openProject(projectInput.files[0]);
+  projectInput.value = "";
+});
+document.getElementById("copyViewLink").addEventListener("click", () => {
+  history.replaceState(null, "", `#${viewHash()}`);
+  navigator.clipboard
+    .writeText(location.href)
+    .then(() => setSessionStatus("View link copied"))
+    .catch(() => setSessionStatus("Copy failed; the link is in the address bar"));
+});
+document.getElementById("sessionClear").addEventListener("click", () => {
+  clearTimeout(saveTimer);
+  clearSession()
+    .then(() => setSessionStatus("Saved session cleared"))
+    .catch((err) => setSessionStatus(`Session not cleared: ${err.message}`));
+});
+
+// --- Hover ---
+const mouseClient = new THREE.Vector2();
+canvas.addEventListener("mousemove", (e) => {
+  mouseClient.set(e.clientX, e.clientY);
+  if (labelFilterSelect.value === "cursor") labelsDirty = true;
+});
+
+// A surface hit in scene coordinates, interpolated from the entry's
+// double-precision vertices instead of the float32 render positions.
+function hitToOriginal(hit, entry) {
+  const pos = hit.object.geometry.attributes.position;
+  const corners = [hit.face.a, hit.face.b, hit.face.c];
+  const [a, b, c] = corners.map((v) => new THREE.Vector3().fromBufferAttribute(pos, v));
+  const local = hit.object.worldToLocal(hit.point.clone());
+  const bary = new THREE.Triangle(a, b, c).getBarycoord(local, new THREE.Vector3());
+  if (!bary) {
+    return [hit.point.x + globalCenter.x, hit.point.y + globalCenter.y, hit.point.z + globalCenter.z];
+  }
+  const { vertices } = entry.data;
+  const w = [bary.x, bary.y, bary.z];
+  return entryToScene(
+    entry,
+    [0, 1, 2].map((k) => corners.reduce((sum, v, j) => sum + w[j] * vertices[v * 3 + k], 0))
+  );
+}
+
+// First surface hit under a client position, if any.
+function raycastSurfaces(clientX, clientY) {
+  const viewport = viewportAt(clientX);
+  raycaster.setFromCamera(clientToNDC(clientX, clientY, viewport), camera);
+  const meshes = [];
+  for (const entry of fileEntries) {
+    if (!entry.visible || !entry.group || entry.id === viewport.hiddenId) continue;
+    const m = entry.group.getObjectByName("mesh");
+    if (m) meshes.push(m);
+  }
+  return raycaster.intersectObjects(meshes).find(isHitInsideClip) || null;
+}
+
+function updateHoverInfo() {
+  const hit = raycastSurfaces(mouseClient.x, mouseClient.y);
+  let hover = null;
+  if (hit) {
+    const entry = fileEntries.find((e) => e.id === hit.object.userData.entryId);
+    const point = hitToOriginal(hit, entry);
+    hoverInfoEl.textContent = `Tri #${hit.faceIndex} | ${formatCoord(entry, point)}`;
+    hover = { file: entry.id, triangle: hit.faceIndex, point };
+  } else {
+    hoverInfoEl.textContent = "";
+  }
+  if (hover?.file !== lastHover?.file || hover?.triangle !== lastHover?.triangle) {
+    emitViewerEvent("hover", hover);
+  }
+  lastHover = hover;
+}
+
+// --- Selection ---
+function pick(clientX, clientY) {
+  const viewport = viewportAt(clientX);
+  raycaster.setFromCamera(clientToNDC(clientX, clientY, viewport), camera);
+  const meshes = [];
+  for (const entry of fileEntries) {
+    if (!entry.visible || !entry.group || entry.id === viewport.hiddenId) continue;
+    const m = entry.group.getObjectByName("mesh");
+    if (m) meshes.push(m);
+    const hidden = entry.group.getObjectByName("invisibleFaces");
+    if (hidden && hidden.visible) meshes.push(hidden);
+  }
+  const hit = raycaster.intersectObjects(meshes).find(isHitInsideClip);
+  if (!hit) return null;
+
+  const entryId = hit.object.userData.entryId;
+  const triangleMap = hit.object.userData.triangles;
+  const faceIndex = triangleMap ? triangleMap[hit.faceIndex] : hit.faceIndex;
+  const pos = hit.object.geometry.attributes.position;
+  let nearest = null;
+  let nearestDist = Infinity;
+  for (const vi of [hit.face.a, hit.face.b, hit.face.c]) {
+    const p = new THREE.Vector3()
+      .fromBufferAttribute(pos, vi)
+      .applyMatrix4(hit.object.matrixWorld)
+      .project(camera);
+    const [px, py] = ndcToClient(p, viewport);
+    const d = Math.hypot(px - clientX, py - clientY);
+    if (d < nearestDist) {
+      nearestDist = d;
+      nearest = vi;
+    }
+  }
+  if (nearestDist <= VERTEX_PICK_PIXELS) {
+    return { entryId, type: "vertex", index: nearest };
+  }
+  return { entryId, type: "triangle", index: faceIndex };
+}
+
+function isSameSelection(a, b) {
+  return a.entryId === b.entryId && a.type === b.type && a.index === b.index;
+}
+
+function setSelection(items, additive = false) {
+  if (additive) {
+    for (const item of items) {
+      const i = selection.findIndex((s) => isSameSelection(s, item));
+      if (i === -1) selection.push(item);
+      else selection.splice(i, 1);
+    }
+  } else {
+    selection = items;
+  }
+  updateSelectionHighlight();
+  updateInspector();
+  drawUV();
+  emitViewerEvent("select", { selection: selection.map(describeElement) });
+}
+
+// The highlight lives in the entry's group so it follows its placement.
+function updateSelectionHighlight() {
+  for (const entry of fileEntries) {
+    if (!entry.group) continue;
+    const old = entry.group.getObjectByName("selectionHighlight");
+    if (old) {
+      entry.group.remove(old);
+      disposeGroup(old);
+    }
+    const items = selection.filter((s) => s.entryId === entry.id);
+    if (items.length === 0) continue;
+    const pos = entry.group.getObjectByName("mesh").geometry.attributes.position;
+    const { indices } = entry.data;
+
+    const triPositions = [];
+    const edgePositions = [];
+    const pointPositions = [];
+    const push = (arr, vi) =>
+      arr.push(pos.getX(vi), pos.getY(vi), pos.getZ(vi));
+    for (const item of items) {
+      if (item.type === "triangle") {
+        const t = item.index;
+        const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        for (let j = 0; j < 3; j++) {
+          push(triPositions, tri[j]);
+          push(edgePositions, tri[j]);
+          push(edgePositions, tri[(j + 1) % 3]);
+          push(pointPositions, tri[j]);
+        }
+      } else {
+        push(pointPositions, item.index);
+      }
+    }
+
+    const group = new THREE.Group();
+    group.name = "selectionHighlight";
+    if (triPositions.length > 0) {
+      group.add(
+        new THREE.Mesh(
+          positionsGeometry(triPositions),
+          new THREE.MeshBasicMaterial({
+            color: 0x00e5ff,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.5,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2,
+          })
+        )
+      );
+      group.add(
+        new THREE.LineSegments(
+          positionsGeometry(edgePositions),
+          new THREE.LineBasicMaterial({ color: 0x00e5ff, depthTest: false })
+        )
+      );
+    }
+    group.add(
+      new THREE.Points(
+        positionsGeometry(pointPositions),
+        new THREE.PointsMaterial({
+          color: 0xffffff,
+          size: parseFloat(pointSizeSlider.value) * 2.5,
+          sizeAttenuation: true,
+          depthTest: false,
+        })
+      )
+    );
+    clipObject(group);
+    entry.group.add(group);
+  }
+}
+
+function positionsGeometry(arr) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(arr), 3)
+  );
+  return geometry;
+}
+
+// --- Inspector ---
+function formatVec(v, digits = 6) {
+  return `(${v.map((x) => (x == null ? "?" : x.toFixed(digits))).join(", ")})`;
+}
+
+function addInspectorRow(parent, label, value) {
+  const row = document.createElement("div");
+  row.className = "insp-row";
+  const l = document.createElement("span");
+  l.className = "insp-label";
+  l.textContent = label;
+  row.appendChild(l);
+  if (value instanceof Node) row.appendChild(value);
+  else row.appendChild(document.createTextNode(value));
+  parent.appendChild(row);
+}
+
+function selectionLinks(entry, type, list) {
+  const span = document.createElement("span");
+  if (list.length === 0) span.textContent = "none";
+  list.forEach((index, i) => {
+    if (i > 0) span.appendChild(document.createTextNode(", "));
+    const a = document.createElement("a");
+    a.href = "#";
+    a.textContent = String(index);
+    a.addEventListener("click", (e) => {
+      e.preventDefault();
+      setSelection([{ entryId: entry.id, type, index }], e.shiftKey);
+    });
+    span.appendChild(a);
+  });
+  return span;
+}
+
+function updateInspector() {
+  inspectorBodyEl.innerHTML = "";
+  inspectorEl.hidden = selection.length === 0;
+  for (const item of selection) {
+    const entry = fileEntries.find((e) => e.id === item.entryId);
+    if (!entry) continue;
+    const card = document.createElement("div");
+    card.className = "insp-card";
+    const title = document.createElement("div");
+    title.className = "insp-title";
+    card.appendChild(title);
+
+    if (item.type === "triangle") {
+      const info = triangleInfo(entry.data, item.index);
+      title.textContent = `Tri #${info.triangle}`;
+      title.title = entry.name;
+      addInspectorRow(card, "File", entry.name);
+      // Decoded triangles have no slots of their own in the file.
+      const { topology } = entry.data;
+      if (topology) {
+        const { label } = PRIMITIVE_MODES[topology.mode];
+        addInspectorRow(card, "Primitive", `${label} #${topology.triangleSource[item.index]}`);
+      }
+      for (let j = 0; j < 3; j++) {
+        addInspectorRow(
+          card,
+          topology ? `v${info.vertices[j]}` : `[${info.slots[j]}] → v${info.vertices[j]}`,
+          formatCoord(entry, info.coords[j])
+        );
+      }
+      addInspectorRow(card, "Normal", formatVec(info.normal, 4));
+      addInspectorRow(card, "Area", info.area.toFixed(6));
+      addInspectorRow(card, "Slope", `${info.slope.toFixed(2)}°`);
+      addInspectorRow(
+        card,
+        "Neighbors",
+        selectionLinks(entry, "triangle", info.neighbors)
+      );
+    } else {
+      const info = vertexInfo(entry.data, item.index);
+      title.textContent = `Vertex #${info.vertex}`;
+      title.title = entry.name;
+      addInspectorRow(card, "File", entry.name);
+      addInspectorRow(card, "Coord", formatCoord(entry, info.coords));
+      addInspectorRow(card, "Normal", formatVec(info.normal, 4));
+      addVertexDataRows(card, entry.data, info);
+      const { topology } = entry.data;
+      const slots = topology
+        ? Array.from(topology.indices.keys()).filter((s) => topology.indices[s] === info.vertex)
+        : info.slots;
+      addInspectorRow(card, "Slots", slots.join(", ") || "none");
+      addInspectorRow(
+        card,
+        "Triangles",
+        selectionLinks(entry, "triangle", info.triangles)
+      );
+    }
+    inspectorBodyEl.appendChild(card);
+  }
+}
+
+// The file's own per-vertex data, when it has any.
+function addVertexDataRows(card, data, info) {
+  const v = info.vertex;
+  const vector = (values, size) => Array.from(values.subarray(v * size, v * size + size), (x) =>
+    Number.isFinite(x) ? x : null
+  );
+  if (data.normals) {
+    addInspectorRow(card, "File normal", formatVec(vector(data.normals, 3), 4));
+    const given = new THREE.Vector3().fromArray(data.normals, v * 3);
+    const computed = new THREE.Vector3().fromArray(info.normal);
+    if (given.lengthSq() > 0 && computed.lengthSq() > 0) {
+      addInspectorRow(card, "Mismatch", `${THREE.MathUtils.radToDeg(given.angleTo(computed)).toFixed(2)}°`);
+    }
+  }
+  if (data.tangents) addInspectorRow(card, "Tangent", formatVec(vector(data.tangents, 3), 4));
+  if (data.uvs) addInspectorRow(card, "UV", formatVec(vector(data.uvs, 2), 4));
+  if (data.colors) addInspectorRow(card, "Colour", formatVec(vector(data.colors, 3), 3));
+  for (const [name, values] of Object.entries(data.attributes || {})) {
+    const x = values[v];
+    addInspectorRow(card, name, Number.isFinite(x) ? formatLegendValue(x) : "?");
+  }
+}
+
+// Treat a pointer press as a click only if it did not drag the camera.
+let pointerDown = null;
+canvas.addEventListener("pointerdown", (e) => {
+  pointerDown = { x: e.clientX, y: e.clientY };
+});
+canvas.addEventListener("pointerup", (e) => {
+  if (!pointerDown || e.button !== 0) return;
+  const moved = Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y);
+  pointerDown = null;
+  if (moved > 4) return;
+  if (profile.drawing) {
+    addProfilePoint(e.clientX, e.clientY);
+    return;
+  }
+  if (measure.active) {
+    addMeasurePoint(e.clientX, e.clientY);
+    return;
+  }
+  const hit = pick(e.clientX, e.clientY);
+  if (hit) setSelection([hit], e.shiftKey);
+  else if (!e.shiftKey) setSelection([]);
+});
+
+document.getElementById("clearSelection").addEventListener("click", () =>
+  setSelection([])
+);
+
+// --- Jump-to-index search ---
+// Lists the loaded files in a select, keeping its current choice.
+function fillFileSelect(select, filter = null) {
+  const previous = select.value;
+  select.innerHTML = "";
+  const entries = filter ? fileEntries.filter(filter) : fileEntries;
+  for (const entry of entries) {
+    const opt = document.createElement("option");
+    opt.value = String(entry.id);
+    opt.textContent = entry.name;
+    select.appendChild(opt);
+  }
+  if (entries.some((e) => String(e.id) === previous)) {
+    select.value = previous;
+  }
+}
+
+function getSelectedEntry(select) {
+  return fileEntries.find((e) => String(e.id) === select.value) || null;
+}
+
+function runSearch() {
+  searchStatusEl.textContent = "";
+  const query = parseIndexQuery(searchQueryInput.value);
+  if (!query) {
+    searchStatusEl.textContent = 'Try "tri 12", "vertex 34" or "slot 56"';
+    return;
+  }
+  const entry = getSelectedEntry(searchFileSelect);
+  if (!entry) {
+    searchStatusEl.textContent = "No file loaded";
+    return;
+  }
+  const { indices, vertices } = entry.data;
+  const limits = {
+    triangle: Math.floor(indices.length / 3),
+    vertex: Math.floor(vertices.length / 3),
+    slot: indices.length,
+  };
+  if (query.index >= limits[query.type]) {
+    searchStatusEl.textContent = `Out of range (${query.type} count: ${limits[query.type]})`;
+    return;
+  }
+
+  let items;
+  if (query.type === "slot") {
+    const vi = indices[query.index];
+    const t = Math.floor(query.index / 3);
+    items = [{ entryId: entry.id, type: "triangle", index: t }];
+    if (Number.isInteger(vi) && vi >= 0 && vi < limits.vertex) {
+      items.push({ entryId: entry.id, type: "vertex", index: vi });
+    }
+    searchStatusEl.textContent = `Slot ${query.index} → vertex ${vi} in tri ${t}`;
+  } else {
+    items = [{ entryId: entry.id, type: query.type, index: query.index }];
+  }
+
+  if (!entry.visible) {
+    setEntryVisible(entry, true);
+    updateFileListUI();
+    updateStats();
+  }
+  setSelection(items);
+  frameElement(entry, items[0].type, items[0].index);
+}
+
+document.getElementById("searchGo").addEventListener("click", runSearch);
+searchQueryInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") runSearch();
+});
+
+// --- Index-order playback ---
+// Draws only the first N triangles of an entry (via the draw range) and
+// highlights triangle N - 1. Each entry keeps its own position and speed.
+function updatePlaybackUI() {
+  const entry = getSelectedEntry(playbackFileSelect);
+  const triCount = entry ? Math.floor(entry.data.indices.length / 3) : 0;
+  playbackSlider.max = triCount;
+  playbackSlider.value = entry ? entry.playback.count : 0;
+  playbackSpeedInput.value = entry ? entry.playback.speed : 50;
+  playbackPlayBtn.textContent = entry && entry.playback.playing ? "Pause" : "Play";
+  if (!entry || entry.playback.count >= triCount) {
+    playbackInfoEl.textContent = entry ? `${triCount} / ${triCount}` : "";
+    return;
+  }
+  const { indices, vertices } = entry.data;
+  const t = entry.playback.count - 1;
+  const lines = [`${entry.playback.count} / ${triCount}`];
+  if (t >= 0) {
+    const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    lines.push(`Triangle ${t}: [${tri.join(", ")}]`);
+    for (const vi of tri) {
+      const v =
+        vi >= 0 && vi * 3 < vertices.length ? Array.from(vertices.subarray(vi * 3, vi * 3 + 3)) : null;
+      lines.push(`  ${vi}: ${v ? formatVec(v, 3) : "invalid"}`);
+    }
+  }
+  playbackInfoEl.textContent = lines.join("\n");
+}
+
+// Number of wireframe edges drawn after each triangle. Mirrors how
+// THREE.WireframeGeometry emits edges: per triangle, skipping edges whose
+// end positions were already seen in either direction.
+function getWireEdgeCounts(entry, geometry) {
+  if (entry.playback.wireEdges) return entry.playback.wireEdges;
+  const { topology } = entry.data;
+  if (topology && topology.edges.length > 0) {
+    entry.playback.wireEdges = getOutlineEdgeCounts(topology);
+    return entry.playback.wireEdges;
+  }
+  const index = geometry.index.array;
+  const pos = geometry.attributes.position;
+  const key = (vi) => `${pos.getX(vi)},${pos.getY(vi)},${pos.getZ(vi)}`;
+  const triCount = index.length / 3;
+  const counts = new Uint32Array(triCount + 1);
+  const seen = new Set();
+  let n = 0;
+  for (let t = 0; t < triCount; t++) {
+    for (let j = 0; j < 3; j++) {
+      const a = key(index[t * 3 + j]);
+      const b = key(index[t * 3 + ((j + 1) % 3)]);
+      const edge = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (!seen.has(edge)) {
+        seen.add(edge);
+        n++;
+      }
+    }
+    counts[t + 1] = n;
+  }
+  entry.playback.wireEdges = counts;
+  return counts;
+}
+
+// The same for quad and polygon outlines, which are emitted polygon by
+// polygon: n edges for the n - 2 triangles of each fan. A polygon's whole
+// outline shows once its first triangle is drawn.
+function getOutlineEdgeCounts(topology) {
+  const source = topology.triangleSource;
+  const trianglesPer = new Uint32Array(topology.primitiveCount);
+  for (const p of source) trianglesPer[p]++;
+  const edgesThrough = new Uint32Array(topology.primitiveCount);
+  let n = 0;
+  trianglesPer.forEach((k, p) => {
+    if (k > 0) n += k + 2;
+    edgesThrough[p] = n;
+  });
+  const counts = new Uint32Array(source.length + 1);
+  source.forEach((p, t) => (counts[t + 1] = edgesThrough[p]));
+  return counts;
+}
+
+function applyPlayback(entry) {
+  if (!entry.group) return;
+  const { count } = entry.playback;
+  const triCount = Math.floor(entry.data.indices.length / 3);
+  const active = count < triCount;
+  const mesh = entry.group.getObjectByName("mesh");
+  const wire = entry.group.getObjectByName("wireOverlay");
+  mesh.geometry.setDrawRange(0, active ? count * 3 : Infinity);
+  const faces = entry.group.getObjectByName("faceColors");
+  if (faces) faces.geometry.setDrawRange(0, active ? count * 3 : Infinity);
+  if (wire) {
+    const edges = active ? getWireEdgeCounts(entry, mesh.geometry)[count] : null;
+    wire.geometry.setDrawRange(0, active ? edges * 2 : Infinity);
+  }
+
+  let highlight = entry.group.getObjectByName("playbackHighlight");
+  const { indices } = entry.data;
+  const t = count - 1;
+  const tri = active && t >= 0 ? [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]] : null;
+  if (!tri || tri.some((vi) => vi < 0 || vi * 3 >= entry.data.vertices.length)) {
+    if (highlight) highlight.visible = false;
+    return;
+  }
+  if (!highlight) {
+    highlight = new THREE.Group();
+    highlight.name = "playbackHighlight";
+    const geometry = positionsGeometry(new Array(9).fill(0));
+    highlight.add(
+      new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({
+          color: 0xff9f1c,
+          side: THREE.DoubleSide,
+          transparent: true,
+          opacity: 0.6,
+          polygonOffset: true,
+          polygonOffsetFactor: -2,
+          depthTest: false,
+        })
+      ),
+      new THREE.LineLoop(
+        geometry,
+        new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false })
+      ),
+      new THREE.Points(
+        geometry,
+        new THREE.PointsMaterial({
+          color: 0xff9f1c,
+          size: parseFloat(pointSizeSlider.value) * 2,
+          depthTest: false,
+        })
+      )
+    );
+    for (const child of highlight.children) {
+      child.renderOrder = 10;
+      child.frustumCulled = false;
+    }
+    clipObject(highlight);
+    entry.group.add(highlight);
+  }
+  const src = mesh.geometry.attributes.position;
+  const dst = highlight.children[0].geometry.attributes.position;
+  for (let j = 0; j < 3; j++) dst.copyAt(j, src, tri[j]);
+  dst.needsUpdate = true;
+  highlight.visible = true;
+}
+
+function setPlaybackCount(entry, count) {
+  const triCount = Math.floor(entry.data.indices.length / 3);
+  entry.playback.count = Math.max(0, Math.min(triCount, count));
+  applyPlayback(entry);
+  labelsDirty = true;
+  if (entry === getSelectedEntry(playbackFileSelect)) updatePlaybackUI();
+}
+
+function stepPlayback(dt) {
+  let stopped = false;
+  for (const entry of fileEntries) {
+    const pb = entry.playback;
+    if (!pb.playing) continue;
+    pb.acc += dt * pb.speed;
+    const steps = Math.floor(pb.acc);
+    if (steps === 0) continue;
+    pb.acc -= steps;
+    const triCount = Math.floor(entry.data.indices.length / 3);
+    if (pb.count + steps >= triCount) {
+      pb.playing = false;
+      stopped = true;
+    }
+    setPlaybackCount(entry, pb.count + steps);
+  }
+  if (stopped) updateStats();
+}
+
+playbackFileSelect.addEventListener("change", updatePlaybackUI);
+playbackPlayBtn.addEventListener("click", () => {
+  const entry = getSelectedEntry(playbackFileSelect);
+  if (!entry) return;
+  const pb = entry.playback;
+  pb.playing = !pb.playing;
+  pb.acc = 0;
+  if (pb.playing && pb.count >= Math.floor(entry.data.indices.length / 3)) {
+    setPlaybackCount(entry, 0);
+  }
+  if (!pb.playing) updateStats();
+  updatePlaybackUI();
+});
+playbackSlider.addEventListener("input", () => {
+  const entry = getSelectedEntry(playbackFileSelect);
+  if (!entry) return;
+  entry.playback.playing = false;
+  setPlaybackCount(entry, parseInt(playbackSlider.value));
+  updateStats();
+});
+for (const [id, delta] of [["playbackPrev", -1], ["playbackNext", 1]]) {
+  document.getElementById(id).addEventListener("click", () => {
+    const entry = getSelectedEntry(playbackFileSelect);
+    if (!entry) return;
+    entry.playback.playing = false;
+    setPlaybackCount(entry, entry.playback.count + delta);
+    updateStats();
+  });
+}
+playbackSpeedInput.addEventListener("change", () => {
+  const entry = getSelectedEntry(playbackFileSelect);
+  const speed = parseFloat(playbackSpeedInput.value);
+  if (entry && speed > 0) entry.playback.speed = speed;
+});
+
+// --- Vertex cache analysis ---
+// entry.vertexCache = { size, policy, view, original, optimized }, where
+// original/optimized hold simulateVertexCache stats plus the measured
+// overdraw; optimized also has the optimizer's triangle order and indices.
+const OVERDRAW_TARGET_SIZE = 512;
+
+for (const [select, options] of [
+  [cachePolicySelect, CACHE_POLICIES],
+  [cacheOptimizerSelect, CACHE_OPTIMIZERS],
+]) {
+  for (const [value, text] of Object.entries(options)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    select.appendChild(opt);
+  }
+}
+
+function getCacheSettings() {
+  return {
+    size: Math.max(4, parseInt(cacheSizeInput.value) || 32),
+    policy: cachePolicySelect.value,
+  };
+}
+
+function analyzeOrder(entry, indices, { size, policy }) {
+  return {
+    ...simulateVertexCache(indices, entry.data.vertices.length / 3, size, policy),
+    overdraw: measureOverdraw(entry, indices),
+  };
+}
+
+// Average shaded fragments per covered pixel from the current view: each
+// fragment passing the depth test adds 1 to the red channel.
+function measureOverdraw(entry, indices) {
+  const mesh = entry.group && entry.group.getObjectByName("mesh");
+  if (!mesh) return 0;
+  const scale = OVERDRAW_TARGET_SIZE / Math.max(window.innerWidth, window.innerHeight);
+  const w = Math.max(1, Math.round(window.innerWidth * scale));
+  const h = Math.max(1, Math.round(window.innerHeight * scale));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", mesh.geometry.attributes.position);
+  geometry.setIndex(toIndexAttribute(indices, entry.data.vertices.length / 3));
+  const material = new THREE.MeshBasicMaterial({
+    color: new THREE.Color(1 / 255, 1 / 255, 1 / 255),
+    blending: THREE.AdditiveBlending,
+    side: currentSide,
+  });
+  const probe = new THREE.Mesh(geometry, material);
+  probe.matrixAutoUpdate = false;
+  probe.matrix.copy(mesh.matrixWorld);
+  const probeScene = new THREE.Scene();
+  probeScene.add(probe);
+
+  const target = new THREE.WebGLRenderTarget(w, h);
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+  renderer.setRenderTarget(target);
+  renderer.setClearColor(0x000000, 0);
+  renderer.clear();
+  renderer.render(probeScene, camera);
+  const pixels = new Uint8Array(w * h * 4);
+  renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+  renderer.setRenderTarget(null);
+  renderer.setClearColor(clearColor, clearAlpha);
+  target.dispose();
+  geometry.dispose();
+  material.dispose();
+
+  let covered = 0;
+  let fragments = 0;
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i] === 0) continue;
+    covered++;
+    fragments += pixels[i];
+  }
+  return covered > 0 ? fragments / covered : 0;
+}
+
+function updateVertexCacheOverlay(entry) {
+  if (!entry.group) return;
+  const old = entry.group.getObjectByName("vertexCache");
+  if (old) {
+    entry.group.remove(old);
+    disposeGroup(old);
+  }
+  const vc = entry.vertexCache;
+  if (!vc || !cacheShowMissesCheck.checked) return;
+  const result = vc.view === "optimized" && vc.optimized ? vc.optimized : vc.original;
+  const indices = result.indices || entry.data.indices;
+  const positions = entry.group.getObjectByName("mesh").geometry.attributes.position.array;
+  const overlay = buildVertexCacheOverlay(positions, indices, result.misses);
+  clipObject(overlay);
+  entry.group.add(overlay);
+}
+
+function describeCacheResult(label, r) {
+  return (
+    `${label}: ACMR ${r.acmr.toFixed(3)} \u00b7 ATVR ${r.atvr.toFixed(3)}` +
+    ` \u00b7 overdraw ${r.overdraw.toFixed(2)}`
+  );
+}
+
+function updateCacheUI() {
+  const entry = getSelectedEntry(cacheFileSelect);
+  const vc = entry && entry.vertexCache;
+  cacheViewSelect.disabled = !(vc && vc.optimized);
+  if (!vc) {
+    cacheResultsEl.textContent = "";
+    return;
+  }
+  cacheViewSelect.value = vc.optimized ? vc.view : "original";
+  const lines = [`${CACHE_POLICIES[vc.policy]}, ${vc.size} entries`];
+  lines.push(describeCacheResult("Original", vc.original));
+  if (vc.optimized) {
+    lines.push(describeCacheResult(CACHE_OPTIMIZERS[vc.optimized.method], vc.optimized));
+  }
+  cacheResultsEl.textContent = lines.join("\n");
+}
+
+function runCacheAnalysis(entry) {
+  const settings = getCacheSettings();
+  const previous = entry.vertexCache;
+  entry.vertexCache = {
+    ...settings,
+    view: previous ? previous.view : "original",
+    original: analyzeOrder(entry, entry.data.indices, settings),
+    optimized: null,
+  };
+  if (previous && previous.optimized) {
+    const { method, order, indices } = previous.optimized;
+    entry.vertexCache.optimized = {
+      method,
+      order,
+      indices,
+      ...analyzeOrder(entry, indices, settings),
+    };
+  }
+}
+
+document.getElementById("cacheAnalyze").addEventListener("click", () => {
+  const entry = getSelectedEntry(cacheFileSelect);
+  if (!entry) return;
+  runCacheAnalysis(entry);
+  updateVertexCacheOverlay(entry);
+  updateCacheUI();
+});
+document.getElementById("cacheOptimize").addEventListener("click", () => {
+  const entry = getSelectedEntry(cacheFileSelect);
+  if (!entry) return;
+  const settings = getCacheSettings();
+  const method = cacheOptimizerSelect.value;
+  const { indices, vertices } = entry.data;
+  const order = optimizeVertexCache(indices, vertices.length / 3, settings.size, method);
+  const optimizedIndices = reorderTriangles(indices, order);
+  entry.vertexCache = {
+    ...settings,
+    view: "optimized",
+    original: analyzeOrder(entry, indices, settings),
+    optimized: {
+      method,
+      order,
+      indices: optimizedIndices,
+      ...analyzeOrder(entry, optimizedIndices, settings),
+    },
+  };
+  updateVertexCacheOverlay(entry);
+  updateCacheUI();
+});
+cacheFileSelect.addEventListener("change", updateCacheUI);
+cacheViewSelect.addEventListener("change", () => {
+  const entry = getSelectedEntry(cacheFileSelect);
+  if (!entry || !entry.vertexCache) return;
+  entry.vertexCache.view = cacheViewSelect.value;
+  updateVertexCacheOverlay(entry);
+});
+cacheShowMissesCheck.addEventListener("change", () => {
+  for (const entry of fileEntries) updateVertexCacheOverlay(entry);
+});
+
+// --- Surface comparison ---
+// The compare entry gets per-vertex differences against the base and is
+// shown in the "difference" colour mode; positive values (compare above
+// base) are fill, negative values cut.
+function clearDifferencesAgainst(base) {
+  for (const entry of fileEntries) {
+    if (entry.difference && entry.difference.baseId === base.id) {
+      entry.difference = null;
+      entry.scalars = null;
+    }
+  }
+}
+
+function formatQuantity(x, unit) {
+  const text = x.toLocaleString(undefined, { maximumFractionDigits: 3 });
+  return unit ? `${text} ${unit}` : text;
+}
+
+function updateCompareUI() {
+  const entry = getSelectedEntry(compareOtherSelect);
+  const diff = entry && entry.difference;
+  const base = diff && fileEntries.find((e) => e.id === diff.baseId);
+  if (!diff || !base) {
+    compareResultsEl.textContent = "";
+    return;
+  }
+  const unit = entryLinearUnit(entry) || entryLinearUnit(base);
+  const lines = [`${entry.name} vs ${base.name}`];
+  if (diff.area === 0) {
+    lines.push("Surfaces do not overlap");
+  } else {
+    const vol = unit ? `${unit}\u00b3` : "";
+    lines.push(`Cut: ${formatQuantity(diff.cut, vol)}`);
+    lines.push(`Fill: ${formatQuantity(diff.fill, vol)}`);
+    lines.push(`Net (fill \u2212 cut): ${formatQuantity(diff.net, vol)}`);
+    lines.push(`Overlap area: ${formatQuantity(diff.area, unit ? `${unit}\u00b2` : "")}`);
+    lines.push(
+      `\u0394z: ${formatQuantity(diff.minDz, unit)} to ${formatQuantity(diff.maxDz, unit)}`
+    );
+    lines.push(`Grid: ${formatQuantity(diff.spacing, unit)}`);
+  }
+  compareResultsEl.textContent = lines.join("\n");
+}
+
+document.getElementById("compareGo").addEventListener("click", () => {
+  const base = getSelectedEntry(compareBaseSelect);
+  const entry = getSelectedEntry(compareOtherSelect);
+  if (!base || !entry || base === entry) {
+    compareResultsEl.textContent = "Pick two different files";
+    return;
+  }
+  const spacing = parseFloat(compareSpacingInput.value);
+  entry.difference = {
+    baseId: base.id,
+    ...compareSurfaces(base.data, entry.data, { spacing: spacing > 0 ? spacing : 0 }),
+  };
+  entry.scalars = null;
+  colorModeSelect.value = "difference";
+  colormapSelect.value = "diverging";
+  colorMinInput.value = "";
+  colorMaxInput.value = "";
+  updateColorRange();
+  updateColors();
+  updateCompareUI();
+});
+compareOtherSelect.addEventListener("change", updateCompareUI);
+
+// --- Mesh diff ---
+// Two versions of a mesh compared element by element (see meshdiff.js) and
+// shown in the "meshDiff" colour mode: triangles and vertex points by kind.
+// Removed elements only exist in the base and added ones in the other file,
+// so the split view draws each file in its own half of the canvas.
+const DIFF_COLORS = [0x6c757d, 0xffb703, 0x4895ef, 0x06d6a0, 0xef476f]; // per DIFF_KINDS
+const REMOVED_KIND = DIFF_KINDS.findIndex((k) => k.key === "removed");
+
+function meshDiffSide(entry) {
+  if (!meshDiff) return null;
+  if (entry.id === meshDiff.baseId) return meshDiff.result.base;
+  if (entry.id === meshDiff.otherId) return meshDiff.result.other;
+  return null;
+}
+
+function clearMeshDiff(entry = null) {
+  if (!meshDiff || (entry && !meshDiffSide(entry))) return;
+  meshDiff = null;
+  updateSplitView();
+}
+
+function applyDiffPointColors(points, diff) {
+  const material = points.material;
+  if (diff) {
+    const colors = new Float32Array(diff.vertexStatus.length * 3);
+    const color = new THREE.Color();
+    diff.vertexStatus.forEach((k, v) => color.setHex(DIFF_COLORS[k]).toArray(colors, v * 3));
+    points.geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    material.color.set(0xffffff);
+  } else {
+    points.geometry.deleteAttribute("color");
+    material.color.set(0xffb703);
+  }
+  if (material.vertexColors !== !!diff) {
+    material.vertexColors = !!diff;
+    material.needsUpdate = true;
+  }
+}
+
+// [base, other] while the split view shows the diff, else null.
+function splitPair() {
+  if (!meshDiff || !diffSplitCheck.checked) return null;
+  const base = fileEntries.find((e) => e.id === meshDiff.baseId);
+  const other = fileEntries.find((e) => e.id === meshDiff.otherId);
+  return base && base.group && other && other.group ? [base, other] : null;
+}
+
+function updateSplitView() {
+  const pair = splitPair();
+  splitViewEl.hidden = !pair;
+  if (pair) {
+    splitBaseNameEl.textContent = pair[0].name;
+    splitOtherNameEl.textContent = pair[1].name;
+  }
+  updateCameraAspect();
+  sizeLabelRenderers();
+  labelsDirty = true;
+}
+
+function sizeLabelRenderers() {
+  const split = !!splitPair();
+  const width = split ? window.innerWidth / 2 : window.innerWidth;
+  labelRenderer.setSize(width, window.innerHeight);
+  splitLabelRenderer.setSize(width, window.innerHeight);
+  splitLabelRenderer.domElement.hidden = !split;
+  if (!split) splitLabelRenderer.domElement.replaceChildren();
+}
+
+// Lays out the right half's labels with each label's copy swapped in;
+// copies of labels no longer in the scene are dropped.
+const splitTwins = new WeakMap(); // CSS2DObject -> copy of its element
+function renderSplitLabels() {
+  const labels = [];
+  scene.traverse((obj) => {
+    if (obj.isCSS2DObject) labels.push(obj);
+  });
+  const elements = labels.map((label) => label.element);
+  for (const label of labels) {
+    if (!splitTwins.has(label)) splitTwins.set(label, label.element.cloneNode(true));
+    const twin = splitTwins.get(label);
+    if (twin.textContent !== label.element.textContent) twin.textContent = label.element.textContent;
+    label.element = twin;
+  }
+  splitLabelRenderer.render(scene, camera);
+  labels.forEach((label, i) => (label.element = elements[i]));
+  const twins = new Set(labels.map((label) => splitTwins.get(label)));
+  for (const el of [...splitLabelRenderer.domElement.children]) {
+    if (!twins.has(el)) el.remove();
+  }
+}
+
+// Both halves use the one camera, so the views stay in step; each leaves
+// out the other file of the pair.
+function renderSplit(pair) {
+  const width = window.innerWidth / 2;
+  const height = window.innerHeight;
+  renderer.setScissorTest(true);
+  pair.forEach((entry, k) => {
+    const hidden = pair[1 - k].group;
+    const wasVisible = hidden.visible;
+    hidden.visible = false;
+    renderer.setViewport(k * width, 0, width, height);
+    renderer.setScissor(k * width, 0, width, height);
+    renderer.render(scene, camera);
+    if (k === 0) labelRenderer.render(scene, camera);
+    else renderSplitLabels();
+    hidden.visible = wasVisible;
+  });
+  renderer.setScissorTest(false);
+  renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+}
+
+function updateMeshDiffUI() {
+  diffResultsEl.innerHTML = "";
+  const base = meshDiff && fileEntries.find((e) => e.id === meshDiff.baseId);
+  const other = meshDiff && fileEntries.find((e) => e.id === meshDiff.otherId);
+  if (!base || !other) return;
+  const { result } = meshDiff;
+  // Removed elements are counted in the base, the rest in the other file.
+  const count = (key, k) => (k === REMOVED_KIND ? result.base : result.other)[key][k];
+  const summary = document.createElement("div");
+  summary.className = "diff-summary";
+  summary.textContent = `${other.name} vs ${base.name}`;
+  diffResultsEl.appendChild(summary);
+  const table = document.createElement("table");
+  const head = table.insertRow();
+  for (const text of ["", "Vertices", "Triangles"]) head.insertCell().textContent = text;
+  DIFF_KINDS.forEach((kind, k) => {
+    const row = table.insertRow();
+    const label = row.insertCell();
+    const swatch = document.createElement("span");
+    swatch.className = "diff-swatch";
+    swatch.style.background = `#${DIFF_COLORS[k].toString(16).padStart(6, "0")}`;
+    label.append(swatch, kind.label);
+    row.insertCell().textContent = count("vertexCounts", k).toLocaleString();
+    row.insertCell().textContent = count("triangleCounts", k).toLocaleString();
+  });
+  diffResultsEl.appendChild(table);
+  const unit = entryLinearUnit(other) || entryLinearUnit(base);
+  const max = document.createElement("div");
+  max.append(`Max displacement: ${formatQuantity(result.maxDisplacement, unit)}`);
+  if (result.maxDisplacementVertex >= 0 && result.maxDisplacement > 0) {
+    max.append(" at v", selectionLinks(other, "vertex", [result.maxDisplacementVertex]));
+  }
+  diffResultsEl.appendChild(max);
+}
+
+document.getElementById("diffGo").addEventListener("click", () => {
+  const base = getSelectedEntry(diffBaseSelect);
+  const other = getSelectedEntry(diffOtherSelect);
+  if (!base || !other || base === other) {
+    diffResultsEl.textContent = "Pick two different files";
+    return;
+  }
+  const tolerance = parseFloat(diffToleranceInput.value);
+  meshDiff = {
+    baseId: base.id,
+    otherId: other.id,
+    result: diffMeshes(base.data, other.data, {
+      tolerance: tolerance > 0 ? tolerance : 0,
+      winding: diffWindingSelect.value === "winding",
+    }),
+  };
+  updateColorModeOptions();
+  colorModeSelect.value = "meshDiff";
+  updateColorRange();
+  updateColors();
+  updateMeshDiffUI();
+  updateSplitView();
+});
+document.getElementById("diffClear").addEventListener("click", () => {
+  clearMeshDiff();
+  updateColorModeOptions();
+  updateColors();
+  updateMeshDiffUI();
+});
+diffSplitCheck.addEventListener("change", updateSplitView);
+
+// --- Contours ---
+// entry.contours = { options, levels } from generateContours, drawn as a
+// "contours" group: major and minor lines plus optional elevation labels.
+const CONTOUR_LABEL_LIMIT = 300;
+
+for (const [value, text] of Object.entries(CONTOUR_FORMATS)) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = text;
+  contourFormatSelect.appendChild(opt);
+}
+
+function buildContourLines(entry) {
+  const group = new THREE.Group();
+  group.name = "contours";
+  const { origin } = entry;
+  // Lifted slightly so the lines do not z-fight with the surface.
+  const lift = entry.bounds.getSize(new THREE.Vector3()).length() * 1e-4;
+  const major = [];
+  const minor = [];
+  const labels = [];
+  const hasMajor = entry.contours.levels.some((l) => l.major);
+  for (const level of entry.contours.levels) {
+    const out = level.major ? major : minor;
+    for (const line of level.polylines) {
+      for (let i = 0; i + 3 < line.length; i += 3) {
+        out.push(
+          line[i] - origin.x, line[i + 1] - origin.y, line[i + 2] - origin.z + lift,
+          line[i + 3] - origin.x, line[i + 4] - origin.y, line[i + 5] - origin.z + lift
+        );
+      }
+      if (level.major || !hasMajor) {
+        labels.push([level.elevation, line]);
+      }
+    }
+  }
+  const styles = [
+    [major, new THREE.LineBasicMaterial({ color: 0xf1faee })],
+    [minor, new THREE.LineBasicMaterial({ color: 0xa8dadc, transparent: true, opacity: 0.45 })],
+  ];
+  for (const [positions, material] of styles) {
+    if (positions.length > 0) {
+      group.add(new THREE.LineSegments(positionsGeometry(positions), material));
+    }
+  }
+
+  if (entry.contours.options.labels) {
+    const step = Math.max(1, Math.ceil(labels.length / CONTOUR_LABEL_LIMIT));
+    for (let i = 0; i < labels.length; i += step) {
+      const [elevation, line] = labels[i];
+      const mid = Math.floor(line.length / 6) * 3;
+      const div = document.createElement("div");
+      div.className = "contour-label";
+      div.textContent = String(Number(elevation.toFixed(3)));
+      const label = new CSS2DObject(div);
+      label.position.set(
+        line[mid] - origin.x,
+        line[mid + 1] - origin.y,
+        line[mid + 2] - origin.z + lift
+      );
+      group.add(label);
+    }
+  }
+  return group;
+}
+
+function updateContourLines(entry) {
+  if (!entry.group) return;
+  const old = entry.group.getObjectByName("contours");
+  if (old) {
+    entry.group.remove(old);
+    disposeGroup(old);
+  }
+  if (entry.contours) {
+    const contours = buildContourLines(entry);
+    clipObject(contours);
+    entry.group.add(contours);
+  }
+}
+
+function updateContourStatus() {
+  const entry = getSelectedEntry(contourFileSelect);
+  const c = entry && entry.contours;
+  if (!c) {
+    contourStatusEl.textContent = "";
+    return;
+  }
+  const lines = c.levels.reduce((n, l) => n + l.polylines.length, 0);
+  contourStatusEl.textContent =
+    `${c.levels.length} levels, ${lines} lines every ${c.options.interval}` +
+    (c.options.base ? ` from ${c.options.base}` : "");
+}
+
+document.getElementById("contourGo").addEventListener("click", () => {
+  const entry = getSelectedEntry(contourFileSelect);
+  if (!entry) return;
+  let interval = parseFloat(contourIntervalInput.value);
+  if (!(interval > 0)) {
+    interval = suggestContourInterval(entry.bounds.min.z, entry.bounds.max.z);
+  }
+  const options = {
+    interval,
+    base: parseFloat(contourBaseInput.value) || 0,
+    majorEvery: Math.max(0, parseInt(contourMajorInput.value) || 0),
+    labels: contourLabelsCheck.checked,
+  };
+  try {
+    entry.contours = { options, levels: generateContours(entry.data, options) };
+  } catch (e) {
+    contourStatusEl.textContent = e.message;
+    return;
+  }
+  updateContourLines(entry);
+  updateContourStatus();
+});
+document.getElementById("contourClear").addEventListener("click", () => {
+  const entry = getSelectedEntry(contourFileSelect);
+  if (!entry) return;
+  entry.contours = null;
+  updateContourLines(entry);
+  updateContourStatus();
+});
+document.getElementById("contourExport").addEventListener("click", () => {
+  const entry = getSelectedEntry(contourFileSelect);
+  if (!entry || !entry.contours) {
+    contourStatusEl.textContent = "Generate contours first";
+    return;
+  }
+  const epsgCode = entryFrame(entry).epsg;
+  const baseName = entry.name.replace(/\.[^.]+$/, "");
+  for (const file of exportContours(contourFormatSelect.value, entry.contours.levels, { epsgCode })) {
+    downloadBlob(file.blob, baseName + file.suffix);
+  }
+});
+contourFileSelect.addEventListener("change", updateContourStatus);
+contourLabelsCheck.addEventListener("change", () => {
+  const entry = getSelectedEntry(contourFileSelect);
+  if (!entry || !entry.contours) return;
+  entry.contours.options.labels = contourLabelsCheck.checked;
+  updateContourLines(entry);
+});
+
+// --- Cross-section profile ---
+// Points are clicked on the surfaces and kept in original coordinates; the
+// profile samples every visible entry along them.
+const PROFILE_COLORS = [
+  "#8ecae6", "#ffb703", "#06d6a0", "#ef476f", "#c77dff", "#fb8500", "#90be6d", "#f9c74f",
+];
+const profile = {
+  drawing: false,
+  points: [],
+  result: null,
+  entries: [],
+  hoverIndex: -1,
+  indexAt: null,
+  line: null,
+  marker: null,
+};
+
+function getEntrySampler(entry) {
+  if (!entry.sampler) entry.sampler = createSurfaceSampler(entry.data);
+  return entry.sampler;
+}
+
+// Samples the entry where it is placed. Plan sampling is exact while the
+// transform keeps verticals vertical (rotation about z only).
+function entrySceneSampler(entry) {
+  const sampler = getEntrySampler(entry);
+  if (!isPlaced(entry)) return sampler;
+  return {
+    bounds: null,
+    sample(x, y) {
+      const [fx, fy] = sceneToEntry(entry, [x, y, 0]);
+      const z = sampler.sample(fx, fy);
+      return Number.isNaN(z) ? NaN : entryToScene(entry, [fx, fy, z])[2];
+    },
+  };
+}
+
+function addProfilePoint(clientX, clientY) {
+  const hit = raycastSurfaces(clientX, clientY);
+  if (!hit) return;
+  const entry = fileEntries.find((e) => e.id === hit.object.userData.entryId);
+  const point = hitToOriginal(hit, entry);
+  const last = profile.points[profile.points.length - 1];
+  // A double-click to finish also delivers two clicks at the same spot.
+  if (last && Math.hypot(point[0] - last[0], point[1] - last[1]) < 1e-9) return;
+  profile.points.push(point);
+  updateProfileLine();
+  updateProfile();
+}
+
+function setProfileDrawing(drawing) {
+  if (drawing && measure.active) setMeasuring(false);
+  profile.drawing = drawing;
+  profileDrawBtn.textContent = drawing ? "Finish" : "Draw";
+  canvas.style.cursor = drawing ? "crosshair" : "";
+  profileStatusEl.textContent = drawing
+    ? "Click the surface to add points; double-click or Finish to end"
+    : "";
+}
+
+function updateProfileLine() {
+  for (const key of ["line", "marker"]) {
+    if (profile[key]) {
+      scene.remove(profile[key]);
+      disposeGroup(profile[key]);
+      profile[key] = null;
+    }
   }
+  if (profile.points.length === 0) return;
+  const positions = profile.points.flatMap((p) => [
+    p[0] - globalCenter.x,
+    p[1] - globalCenter.y,
+    p[2] - globalCenter.z,
+  ]);
+  const geometry = positionsGeometry(positions);
+  const line = new THREE.Group();
+  line.add(
+    new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false })),
+    new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({
+        color: 0xffffff,
+        size: parseFloat(pointSizeSlider.value) * 2,
+        depthTest: false,
+      })
+    )
+  );
+  for (const child of line.children) child.renderOrder = 10;
+  profile.line = line;
+  scene.add(line);
+  updateProfileMarker();
 }
 
-// --- UI handlers ---
-wireframeCheck.addEventListener("change", () => {
-  forEachMesh((g) => {
-    const m = g.getObjectByName("mesh");
-    if (m) m.material.wireframe = wireframeCheck.checked;
-    const w = g.getObjectByName("wireOverlay");
-    if (w) w.visible = !wireframeCheck.checked;
+// Points on each profiled surface at the chart's hovered station.
+function updateProfileMarker() {
+  if (profile.marker) {
+    scene.remove(profile.marker);
+    disposeGroup(profile.marker);
+    profile.marker = null;
+  }
+  const { result, hoverIndex } = profile;
+  if (!result || hoverIndex < 0) return;
+  const st = result.stations[hoverIndex];
+  const marker = new THREE.Group();
+  result.series.forEach((s, k) => {
+    if (Number.isNaN(s[hoverIndex])) return;
+    const points = new THREE.Points(
+      positionsGeometry([
+        st.x - globalCenter.x,
+        st.y - globalCenter.y,
+        s[hoverIndex] - globalCenter.z,
+      ]),
+      new THREE.PointsMaterial({
+        color: PROFILE_COLORS[k % PROFILE_COLORS.length],
+        size: parseFloat(pointSizeSlider.value) * 4,
+        depthTest: false,
+      })
+    );
+    points.renderOrder = 11;
+    marker.add(points);
   });
-});
+  profile.marker = marker;
+  scene.add(marker);
+}
 
-verticesCheck.addEventListener("change", () => {
-  forEachMesh((g) => {
-    const p = g.getObjectByName("vertexPoints");
-    if (p) p.visible = verticesCheck.checked;
+function updateProfile() {
+  profile.result = null;
+  profile.entries = fileEntries.filter((e) => e.visible);
+  if (profile.points.length >= 2 && profile.entries.length > 0) {
+    profile.result = sampleProfile(profile.points, profile.entries.map(entrySceneSampler));
+  }
+  profile.hoverIndex = -1;
+  updateProfileMarker();
+  profilePanelEl.hidden = !profile.result;
+  if (!profile.result) return;
+  profileLegendEl.innerHTML = "";
+  profile.entries.forEach((entry, k) => {
+    const item = document.createElement("span");
+    item.textContent = entry.name;
+    item.title = entry.name;
+    item.style.color = PROFILE_COLORS[k % PROFILE_COLORS.length];
+    profileLegendEl.appendChild(item);
   });
-});
+  profileReadoutEl.textContent = "";
+  drawProfile();
+}
 
-normalsCheck.addEventListener("change", () => {
-  forEachMesh((g) => {
-    const n = g.getObjectByName("normalHelper");
-    if (n) n.visible = normalsCheck.checked;
+function drawProfile() {
+  if (!profile.result) return;
+  profile.indexAt = drawProfileChart(profileChartCanvas, profile.result, {
+    colors: profile.entries.map((_, k) => PROFILE_COLORS[k % PROFILE_COLORS.length]),
+    hoverIndex: profile.hoverIndex,
   });
-});
+}
 
-indicesCheck.addEventListener("change", () => {
-  forEachMesh((g) => {
-    const l = g.getObjectByName("indexLabels");
-    if (l) l.visible = indicesCheck.checked;
+profileChartCanvas.addEventListener("mousemove", (e) => {
+  if (!profile.result) return;
+  const i = profile.indexAt(e.offsetX);
+  if (i === profile.hoverIndex) return;
+  profile.hoverIndex = i;
+  const st = profile.result.stations[i];
+  const values = profile.entries.map((entry, k) => {
+    const z = profile.result.series[k][i];
+    return `${entry.name}: ${Number.isNaN(z) ? "\u2013" : z.toFixed(3)}`;
   });
+  profileReadoutEl.textContent =
+    `Ch ${st.chainage.toFixed(3)} (${st.x.toFixed(3)}, ${st.y.toFixed(3)}) \u00b7 ` +
+    values.join(" \u00b7 ");
+  drawProfile();
+  updateProfileMarker();
 });
-
-axesCheck.addEventListener("change", () => {
-  axesHelper.visible = axesCheck.checked;
-  axesLabelsGroup.visible = axesCheck.checked;
+profileChartCanvas.addEventListener("mouseleave", () => {
+  profile.hoverIndex = -1;
+  profileReadoutEl.textContent = "";
+  drawProfile();
+  updateProfileMarker();
 });
 
-gridCheck.addEventListener("change", () => {
-  gridHelper.visible = gridCheck.checked;
+profileDrawBtn.addEventListener("click", () => {
+  if (!profile.drawing) {
+    profile.points = [];
+    updateProfileLine();
+    updateProfile();
+  }
+  setProfileDrawing(!profile.drawing);
+});
+canvas.addEventListener("dblclick", () => {
+  if (profile.drawing) setProfileDrawing(false);
+  if (measure.active && measureToolSelect.value === "area") finishMeasureArea();
+});
+document.getElementById("profileClear").addEventListener("click", () => {
+  setProfileDrawing(false);
+  profile.points = [];
+  updateProfileLine();
+  updateProfile();
+});
+document.getElementById("profileExport").addEventListener("click", () => {
+  if (!profile.result) {
+    profileStatusEl.textContent = "Draw a profile first";
+    return;
+  }
+  const csv = profileToCSV(profile.result, profile.entries.map((e) => e.name));
+  downloadBlob(new Blob([csv], { type: "text/csv" }), "profile.csv");
 });
 
-colorModeSelect.addEventListener("change", () => {
-  forEachMesh((g) => {
-    const m = g.getObjectByName("mesh");
-    if (m) {
-      applyColors(m.geometry, colorModeSelect.value);
-      m.geometry.attributes.color.needsUpdate = true;
-    }
+// --- UV layout ---
+// The chosen file's triangles in UV space, with its selected triangles and
+// vertices; clicking a vertex selects it.
+const uvLayout = { open: false, vertexAt: null };
+
+function updateUVLayout() {
+  const entry = getSelectedEntry(uvFileSelect);
+  uvShowBtn.disabled = !entry;
+  if (!entry) uvLayout.open = false;
+  uvShowBtn.textContent = uvLayout.open ? "Hide" : "Show";
+  uvPanelEl.hidden = !uvLayout.open;
+  drawUV();
+}
+
+function drawUV() {
+  const entry = getSelectedEntry(uvFileSelect);
+  if (!uvLayout.open || !entry) return;
+  const own = selection.filter((s) => s.entryId === entry.id);
+  uvLayout.vertexAt = drawUVLayout(uvCanvas, entry.data, {
+    labels: uvLabelsCheck.checked,
+    highlight: {
+      triangles: own.filter((s) => s.type === "triangle").map((s) => s.index),
+      vertices: own.filter((s) => s.type === "vertex").map((s) => s.index),
+    },
   });
+}
+
+uvFileSelect.addEventListener("change", updateUVLayout);
+uvLabelsCheck.addEventListener("change", drawUV);
+uvShowBtn.addEventListener("click", () => {
+  uvLayout.open = !uvLayout.open;
+  updateUVLayout();
+});
+uvCanvas.addEventListener("mousemove", (e) => {
+  const entry = getSelectedEntry(uvFileSelect);
+  const v = entry && uvLayout.vertexAt ? uvLayout.vertexAt(e.offsetX, e.offsetY) : -1;
+  uvReadoutEl.textContent =
+    v < 0 ? "" : `v${v} (${entry.data.uvs[v * 2].toFixed(4)}, ${entry.data.uvs[v * 2 + 1].toFixed(4)})`;
+});
+uvCanvas.addEventListener("mouseleave", () => {
+  uvReadoutEl.textContent = "";
+});
+uvCanvas.addEventListener("click", (e) => {
+  const entry = getSelectedEntry(uvFileSelect);
+  if (!entry || !uvLayout.vertexAt) return;
+  const v = uvLayout.vertexAt(e.offsetX, e.offsetY);
+  if (v >= 0) setSelection([{ entryId: entry.id, type: "vertex", index: v }], e.shiftKey);
+  else if (!e.shiftKey) setSelection([]);
 });
 
-opacitySlider.addEventListener("input", () => {
-  forEachMesh((g) => {
-    const m = g.getObjectByName("mesh");
-    if (m) m.material.opacity = parseFloat(opacitySlider.value);
+// --- Measurements ---
+// Points are picked on the surfaces, optionally snapped to a vertex or edge,
+// and kept in original coordinates like the profile points.
+const MEASURE_COLOR = 0xf15bb5;
+const measure = {
+  active: false,
+  points: [], // [x, y, z] picked so far
+  faces: [], // { entryId, triangle } picked so far (angle tool)
+  entry: null, // file of the first pick, for units
+  list: [], // { id, type, file, unit, points, values }
+  idCounter: 1,
+  overlay: null,
+};
+
+// Surface point under the cursor as { point, entry, triangle }, snapped to
+// the hit triangle's nearest vertex or edge within VERTEX_PICK_PIXELS.
+function measurePick(clientX, clientY) {
+  const hit = raycastSurfaces(clientX, clientY);
+  if (!hit) return null;
+  const entry = fileEntries.find((e) => e.id === hit.object.userData.entryId);
+  const result = {
+    point: hitToOriginal(hit, entry),
+    entry,
+    triangle: hit.faceIndex,
+  };
+  if (!measureSnapCheck.checked) return result;
+
+  const viewport = viewportAt(clientX);
+  const toScreen = (p) => {
+    const s = new THREE.Vector3(
+      p[0] - globalCenter.x,
+      p[1] - globalCenter.y,
+      p[2] - globalCenter.z
+    ).project(camera);
+    const [x, y] = ndcToClient(s, viewport);
+    return Math.hypot(x - clientX, y - clientY);
+  };
+  // Snapped points use the file's double-precision coordinates.
+  const corners = [hit.face.a, hit.face.b, hit.face.c].map((v) =>
+    entryToScene(entry, getVertex(entry.data, v))
+  );
+  let best = null;
+  let bestDist = VERTEX_PICK_PIXELS;
+  for (const p of corners) {
+    const d = toScreen(p);
+    if (d <= bestDist) {
+      best = p;
+      bestDist = d;
+    }
+  }
+  if (!best) {
+    const [px, py, pz] = result.point;
+    for (let j = 0; j < 3; j++) {
+      const a = corners[j];
+      const b = corners[(j + 1) % 3];
+      const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      const len2 = ab[0] ** 2 + ab[1] ** 2 + ab[2] ** 2;
+      if (!(len2 > 0)) continue;
+      const s = Math.min(
+        1,
+        Math.max(0, ((px - a[0]) * ab[0] + (py - a[1]) * ab[1] + (pz - a[2]) * ab[2]) / len2)
+      );
+      const p = [a[0] + s * ab[0], a[1] + s * ab[1], a[2] + s * ab[2]];
+      const d = toScreen(p);
+      if (d <= bestDist) {
+        best = p;
+        bestDist = d;
+      }
+    }
+  }
+  if (best) result.point = best;
+  return result;
+}
+
+function triangleCorners(entry, t) {
+  return [0, 1, 2].map((j) => entryToScene(entry, getVertex(entry.data, entry.data.indices[t * 3 + j])));
+}
+
+function triangleCentroid(entry, t) {
+  const [a, b, c] = triangleCorners(entry, t);
+  return [0, 1, 2].map((k) => (a[k] + b[k] + c[k]) / 3);
+}
+
+function addMeasurement(type, entry, points, values) {
+  measure.list.push({
+    id: measure.idCounter++,
+    type,
+    file: entry ? entry.name : "",
+    unit: entry ? entryLinearUnit(entry) : "",
+    points,
+    values,
   });
+  updateMeasureList();
+}
+
+function resetMeasureInput() {
+  measure.points = [];
+  measure.faces = [];
+  measure.entry = null;
+  updateMeasureOverlay();
+}
+
+function addMeasurePoint(clientX, clientY) {
+  const picked = measurePick(clientX, clientY);
+  if (!picked) return;
+  const tool = measureToolSelect.value;
+  if (!measure.entry) measure.entry = picked.entry;
+  if (tool === "angle") {
+    const face = { entry: picked.entry, triangle: picked.triangle };
+    const last = measure.faces[measure.faces.length - 1];
+    if (last && last.entry === face.entry && last.triangle === face.triangle) return;
+    measure.faces.push(face);
+    measure.points.push(triangleCentroid(face.entry, face.triangle));
+    if (measure.faces.length === 2) {
+      const [f1, f2] = measure.faces;
+      addMeasurement(
+        "angle",
+        measure.entry,
+        measure.points,
+        measureFaceAngle(triangleCorners(f1.entry, f1.triangle), triangleCorners(f2.entry, f2.triangle))
+      );
+      resetMeasureInput();
+      return;
+    }
+  } else {
+    const last = measure.points[measure.points.length - 1];
+    // A double-click to finish also delivers two clicks at the same spot.
+    if (last && measureDistance(last, picked.point).distance < 1e-9) return;
+    measure.points.push(picked.point);
+    if (tool === "distance" && measure.points.length === 2) {
+      addMeasurement("distance", measure.entry, measure.points, measureDistance(...measure.points));
+      resetMeasureInput();
+      return;
+    }
+  }
+  updateMeasureOverlay();
+  updateMeasureStatus();
+}
+
+function finishMeasureArea() {
+  if (measureToolSelect.value === "area" && measure.points.length >= 3) {
+    addMeasurement("area", measure.entry, measure.points, measurePolygon(measure.points));
+  }
+  resetMeasureInput();
+}
+
+function setMeasuring(active) {
+  if (active && profile.drawing) setProfileDrawing(false);
+  if (!active) finishMeasureArea();
+  measure.active = active;
+  measureStartBtn.textContent = active ? "Stop" : "Start";
+  canvas.style.cursor = active ? "crosshair" : "";
+  updateMeasureStatus();
+}
+
+function updateMeasureStatus() {
+  if (!measure.active) {
+    measureStatusEl.textContent = "";
+    return;
+  }
+  const tool = measureToolSelect.value;
+  const n = tool === "angle" ? measure.faces.length : measure.points.length;
+  measureStatusEl.textContent =
+    tool === "distance"
+      ? `Click ${n === 0 ? "the first" : "the second"} point`
+      : tool === "angle"
+        ? `Click ${n === 0 ? "the first" : "the second"} face`
+        : `${n} point${n === 1 ? "" : "s"}; double-click or Stop to close the polygon`;
+}
+
+function measureValueText(m, key) {
+  const { unit } = MEASURE_QUANTITIES[key];
+  const value = m.values[key];
+  if (unit === "\u00b0") return `${value.toFixed(3)}\u00b0`;
+  if (unit === "") return String(value);
+  const suffix = unit === "area" && m.unit ? `${m.unit}\u00b2` : m.unit;
+  return formatQuantity(value, suffix);
+}
+
+// Main quantity shown next to a measurement in the view.
+const MEASURE_PRIMARY = { distance: "distance", area: "area", angle: "angle", selection: "area" };
+
+function updateMeasureList() {
+  measureListEl.innerHTML = "";
+  for (const m of measure.list) {
+    const item = document.createElement("div");
+    item.className = "measure-item";
+    const text = document.createElement("div");
+    const lines = [`#${m.id} ${MEASURE_TYPES[m.type]}`];
+    for (const key of Object.keys(MEASURE_QUANTITIES)) {
+      if (m.values[key] === undefined) continue;
+      lines.push(`  ${MEASURE_QUANTITIES[key].label}: ${measureValueText(m, key)}`);
+    }
+    text.textContent = lines.join("\n");
+    text.title = m.file;
+    item.appendChild(text);
+    const removeBtn = document.createElement("button");
+    removeBtn.textContent = "\u00d7";
+    removeBtn.className = "file-remove";
+    removeBtn.title = "Remove";
+    removeBtn.addEventListener("click", () => {
+      measure.list = measure.list.filter((x) => x !== m);
+      updateMeasureList();
+    });
+    item.appendChild(removeBtn);
+    measureListEl.appendChild(item);
+  }
+  updateMeasureOverlay();
+}
+
+// Lines and labels for every measurement plus the one being picked.
+function updateMeasureOverlay() {
+  if (measure.overlay) {
+    scene.remove(measure.overlay);
+    disposeGroup(measure.overlay);
+    measure.overlay = null;
+  }
+  const overlay = new THREE.Group();
+  const toWorld = (p) => [p[0] - globalCenter.x, p[1] - globalCenter.y, p[2] - globalCenter.z];
+  const addShape = (points, closed) => {
+    const positions = points.flatMap(toWorld);
+    if (closed && points.length > 2) positions.push(...toWorld(points[0]));
+    const geometry = positionsGeometry(positions);
+    const line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+    );
+    const dots = new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({
+        color: MEASURE_COLOR,
+        size: parseFloat(pointSizeSlider.value) * 2,
+        depthTest: false,
+      })
+    );
+    line.renderOrder = dots.renderOrder = 10;
+    overlay.add(line, dots);
+  };
+  for (const m of measure.list) {
+    if (m.points.length === 0) continue;
+    addShape(m.points, m.type === "area");
+    const div = document.createElement("div");
+    div.className = "measure-label";
+    div.textContent = `#${m.id} ${measureValueText(m, MEASURE_PRIMARY[m.type])}`;
+    const label = new CSS2DObject(div);
+    const center = [0, 1, 2].map(
+      (k) => m.points.reduce((sum, p) => sum + p[k], 0) / m.points.length
+    );
+    label.position.fromArray(toWorld(center));
+    overlay.add(label);
+  }
+  if (measure.points.length > 0) addShape(measure.points, false);
+  measure.overlay = overlay;
+  scene.add(overlay);
+}
+
+measureToolSelect.replaceChildren(
+  ...Object.entries(MEASURE_TOOLS).map(([value, label]) => new Option(label, value))
+);
+measureToolSelect.addEventListener("change", () => {
+  resetMeasureInput();
+  updateMeasureStatus();
+});
+measureStartBtn.addEventListener("click", () => setMeasuring(!measure.active));
+document.getElementById("measureSelection").addEventListener("click", () => {
+  const byEntry = new Map();
+  for (const s of selection) {
+    if (s.type !== "triangle") continue;
+    if (!byEntry.has(s.entryId)) byEntry.set(s.entryId, []);
+    byEntry.get(s.entryId).push(s.index);
+  }
+  if (byEntry.size === 0) {
+    measureStatusEl.textContent = "Select triangles first";
+    return;
+  }
+  for (const [entryId, tris] of byEntry) {
+    const entry = fileEntries.find((e) => e.id === entryId);
+    const points = tris.map((t) => triangleCentroid(entry, t));
+    addMeasurement("selection", entry, points, {
+      ...measureTriangles(placedData(entry), tris),
+      triangles: tris.length,
+    });
+  }
+});
+document.getElementById("measureExport").addEventListener("click", () => {
+  if (measure.list.length === 0) {
+    measureStatusEl.textContent = "No measurements to export";
+    return;
+  }
+  const csv = measurementsToCSV(measure.list);
+  downloadBlob(new Blob([csv], { type: "text/csv" }), "measurements.csv");
+});
+document.getElementById("measureClear").addEventListener("click", () => {
+  measure.list = [];
+  resetMeasureInput();
+  updateMeasureList();
 });
 
-pointSizeSlider.addEventListener("input", () => {
-  forEachMesh((g) => {
-    const p = g.getObjectByName("vertexPoints");
-    if (p) p.material.size = parseFloat(pointSizeSlider.value);
+// --- Clipping ---
+// Up to three axis-aligned planes or a section box. Plane positions are
+// fractions of the scene bounds; the box is kept in original coordinates.
+// clipPlanes holds the matching world-space planes and is shared by every
+// clipped material, so moving a plane only updates the THREE.Plane objects.
+const CLIP_AXES = ["x", "y", "z"];
+const CLIP_CAP_COLOR = 0xe76f51;
+const clipState = {
+  mode: "off",
+  planes: {
+    x: { enabled: true, t: 0.5, flip: false },
+    y: { enabled: false, t: 0.5, flip: false },
+    z: { enabled: false, t: 0.5, flip: false },
+  },
+  box: null,
+  cap: false,
+};
+const clipPlanes = [];
+const clipCaps = new THREE.Group();
+clipCaps.name = "clipCaps";
+scene.add(clipCaps);
+const clipBoxHelper = new THREE.Group();
+clipBoxHelper.visible = false;
+scene.add(clipBoxHelper);
+let clipDrag = null;
+
+function resetClipBox() {
+  const box = sceneBounds();
+  if (box.isEmpty()) {
+    clipState.box = null;
+    return;
+  }
+  // Slightly larger than the scene so nothing is cut until a face is moved.
+  const pad = box.getSize(new THREE.Vector3()).length() * 0.01 || 1;
+  clipState.box = box.expandByScalar(pad);
+}
+
+// Half-spaces kept, as [axis, value, keepBelow] in original coordinates.
+function clipHalfSpaces() {
+  if (clipState.mode === "planes") {
+    const bounds = sceneBounds();
+    if (bounds.isEmpty()) return [];
+    return CLIP_AXES.filter((a) => clipState.planes[a].enabled).map((a) => {
+      const { t, flip } = clipState.planes[a];
+      return [a, bounds.min[a] + t * (bounds.max[a] - bounds.min[a]), !flip];
+    });
+  }
+  if (clipState.mode === "box" && clipState.box) {
+    const { min, max } = clipState.box;
+    return CLIP_AXES.flatMap((a) => [
+      [a, max[a], true],
+      [a, min[a], false],
+    ]);
+  }
+  return [];
+}
+
+// Recomputes clipPlanes from clipState; rebuilds caps when the number of
+// planes changes.
+function updateClipping() {
+  if (clipState.mode === "box" && !clipState.box) resetClipBox();
+  const spaces = clipHalfSpaces();
+  const countChanged = spaces.length !== clipPlanes.length;
+  clipPlanes.length = spaces.length;
+  spaces.forEach(([axis, value, keepBelow], i) => {
+    if (!clipPlanes[i]) clipPlanes[i] = new THREE.Plane();
+    const normal = new THREE.Vector3();
+    normal[axis] = keepBelow ? -1 : 1;
+    const v = value - globalCenter[axis];
+    clipPlanes[i].set(normal, keepBelow ? v : -v);
   });
-});
+  if (countChanged) {
+    syncClipping();
+    updateClipCaps();
+  } else {
+    positionClipCaps();
+  }
+  updateClipBoxHelper();
+  labelsDirty = true;
+}
 
-resetCameraBtn.addEventListener("click", fitToAll);
-fitToViewBtn.addEventListener("click", fitToAll);
+// Points in world space; a small tolerance keeps faces lying on a plane.
+function isInsideClip(x, y, z) {
+  for (const plane of clipPlanes) {
+    const n = plane.normal;
+    if (n.x * x + n.y * y + n.z * z + plane.constant < -1e-7) return false;
+  }
+  return true;
+}
 
-toggleSideBtn.addEventListener("click", () => {
-  if (currentSide === THREE.DoubleSide) currentSide = THREE.FrontSide;
-  else if (currentSide === THREE.FrontSide) currentSide = THREE.BackSide;
-  else currentSide = THREE.DoubleSide;
-  const labels = {
-    [THREE.DoubleSide]: "Double",
-    [THREE.FrontSide]: "Front",
-    [THREE.BackSide]: "Back",
-  };
-  toggleSideBtn.textContent = `Side: ${labels[currentSide]}`;
-  forEachMesh((g) => {
-    const m = g.getObjectByName("mesh");
-    if (m) {
-      m.material.side = currentSide;
-      m.material.needsUpdate = true;
+function isHitInsideClip(hit) {
+  return isInsideClip(hit.point.x, hit.point.y, hit.point.z);
+}
+
+// Keeps triangles whose centroid, as drawn, is inside the clip region.
+function clipTriangles(entry, tris) {
+  if (clipPlanes.length === 0) return tris;
+  const { indices, vertices } = entry.data;
+  const vertexCount = vertices.length / 3;
+  const matrix = entry.group ? entry.group.matrixWorld : new THREE.Matrix4();
+  const p = new THREE.Vector3();
+  return tris.filter((t) => {
+    p.set(0, 0, 0);
+    for (let j = 0; j < 3; j++) {
+      const v = indices[t * 3 + j];
+      if (!(v >= 0 && v < vertexCount)) return false;
+      p.x += vertices[v * 3];
+      p.y += vertices[v * 3 + 1];
+      p.z += vertices[v * 3 + 2];
     }
+    p.divideScalar(3).sub(entry.origin).applyMatrix4(matrix);
+    return isInsideClip(p.x, p.y, p.z);
   });
-});
+}
 
-// --- File loading ---
-function loadFile(file) {
-  if (!file) return;
-  const reader = new FileReader();
-  reader.onload = (ev) => {
-    const text = ev.target.result;
-    const ext = file.name.split(".").pop().toLowerCase();
-    try {
-      if (ext === "xml" || text.trimStart().startsWith("<")) {
-        const surfaces = parseLandXML(text);
-        if (surfaces.length === 0) {
-          alert("No surfaces found in LandXML");
-          return;
-        }
-        for (const s of surfaces) {
-          addGeometry(`${file.name} [${s.name}]`, s);
-        }
-      } else {
-        const data = JSON.parse(text);
-        if (data.indices && data.vertices) {
-          addGeometry(file.name, data);
-        } else if (data.heights && data.cellLength != null && data.min && data.max) {
-          addGeometry(file.name, parseHeightmapJSON(data));
-        } else {
-          alert("Unsupported JSON format");
-        }
+// Clipped materials share clipPlanes, so moving a plane updates nothing
+// else. Objects get it from clipObject when they are added to an entry group
+// and from syncClipping when clipping changes. Label layers are shaders and
+// are clipped in updateLabelLayers.
+function clipObject(root) {
+  const planes = clipPlanes.length > 0 ? clipPlanes : null;
+  root.traverse((obj) => {
+    if (!obj.material || obj.userData.ownClipping) return;
+    for (const m of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+      if (!m.isShaderMaterial && m.clippingPlanes !== planes) {
+        m.clippingPlanes = planes;
+        m.needsUpdate = true;
       }
-    } catch (e) {
-      alert("Failed to parse file: " + e.message);
     }
-  };
-  reader.readAsText(file);
+  });
 }
 
-fileInput.addEventListener("change", () => {
-  for (const f of fileInput.files) loadFile(f);
-  fileInput.value = "";
-});
+function syncClipping() {
+  forEachMesh(clipObject);
+}
 
-dropzone.addEventListener("dragover", (e) => {
-  e.preventDefault();
-  dropzone.classList.add("dragover");
-});
-dropzone.addEventListener("dragleave", () =>
-  dropzone.classList.remove("dragover")
+// --- Clipping caps ---
+// Stencil caps: each entry's mesh is drawn into the stencil buffer once per
+// plane (back faces increment, front faces decrement), leaving a non-zero
+// value where the plane cuts through a closed surface. The cap plane is then
+// drawn only there. Open surfaces such as terrain have no inside to cap.
+function removeClipCaps() {
+  for (const cap of [...clipCaps.children]) {
+    clipCaps.remove(cap);
+    cap.geometry.dispose();
+    cap.material.dispose();
+  }
+  forEachMesh((group) => {
+    const stencil = group.getObjectByName("clipStencil");
+    if (!stencil) return;
+    group.remove(stencil);
+    // The stencil meshes share the entry's mesh geometry.
+    stencil.traverse((obj) => obj.material && obj.material.dispose());
+  });
+}
+
+function updateClipCaps() {
+  removeClipCaps();
+  if (!clipState.cap || clipPlanes.length === 0) return;
+  clipPlanes.forEach((plane, i) => {
+    for (const entry of fileEntries) {
+      const mesh = entry.group && entry.group.getObjectByName("mesh");
+      if (!mesh) continue;
+      let stencil = entry.group.getObjectByName("clipStencil");
+      if (!stencil) {
+        stencil = new THREE.Group();
+        stencil.name = "clipStencil";
+        entry.group.add(stencil);
+      }
+      for (const [side, op] of [
+        [THREE.BackSide, THREE.IncrementWrapStencilOp],
+        [THREE.FrontSide, THREE.DecrementWrapStencilOp],
+      ]) {
+        const m = new THREE.Mesh(
+          mesh.geometry,
+          new THREE.MeshBasicMaterial({
+            side,
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: op,
+            stencilZFail: op,
+            stencilZPass: op,
+            clippingPlanes: [plane],
+          })
+        );
+        m.userData.ownClipping = true;
+        m.renderOrder = i + 1;
+        stencil.add(m);
+      }
+    }
+
+    const cap = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshPhongMaterial({
+        color: CLIP_CAP_COLOR,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp,
+        clippingPlanes: clipPlanes.filter((p) => p !== plane),
+      })
+    );
+    cap.userData.plane = plane;
+    cap.renderOrder = i + 1.1;
+    cap.onAfterRender = (r) => r.clearStencil();
+    clipCaps.add(cap);
+  });
+  positionClipCaps();
+}
+
+function positionClipCaps() {
+  const bounds = sceneBounds();
+  if (bounds.isEmpty()) return;
+  const size = bounds.getSize(new THREE.Vector3()).length() * 2;
+  for (const cap of clipCaps.children) {
+    const { plane } = cap.userData;
+    plane.coplanarPoint(cap.position);
+    cap.lookAt(cap.position.clone().sub(plane.normal));
+    cap.scale.setScalar(size);
+  }
+}
+
+// --- Section box handles ---
+// Six handles at the box's face centers; dragging one moves that face along
+// its axis.
+function updateClipBoxHelper() {
+  for (const child of [...clipBoxHelper.children]) {
+    clipBoxHelper.remove(child);
+    disposeGroup(child);
+  }
+  clipBoxHelper.visible = clipState.mode === "box" && !!clipState.box;
+  if (!clipBoxHelper.visible) return;
+  const box = clipState.box.clone().translate(globalCenter.clone().negate());
+  const outline = new THREE.Box3Helper(box, 0xffffff);
+  outline.material.depthTest = false;
+  outline.renderOrder = 10;
+  clipBoxHelper.add(outline);
+  const center = box.getCenter(new THREE.Vector3());
+  const radius = box.getSize(new THREE.Vector3()).length() * 0.012;
+  const handleGeometry = new THREE.SphereGeometry(radius, 16, 12);
+  for (const axis of CLIP_AXES) {
+    for (const end of ["min", "max"]) {
+      const handle = new THREE.Mesh(
+        handleGeometry,
+        new THREE.MeshBasicMaterial({ color: 0xffb703, depthTest: false })
+      );
+      handle.position.copy(center);
+      handle.position[axis] = box[end][axis];
+      handle.renderOrder = 11;
+      handle.userData = { axis, end };
+      clipBoxHelper.add(handle);
+    }
+  }
+}
+
+function clipHandleRay(clientX, clientY) {
+  raycaster.setFromCamera(clientToNDC(clientX, clientY), camera);
+  return raycaster.ray;
+}
+
+// Position along the drag axis closest to the mouse ray; the axis passes
+// through the handle where the drag started.
+function clipDragValue(clientX, clientY) {
+  const ray = clipHandleRay(clientX, clientY);
+  const { origin, axis } = clipDrag;
+  const dir = new THREE.Vector3();
+  dir[axis] = 1;
+  const w = origin.clone().sub(ray.origin);
+  const b = dir.dot(ray.direction);
+  const denom = 1 - b * b;
+  if (denom < 1e-6) return null;
+  const s = (b * ray.direction.dot(w) - dir.dot(w)) / denom;
+  return origin[axis] + s + globalCenter[axis];
+}
+
+// Capture phase so a handle drag never reaches OrbitControls or selection.
+canvas.addEventListener(
+  "pointerdown",
+  (e) => {
+    if (!clipBoxHelper.visible || e.button !== 0) return;
+    clipHandleRay(e.clientX, e.clientY);
+    const handles = clipBoxHelper.children.filter((c) => c.userData.axis);
+    const hit = raycaster.intersectObjects(handles)[0];
+    if (!hit) return;
+    e.stopImmediatePropagation();
+    const { axis, end } = hit.object.userData;
+    clipDrag = { axis, end, origin: hit.object.position.clone() };
+    controls.enabled = false;
+  },
+  true
 );
-dropzone.addEventListener("drop", (e) => {
-  e.preventDefault();
-  dropzone.classList.remove("dragover");
-  for (const f of e.dataTransfer.files) loadFile(f);
+window.addEventListener("pointermove", (e) => {
+  if (!clipDrag) return;
+  const value = clipDragValue(e.clientX, e.clientY);
+  if (value === null) return;
+  const { axis, end } = clipDrag;
+  const box = clipState.box;
+  const gap = (box.max[axis] - box.min[axis]) * 1e-3;
+  box[end][axis] =
+    end === "min" ? Math.min(value, box.max[axis] - gap) : Math.max(value, box.min[axis] + gap);
+  updateClipping();
 });
-
-// --- Hover ---
-canvas.addEventListener("mousemove", (e) => {
-  mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+window.addEventListener("pointerup", () => {
+  if (!clipDrag) return;
+  clipDrag = null;
+  controls.enabled = true;
+  updateStats();
+  scheduleStateSave();
 });
 
-function updateHoverInfo() {
-  raycaster.setFromCamera(mouse, camera);
-  const meshes = [];
-  for (const entry of fileEntries) {
-    if (!entry.visible || !entry.group) continue;
-    const m = entry.group.getObjectByName("mesh");
-    if (m) meshes.push(m);
+// --- Clipping UI ---
+function updateClipUI() {
+  clipPlanesEl.hidden = clipState.mode !== "planes";
+  clipBoxEl.hidden = clipState.mode !== "box";
+  for (const axis of CLIP_AXES) {
+    const id = axis.toUpperCase();
+    const plane = clipState.planes[axis];
+    document.getElementById(`clip${id}`).checked = plane.enabled;
+    document.getElementById(`clip${id}Pos`).value = plane.t;
+    document.getElementById(`clip${id}Flip`).checked = plane.flip;
   }
-  const intersects = raycaster.intersectObjects(meshes);
-  if (intersects.length > 0) {
-    const hit = intersects[0];
-    const p = hit.point;
-    const ox = p.x + globalCenter.x;
-    const oy = p.y + globalCenter.y;
-    const oz = p.z + globalCenter.z;
-    hoverInfoEl.textContent = `Tri #${hit.faceIndex} | (${ox.toFixed(6)}, ${oy.toFixed(6)}, ${oz.toFixed(6)})`;
-  } else {
-    hoverInfoEl.textContent = "";
+  clipCapCheck.checked = clipState.cap;
+}
+
+function onClipChange() {
+  updateClipping();
+  updateStats();
+}
+
+clipModeSelect.addEventListener("change", () => {
+  clipState.mode = clipModeSelect.value;
+  if (clipState.mode === "box" && !clipState.box) resetClipBox();
+  updateClipUI();
+  onClipChange();
+});
+for (const axis of CLIP_AXES) {
+  const id = axis.toUpperCase();
+  const plane = clipState.planes[axis];
+  document.getElementById(`clip${id}`).addEventListener("change", (e) => {
+    plane.enabled = e.target.checked;
+    onClipChange();
+  });
+  const slider = document.getElementById(`clip${id}Pos`);
+  slider.addEventListener("input", () => {
+    plane.t = parseFloat(slider.value);
+    updateClipping();
+  });
+  slider.addEventListener("change", updateStats);
+  document.getElementById(`clip${id}Flip`).addEventListener("change", (e) => {
+    plane.flip = e.target.checked;
+    onClipChange();
+  });
+}
+document.getElementById("clipBoxReset").addEventListener("click", () => {
+  resetClipBox();
+  onClipChange();
+});
+clipCapCheck.addEventListener("change", () => {
+  clipState.cap = clipCapCheck.checked;
+  updateClipCaps();
+});
+updateClipUI();
+
+// --- Index labels ---
+function updateLabels() {
+  if (!labelsDirty || !indicesCheck.checked) return;
+  labelsDirty = false;
+  const layerOf = (entry) =>
+    entry.visible && entry.group ? entry.group.getObjectByName("indexLabels") : null;
+  // In split view the other file of the pair is laid out for the right half.
+  const pair = splitPair();
+  const right = pair ? layerOf(pair[1]) : null;
+  const layers = fileEntries.map(layerOf).filter((l) => l && l !== right);
+  camera.updateMatrixWorld();
+  const viewport = new THREE.Vector2(
+    pair ? window.innerWidth / 2 : window.innerWidth,
+    window.innerHeight
+  );
+  const options = {
+    mode: labelModeSelect.value,
+    filter: labelFilterSelect.value,
+    cursor: mouseClient,
+    budget: LABEL_BUDGET,
+    clip: clipPlanes.length > 0 ? isInsideClip : null,
+  };
+  updateLabelLayers(layers, camera, viewport, options);
+  if (right) {
+    const cursor = new THREE.Vector2(mouseClient.x - viewport.x, mouseClient.y);
+    updateLabelLayers([right], camera, viewport, { ...options, cursor });
   }
 }
 
 // --- Resize ---
-window.addEventListener("resize", () => {
-  camera.aspect = window.innerWidth / window.innerHeight;
+function updateCameraAspect() {
+  const width = splitPair() ? window.innerWidth / 2 : window.innerWidth;
+  camera.aspect = width / window.innerHeight;
   camera.updateProjectionMatrix();
+}
+
+window.addEventListener("resize", () => {
+  updateCameraAspect();
   renderer.setSize(window.innerWidth, window.innerHeight);
-  labelRenderer.setSize(window.innerWidth, window.innerHeight);
+  sizeLabelRenderers();
+  labelsDirty = true;
+  drawProfile();
+  drawUV();
 });
 
 // --- Animation loop ---
+let lastFrameTime = performance.now();
 function animate() {
   requestAnimationFrame(animate);
+  const now = performance.now();
+  stepPlayback((now - lastFrameTime) / 1000);
+  lastFrameTime = now;
   controls.update();
   updateHoverInfo();
-  renderer.render(scene, camera);
-  labelRenderer.render(scene, camera);
+  updateLabels();
+  const pair = splitPair();
+  if (pair) {
+    renderSplit(pair);
+  } else {
+    renderer.render(scene, camera);
+    labelRenderer.render(scene, camera);
+  }
+}
+
+// --- Embedding API ---
+// The interface for pages that embed the viewer: exported from this module,
+// set as window.indicesVisualizer for same-origin frames and available over
+// postMessage (see embed.js). Files are referred to by id and elements as
+// { file, type: "triangle" | "vertex", index }.
+const viewerListeners = new Map(["hover", "select", "load", "remove"].map((e) => [e, new Set()]));
+let lastHover = null;
+
+function emitViewerEvent(event, detail) {
+  for (const fn of viewerListeners.get(event)) fn(detail);
+}
+
+function findEntry(id) {
+  const entry = fileEntries.find((e) => e.id === id);
+  if (!entry) throw new Error(`No file with id ${id}`);
+  return entry;
 }
 
+function describeEntry(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    visible: entry.visible,
+    triangles: Math.floor(entry.data.indices.length / 3),
+    vertices: entry.data.vertices.length / 3,
+  };
+}
+
+function describeElement(item) {
+  return { file: item.entryId, type: item.type, index: item.index };
+}
+
+// Geometry objects become JSON files, so they are saved with the session
+// like any loaded file.
+function sourceToFile(source, name) {
+  if (source instanceof File) return source;
+  if (source instanceof Blob) return new File([source], name || "geometry.json");
+  const text = JSON.stringify(source, (k, v) => (ArrayBuffer.isView(v) ? Array.from(v) : v));
+  return new File([text], name || "geometry.json");
+}
+
+export const viewer = {
+  // Resolves once the startup files are loaded, failed or were cancelled.
+  ready: null,
+
+  // source: a same-origin URL, a File or Blob, or a geometry object in one of
+  // the JSON formats. Resolves to the new files' ids; rejects if the file
+  // could not be fetched or parsed, or its load was cancelled.
+  load(source, { name } = {}) {
+    const loading =
+      typeof source === "string"
+        ? loadURL(source, { strict: true })
+        : loadFile(sourceToFile(source, name), { strict: true });
+    return loading.then((entries) => entries.map((e) => e.id));
+  },
+  remove(id) {
+    removeGeometry(findEntry(id).id);
+  },
+  clear() {
+    for (const entry of [...fileEntries]) removeGeometry(entry.id);
+  },
+  files() {
+    return fileEntries.map(describeEntry);
+  },
+  setVisible(id, visible) {
+    setEntryVisible(findEntry(id), !!visible);
+    updateStats();
+    updateProfile();
+    updateFileListUI();
+  },
+  fit() {
+    fitToAll();
+  },
+  // View controls by element id, as saved in a project manifest.
+  getControls() {
+    return captureControls();
+  },
+  setControls(values) {
+    applyControls(values);
+  },
+  select(items, { additive = false, frame = false } = {}) {
+    const list = items.map(({ file, type, index }) => {
+      const { data, id, name } = findEntry(file);
+      const count =
+        type === "triangle" ? Math.floor(data.indices.length / 3)
+        : type === "vertex" ? data.vertices.length / 3
+        : 0;
+      if (!Number.isInteger(index) || index < 0 || index >= count) {
+        throw new Error(`No ${type} ${index} in ${name}`);
+      }
+      return { entryId: id, type, index };
+    });
+    setSelection(list, additive);
+    if (frame && list.length > 0) {
+      frameElement(findEntry(list[0].entryId), list[0].type, list[0].index);
+    }
+  },
+  getSelection() {
+    return selection.map(describeElement);
+  },
+  // The element at a client position, with its inspector details, or null.
+  pick(clientX, clientY) {
+    const item = pick(clientX, clientY);
+    if (!item) return null;
+    const { data } = findEntry(item.entryId);
+    const info = item.type === "triangle" ? triangleInfo(data, item.index) : vertexInfo(data, item.index);
+    return { ...describeElement(item), info };
+  },
+  // hover: { file, triangle, point } or null, when the hovered triangle changes
+  // select: { selection }   load: { files }   remove: { id }
+  // Returns a function that unsubscribes.
+  on(event, fn) {
+    const listeners = viewerListeners.get(event);
+    if (!listeners) throw new Error(`Unknown event ${event}`);
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+};
+window.indicesVisualizer = viewer;
+
 // --- Init ---
-fetch(import.meta.env.BASE_URL + "default-geometry.json")
-  .then((r) => r.json())
-  .then((data) => addGeometry("default-geometry.json", data));
+const initParams = new URLSearchParams(window.location.search);
+const initSources = initParams.getAll("src");
+controlDefaults = captureControls();
+let startup;
+if (initParams.has("bench")) {
+  startup = runLoadBenchmark(addGeometry, {
+    files: parseInt(initParams.get("bench")) || 20,
+    size: parseInt(initParams.get("size")) || 100,
+  });
+} else if (initSources.length > 0) {
+  // Files named in the URL are shown instead of the saved session, which is
+  // left untouched.
+  startup = Promise.all(
+    initSources.map((src) => loadURL(src).catch((err) => reportLoadError(src, err.message)))
+  ).then(() => applyViewHash(location.hash));
+} else if (window.parent !== window) {
+  // Embedded viewers neither show nor overwrite the saved session; the
+  // embedding page loads what it wants.
+  startup = loadDefaultGeometry().then(() => applyViewHash(location.hash));
+} else {
+  startup = loadSession()
+    .catch(() => null)
+    .then((session) => (session ? restoreSession(session) : loadDefaultGeometry()))
+    .catch((err) => {
+      setSessionStatus(`Saved session not restored: ${err.message}`);
+      return loadDefaultGeometry();
+    })
+    .then(() => {
+      applyViewHash(location.hash);
+      persistSession = true;
+      scheduleStateSave();
+    });
+}
+viewer.ready = startup.then(() => {}, () => {});
+connectEmbedding(viewer, embedOriginsFromEnv());
 
 animate();
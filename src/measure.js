@@ -0,0 +1,94 @@
+import { faceNormal, getVertex } from "./inspect.js";
+
+// --- Measurements ---
+// Points are [x, y, z] in original coordinates. Horizontal values are
+// measured in the XY plane, as in the profile tool.
+
+export const MEASURE_TOOLS = {
+  distance: "Distance",
+  area: "Polygon area",
+  angle: "Face angle",
+};
+
+// Tools plus measurements taken from the current selection.
+export const MEASURE_TYPES = { ...MEASURE_TOOLS, selection: "Selection area" };
+
+// Quantities a measurement can have, in CSV column order.
+//   unit: "length" and "area" are in the file's linear unit.
+export const MEASURE_QUANTITIES = {
+  distance: { label: "3D distance", unit: "length" },
+  horizontal: { label: "Horizontal", unit: "length" },
+  dz: { label: "\u0394z", unit: "length" },
+  area: { label: "Area", unit: "area" },
+  planArea: { label: "Plan area", unit: "area" },
+  perimeter: { label: "Perimeter", unit: "length" },
+  angle: { label: "Angle between normals", unit: "\u00b0" },
+  dihedral: { label: "Dihedral angle", unit: "\u00b0" },
+  triangles: { label: "Triangles", unit: "" },
+};
+
+export function measureDistance(a, b) {
+  const dx = b[0] - a[0], dy = b[1] - a[1], dz = b[2] - a[2];
+  return {
+    distance: Math.hypot(dx, dy, dz),
+    horizontal: Math.hypot(dx, dy),
+    dz,
+  };
+}
+
+// Area of a closed polygon from the magnitude of its vector area (Newell's
+// method), exact when the polygon is planar.
+export function measurePolygon(points) {
+  let nx = 0, ny = 0, nz = 0, perimeter = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0, z0] = points[i];
+    const [x1, y1, z1] = points[(i + 1) % points.length];
+    nx += (y0 - y1) * (z0 + z1);
+    ny += (z0 - z1) * (x0 + x1);
+    nz += (x0 - x1) * (y0 + y1);
+    perimeter += Math.hypot(x1 - x0, y1 - y0, z1 - z0);
+  }
+  return {
+    area: Math.hypot(nx, ny, nz) / 2,
+    planArea: Math.abs(nz) / 2,
+    perimeter,
+  };
+}
+
+// Total surface and plan area of a set of triangles; invalid ones are skipped.
+export function measureTriangles(data, tris) {
+  const vertexCount = data.vertices.length / 3;
+  let area = 0;
+  let planArea = 0;
+  for (const t of tris) {
+    const verts = [0, 1, 2].map((j) => data.indices[t * 3 + j]);
+    if (!verts.every((v) => v >= 0 && v < vertexCount)) continue;
+    const [a, b, c] = verts.map((v) => getVertex(data, v));
+    const face = faceNormal(a, b, c);
+    area += face.area;
+    planArea += face.area * Math.abs(face.normal[2]);
+  }
+  return { area, planArea };
+}
+
+// Angle between two triangles' normals; for adjacent, consistently wound
+// triangles the dihedral angle is its supplement.
+export function measureFaceAngle(a, b) {
+  const n1 = faceNormal(...a).normal;
+  const n2 = faceNormal(...b).normal;
+  const dot = Math.min(1, Math.max(-1, n1[0] * n2[0] + n1[1] * n2[1] + n1[2] * n2[2]));
+  const angle = (Math.acos(dot) * 180) / Math.PI;
+  return { angle, dihedral: 180 - angle };
+}
+
+export function measurementsToCSV(list) {
+  const keys = Object.keys(MEASURE_QUANTITIES);
+  const quote = (s) => `"${String(s).replace(/"/g, '""')}"`;
+  const rows = [["id", "type", "file", ...keys, "points"].map(quote).join(",")];
+  for (const m of list) {
+    const values = keys.map((k) => (m.values[k] === undefined ? "" : m.values[k]));
+    const points = m.points.map((p) => p.join(" ")).join("; ");
+    rows.push([m.id, quote(m.type), quote(m.file), ...values, quote(points)].join(","));
+  }
+  return rows.join("\n") + "\n";
+}
@@ -0,0 +1,186 @@
+// --- Mesh diff ---
+// Compares two versions of the same mesh by index. Vertices are matched by
+// position (exactly, or to the nearest within a tolerance), preferring the
+// same index; triangles are matched as triples of matched vertices, either
+// unordered or keeping their winding. Each element of either file gets one
+// of DIFF_KINDS:
+//   unchanged  same index, same position and (triangles) same slots
+//   moved      same index, different position; a triangle is moved if any
+//              of its vertices is
+//   reindexed  the same element under another index, or a triangle whose
+//              slots now name other (matched) vertices
+//   added / removed  only in the other / the base file
+
+export const DIFF_KINDS = [
+  { key: "unchanged", label: "Unchanged" },
+  { key: "moved", label: "Moved" },
+  { key: "reindexed", label: "Re-indexed" },
+  { key: "added", label: "Added" },
+  { key: "removed", label: "Removed" },
+];
+const UNCHANGED = 0, MOVED = 1, REINDEXED = 2, ADDED = 3, REMOVED = 4;
+
+const dist = (va, a, vb, b) =>
+  Math.hypot(va[a * 3] - vb[b * 3], va[a * 3 + 1] - vb[b * 3 + 1], va[a * 3 + 2] - vb[b * 3 + 2]);
+
+// Base vertices by position: exact coordinates, or grid cells the size of
+// the tolerance whose neighbours are searched too.
+function createVertexIndex(vertices, tolerance) {
+  const count = vertices.length / 3;
+  const cells = new Map();
+  const keyOf = tolerance > 0
+    ? (x, y, z) => `${Math.floor(x / tolerance)},${Math.floor(y / tolerance)},${Math.floor(z / tolerance)}`
+    : (x, y, z) => `${x},${y},${z}`;
+  for (let v = 0; v < count; v++) {
+    const key = keyOf(vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(v);
+  }
+  return (x, y, z) => {
+    if (!(tolerance > 0)) return cells.get(keyOf(x, y, z)) || [];
+    const i = Math.floor(x / tolerance), j = Math.floor(y / tolerance), k = Math.floor(z / tolerance);
+    const out = [];
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let dk = -1; dk <= 1; dk++) {
+          const cell = cells.get(`${i + di},${j + dj},${k + dk}`);
+          if (cell) out.push(...cell);
+        }
+      }
+    }
+    return out;
+  };
+}
+
+function matchVertices(a, b, tolerance) {
+  const va = a.vertices, vb = b.vertices;
+  const countA = va.length / 3, countB = vb.length / 3;
+  const matchA = new Int32Array(countA).fill(-1);
+  const matchB = new Int32Array(countB).fill(-1);
+  // Same-index pairs first, so duplicate positions keep their own index.
+  for (let v = 0; v < Math.min(countA, countB); v++) {
+    if (dist(va, v, vb, v) <= tolerance) {
+      matchA[v] = v;
+      matchB[v] = v;
+    }
+  }
+  const lookup = createVertexIndex(va, tolerance);
+  for (let v = 0; v < countB; v++) {
+    if (matchB[v] >= 0) continue;
+    let best = -1;
+    let bestDist = Infinity;
+    for (const c of lookup(vb[v * 3], vb[v * 3 + 1], vb[v * 3 + 2])) {
+      if (matchA[c] >= 0) continue;
+      const d = dist(va, c, vb, v);
+      if (d <= tolerance && d < bestDist) {
+        best = c;
+        bestDist = d;
+      }
+    }
+    if (best >= 0) {
+      matchA[best] = v;
+      matchB[v] = best;
+    }
+  }
+
+  const statusA = new Uint8Array(countA).fill(REMOVED);
+  const statusB = new Uint8Array(countB).fill(ADDED);
+  for (let v = 0; v < countB; v++) {
+    if (matchB[v] >= 0) {
+      statusB[v] = statusA[matchB[v]] = matchB[v] === v ? UNCHANGED : REINDEXED;
+    } else if (v < countA && matchA[v] < 0) {
+      // Unmatched on both sides under the same index: the vertex moved.
+      matchA[v] = v;
+      matchB[v] = v;
+      statusB[v] = statusA[v] = MOVED;
+    }
+  }
+  return { matchA, matchB, statusA, statusB };
+}
+
+// Cyclic order is kept for winding-aware keys by rotating the smallest
+// vertex first; unordered keys sort the triple.
+function triangleKey(ids, winding) {
+  if (!winding) return ids.slice().sort((x, y) => x - y).join(",");
+  const m = ids.indexOf(Math.min(...ids));
+  return `${ids[m]},${ids[(m + 1) % 3]},${ids[(m + 2) % 3]}`;
+}
+
+// a, b: { indices, vertices }; tolerance in the files' units.
+// Returns {
+//   base, other: { vertexStatus, vertexMatch, triangleStatus, triangleMatch,
+//                  vertexCounts, triangleCounts } (counts per DIFF_KINDS)
+//   displacement (per vertex of other, NaN if unmatched), maxDisplacement,
+//   maxDisplacementVertex (of other, or -1)
+// }
+export function diffMeshes(a, b, { tolerance = 0, winding = false } = {}) {
+  const countA = a.vertices.length / 3;
+  const countB = b.vertices.length / 3;
+  const vertices = matchVertices(a, b, tolerance);
+
+  // Triangles compare in base vertex ids; other-only vertices get ids past
+  // the base's and out-of-range indices stay negative so they only match
+  // the same bad index.
+  const idA = (v) => (v >= 0 && v < countA ? v : -2 - v);
+  const idB = (v) =>
+    v >= 0 && v < countB ? (vertices.matchB[v] >= 0 ? vertices.matchB[v] : countA + v) : -2 - v;
+  const trisA = Math.floor(a.indices.length / 3);
+  const trisB = Math.floor(b.indices.length / 3);
+  const byKey = new Map();
+  for (let t = 0; t < trisA; t++) {
+    const key = triangleKey([0, 1, 2].map((j) => idA(a.indices[t * 3 + j])), winding);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(t);
+  }
+
+  const triMatchA = new Int32Array(trisA).fill(-1);
+  const triMatchB = new Int32Array(trisB).fill(-1);
+  const triStatusA = new Uint8Array(trisA).fill(REMOVED);
+  const triStatusB = new Uint8Array(trisB).fill(ADDED);
+  for (let t = 0; t < trisB; t++) {
+    const tri = [b.indices[t * 3], b.indices[t * 3 + 1], b.indices[t * 3 + 2]];
+    const candidates = byKey.get(triangleKey(tri.map(idB), winding));
+    if (!candidates) continue;
+    const s = candidates.includes(t) && triMatchA[t] < 0 ? t : candidates.find((c) => triMatchA[c] < 0);
+    if (s === undefined) continue;
+    triMatchA[s] = t;
+    triMatchB[t] = s;
+    const sameSlots = s === t && tri.every((v, j) => v === a.indices[s * 3 + j]);
+    const moved = tri.some((v) => v >= 0 && v < countB && vertices.statusB[v] === MOVED);
+    triStatusA[s] = triStatusB[t] = moved ? MOVED : sameSlots ? UNCHANGED : REINDEXED;
+  }
+
+  const displacement = new Float64Array(countB).fill(NaN);
+  let maxDisplacement = 0;
+  let maxDisplacementVertex = -1;
+  for (let v = 0; v < countB; v++) {
+    const m = vertices.matchB[v];
+    if (m < 0) continue;
+    displacement[v] = dist(a.vertices, m, b.vertices, v);
+    if (displacement[v] > maxDisplacement) {
+      maxDisplacement = displacement[v];
+      maxDisplacementVertex = v;
+    }
+  }
+
+  const counts = (status) => {
+    const out = new Array(DIFF_KINDS.length).fill(0);
+    for (const s of status) out[s]++;
+    return out;
+  };
+  const side = (vertexStatus, vertexMatch, triangleStatus, triangleMatch) => ({
+    vertexStatus,
+    vertexMatch,
+    triangleStatus,
+    triangleMatch,
+    vertexCounts: counts(vertexStatus),
+    triangleCounts: counts(triangleStatus),
+  });
+  return {
+    base: side(vertices.statusA, vertices.matchA, triStatusA, triMatchA),
+    other: side(vertices.statusB, vertices.matchB, triStatusB, triMatchB),
+    displacement,
+    maxDisplacement,
+    maxDisplacementVertex,
+  };
+}
@@ -0,0 +1,99 @@
+import { createLandXMLParser, parseGeometryJSON } from "./parsers.js";
+import { parseGLB, parseGLTF, parseOBJ, parsePLY, parseSTL } from "./importers.js";
+
+// --- Parse worker ---
+// Receives { file } and replies with progress messages followed by either
+// { type: "result", surfaces } (typed arrays transferred) or
+// { type: "error", message }.
+
+const PROGRESS_INTERVAL_MS = 100;
+const BINARY_PARSERS = { glb: parseGLB, ply: parsePLY, stl: parseSTL };
+const TEXT_PARSERS = {
+  json: (text) => [{ name: null, ...parseGeometryJSON(JSON.parse(text)) }],
+  gltf: (text) => parseGLTF(JSON.parse(text)),
+  obj: parseOBJ,
+};
+
+self.onmessage = async (ev) => {
+  const { file } = ev.data;
+  try {
+    const surfaces = await parseFile(file);
+    const transfer = [];
+    for (const s of surfaces) {
+      transfer.push(s.indices.buffer, s.vertices.buffer);
+      if (s.pointIds) transfer.push(s.pointIds.buffer);
+    }
+    self.postMessage({ type: "result", surfaces }, transfer);
+  } catch (e) {
+    self.postMessage({ type: "error", message: e.message || String(e) });
+  }
+};
+
+// Streams the file, calling onChunk(bytes) and reporting read progress.
+async function readFile(file, onChunk) {
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  let lastReport = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    onChunk(value);
+    const now = Date.now();
+    if (now - lastReport > PROGRESS_INTERVAL_MS) {
+      lastReport = now;
+      self.postMessage({
+        type: "progress",
+        phase: "reading",
+        loaded,
+        total: file.size,
+      });
+    }
+  }
+  self.postMessage({
+    type: "progress",
+    phase: "parsing",
+    loaded: file.size,
+    total: file.size,
+  });
+}
+
+async function parseFile(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+
+  if (BINARY_PARSERS[ext]) {
+    const bytes = new Uint8Array(file.size);
+    let offset = 0;
+    await readFile(file, (chunk) => {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    return BINARY_PARSERS[ext](bytes.buffer);
+  }
+
+  const decoder = new TextDecoder();
+  let format = ext === "xml" ? "xml" : TEXT_PARSERS[ext] ? ext : null;
+  let xml = format === "xml" ? createLandXMLParser() : null;
+  const parts = [];
+  await readFile(file, (chunk) => {
+    const text = decoder.decode(chunk, { stream: true });
+    if (!format) {
+      const head = text.trimStart();
+      if (head.length === 0) return;
+      format = head.startsWith("<") ? "xml" : "json";
+      if (format === "xml") xml = createLandXMLParser();
+    }
+    if (xml) xml.write(text);
+    else parts.push(text);
+  });
+  const tail = decoder.decode();
+
+  if (xml) {
+    xml.write(tail);
+    const surfaces = xml.end();
+    if (surfaces.length === 0) throw new Error("No surfaces found in LandXML");
+    return surfaces;
+  }
+  parts.push(tail);
+  return TEXT_PARSERS[format || "json"](parts.join(""));
+}
@@ -0,0 +1,447 @@
+import { isRestartIndex, normalizePrimitiveMode } from "./topology.js";
+
+// --- Geometry parsers ---
+// Shared by the parse worker and the main thread. Parsers return
+// { indices: Int32Array, vertices: Float64Array } where an index of -1 marks
+// a reference that could not be resolved (e.g. a missing LandXML point id).
+
+// --- Streaming XML scanner ---
+// Minimal SAX-style tokenizer: calls open(name, attrs), close(name) and
+// text(str) as chunks are written. Namespace prefixes are stripped from
+// element names. Comments, CDATA, doctypes and processing instructions are
+// skipped.
+export function createXMLScanner({ open, close, text }) {
+  let buffer = "";
+
+  function decodeEntities(str) {
+    if (str.indexOf("&") === -1) return str;
+    return str
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  function localName(name) {
+    const colon = name.indexOf(":");
+    return colon === -1 ? name : name.slice(colon + 1);
+  }
+
+  // Index of the ">" closing the tag starting at `start`, honouring quotes.
+  function findTagEnd(start) {
+    let quote = null;
+    for (let i = start + 1; i < buffer.length; i++) {
+      const ch = buffer[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === ">") {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  function parseTag(body) {
+    const m = /^([^\s/>]+)/.exec(body);
+    const name = localName(m ? m[1] : "");
+    const attrs = {};
+    const re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let a;
+    const rest = body.slice(m ? m[1].length : 0);
+    while ((a = re.exec(rest))) {
+      attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+    }
+    return { name, attrs };
+  }
+
+  function process(final) {
+    let pos = 0;
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf("<", pos);
+      if (lt === -1) {
+        // Keep trailing text until the next tag arrives so numbers split
+        // across chunks are not broken apart.
+        if (final) text(decodeEntities(buffer.slice(pos)));
+        pos = final ? buffer.length : pos;
+        break;
+      }
+      if (lt > pos) text(decodeEntities(buffer.slice(pos, lt)));
+      pos = lt;
+
+      if (buffer.startsWith("<!--", pos)) {
+        const end = buffer.indexOf("-->", pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+        continue;
+      }
+      if (buffer.startsWith("<![CDATA[", pos)) {
+        const end = buffer.indexOf("]]>", pos + 9);
+        if (end === -1) break;
+        text(buffer.slice(pos + 9, end));
+        pos = end + 3;
+        continue;
+      }
+
+      const gt = findTagEnd(pos);
+      if (gt === -1) break;
+      const body = buffer.slice(pos + 1, gt);
+      pos = gt + 1;
+      if (body[0] === "?" || body[0] === "!") continue;
+      if (body[0] === "/") {
+        close(localName(body.slice(1).trim()));
+        continue;
+      }
+      const selfClosing = body.endsWith("/");
+      const { name, attrs } = parseTag(selfClosing ? body.slice(0, -1) : body);
+      open(name, attrs);
+      if (selfClosing) close(name);
+    }
+    buffer = buffer.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      process(false);
+    },
+    end() {
+      process(true);
+      buffer = "";
+    },
+  };
+}
+
+// --- LandXML parser ---
+// Streaming: feed text with write(), then end() returns the surfaces.
+// Besides <P>/<F> it reads invisible faces (<F i="1">), <SourceData>
+// boundaries and breaklines as polylines, and the file-level <Units> and
+// <CoordinateSystem>, which are attached to every surface's metadata.
+export function createLandXMLParser() {
+  const results = [];
+  const fileMeta = { units: null, coordinateSystem: null };
+  let inUnits = false;
+  let surface = null;
+  let feature = null; // boundary or breakline being read
+  let textTarget = null; // "P" | "F" | "PntList3D" | "PntList2D" while inside one of those elements
+  let textBuffer = "";
+  let pointId = null;
+  let faceInvisible = false;
+
+  const scanner = createXMLScanner({
+    open(name, attrs) {
+      if (name === "Units") {
+        inUnits = true;
+      } else if (inUnits && (name === "Metric" || name === "Imperial")) {
+        fileMeta.units = { system: name, ...attrs };
+      } else if (name === "CoordinateSystem") {
+        fileMeta.coordinateSystem = { ...attrs };
+      } else if (name === "Surface") {
+        surface = {
+          name: attrs.name || "Untitled",
+          description: attrs.desc || null,
+          surfType: null,
+          vertexMap: new Map(),
+          vertices: [],
+          pointIds: [],
+          faces: [],
+          invisibleFaces: [],
+          boundaries: [],
+          breaklines: [],
+        };
+      } else if (!surface) {
+        return;
+      } else if (name === "Definition") {
+        surface.surfType = attrs.surfType || null;
+      } else if (name === "Boundary" || name === "Breakline") {
+        feature = {
+          name: attrs.name || attrs.desc || "",
+          type: (name === "Boundary" ? attrs.bndType : attrs.brkType) || null,
+          points: [],
+        };
+        if (name === "Boundary") surface.boundaries.push(feature);
+        else surface.breaklines.push(feature);
+      } else if (feature && (name === "PntList3D" || name === "PntList2D")) {
+        textTarget = name;
+        textBuffer = "";
+      } else if (name === "P" || name === "F") {
+        textTarget = name;
+        textBuffer = "";
+        pointId = name === "P" ? parseInt(attrs.id) : null;
+        faceInvisible = name === "F" && attrs.i === "1";
+      }
+    },
+    text(str) {
+      if (textTarget) textBuffer += str;
+    },
+    close(name) {
+      if (name === "Units") inUnits = false;
+      if (!surface) return;
+      if (name === "P" && textTarget === "P") {
+        const coords = textBuffer.trim().split(/\s+/).map(Number);
+        // LandXML: northing, easting, elevation → we store as x=easting, y=northing, z=elevation
+        surface.vertexMap.set(pointId, surface.pointIds.length);
+        surface.vertices.push(coords[1], coords[0], coords[2]);
+        surface.pointIds.push(pointId);
+        textTarget = null;
+      } else if (name === "F" && textTarget === "F") {
+        const ids = textBuffer.trim().split(/\s+/).map(Number);
+        if (faceInvisible) surface.invisibleFaces.push(surface.faces.length / 3);
+        for (let j = 0; j < 3; j++) {
+          const vi = surface.vertexMap.get(ids[j]);
+          surface.faces.push(vi === undefined ? -1 : vi);
+        }
+        textTarget = null;
+      } else if (name === textTarget && feature) {
+        const stride = name === "PntList3D" ? 3 : 2;
+        const values = textBuffer.trim().split(/[\s,]+/).map(Number);
+        for (let i = 0; i + stride - 1 < values.length; i += stride) {
+          const z = stride === 3 ? values[i + 2] : NaN;
+          feature.points.push(values[i + 1], values[i], z);
+        }
+        textTarget = null;
+      } else if (name === "Boundary" || name === "Breakline") {
+        feature.points = Float64Array.from(feature.points);
+        feature = null;
+      } else if (name === "Surface") {
+        results.push({
+          name: surface.name,
+          indices: Int32Array.from(surface.faces),
+          vertices: Float64Array.from(surface.vertices),
+          pointIds: Int32Array.from(surface.pointIds),
+          invisibleFaces: Int32Array.from(surface.invisibleFaces),
+          boundaries: surface.boundaries,
+          breaklines: surface.breaklines,
+          metadata: {
+            description: surface.description,
+            surfType: surface.surfType,
+          },
+        });
+        surface = null;
+      }
+    },
+  });
+
+  return {
+    write: (chunk) => scanner.write(chunk),
+    end() {
+      scanner.end();
+      for (const r of results) Object.assign(r.metadata, fileMeta);
+      return results;
+    },
+  };
+}
+
+export function parseLandXML(xmlString) {
+  const parser = createLandXMLParser();
+  parser.write(xmlString);
+  return parser.end();
+}
+
+// --- Heightmap grid JSON parser ---
+// Options (all optional):
+//   split:   "right" (TR–BL diagonal, default), "left" (TL–BR), "alternating"
+//            (checkerboard) or "shortest" (shorter 3D diagonal per cell)
+//   nodata:  extra sentinel treated as a hole besides null/NaN (defaults to
+//            the file's nodata / noDataValue)
+//   order:   "row-major" (heights[r * cols + c], default) or "column-major"
+//   rowAxis: "x" (rows step along min[0], default) or "y"
+//   flipY:   true if the grid's first row/column is at max Y instead of min Y
+// Triangles are always wound counter-clockwise seen from above.
+export const HEIGHTMAP_SPLITS = {
+  right: "Right diagonal (TR–BL)",
+  left: "Left diagonal (TL–BR)",
+  alternating: "Alternating",
+  shortest: "Shortest diagonal",
+};
+
+export function defaultHeightmapOptions(data) {
+  return {
+    split: "right",
+    nodata: data.nodata ?? data.noDataValue ?? null,
+    order: "row-major",
+    rowAxis: "x",
+    flipY: false,
+  };
+}
+
+export function parseHeightmapJSON(data, options = {}) {
+  const opts = { ...defaultHeightmapOptions(data), ...options };
+  const cellLength = data.cellLength;
+  const min = data.min;
+  const max = data.max;
+
+  // Axis 0 is x (min[0]), axis 1 is y (min[1]).
+  const rowDim = opts.rowAxis === "y" ? 1 : 0;
+  const colDim = 1 - rowDim;
+  const cols = Math.round((max[colDim] - min[colDim]) / cellLength);
+  const rows = Math.round((max[rowDim] - min[rowDim]) / cellLength);
+  const yCount = rowDim === 1 ? rows : cols;
+
+  const heights = new Float64Array(rows * cols);
+  const vertices = [];
+  const validIndex = new Int32Array(rows * cols).fill(-1);
+  let vertIdx = 0;
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = r * cols + c;
+      const h = data.heights[opts.order === "column-major" ? c * rows + r : i];
+      let z = typeof h === "string" ? parseFloat(h) : h;
+      if (z == null || isNaN(z) || (opts.nodata != null && z === opts.nodata)) z = NaN;
+      heights[i] = z;
+      if (Number.isNaN(z)) continue;
+
+      validIndex[i] = vertIdx;
+      const p = [0, 0];
+      p[rowDim] = r;
+      p[colDim] = c;
+      if (opts.flipY) p[1] = yCount - 1 - p[1];
+      vertices.push(min[0] + p[0] * cellLength, min[1] + p[1] * cellLength, z);
+      vertIdx++;
+    }
+  }
+
+  // With rows along x and no flip, (TL, BL, TR) is counter-clockwise; each
+  // axis swap or flip mirrors the grid and reverses that.
+  const mirrored = (rowDim === 1) !== opts.flipY;
+  const indices = [];
+  const pushTri = (a, b, c) => {
+    if (a < 0 || b < 0 || c < 0) return;
+    if (mirrored) indices.push(a, c, b);
+    else indices.push(a, b, c);
+  };
+
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const tl = r * cols + c;
+      const tr = tl + 1;
+      const bl = tl + cols;
+      const br = bl + 1;
+
+      const iTL = validIndex[tl];
+      const iTR = validIndex[tr];
+      const iBL = validIndex[bl];
+      const iBR = validIndex[br];
+
+      let left;
+      if (opts.split === "left") left = true;
+      else if (opts.split === "alternating") left = (r + c) % 2 === 1;
+      else if (opts.split === "shortest") {
+        // Same horizontal length, so compare the height differences.
+        const dLeft = Math.abs(heights[tl] - heights[br]);
+        const dRight = Math.abs(heights[tr] - heights[bl]);
+        left = dLeft < dRight;
+      } else left = false;
+
+      if (left) {
+        pushTri(iTL, iBL, iBR);
+        pushTri(iTL, iBR, iTR);
+      } else {
+        pushTri(iTL, iBL, iTR);
+        pushTri(iTR, iBL, iBR);
+      }
+    }
+  }
+
+  return {
+    indices: Int32Array.from(indices),
+    vertices: Float64Array.from(vertices),
+    heightmap: {
+      cellLength,
+      min: min.slice(),
+      max: max.slice(),
+      heights: data.heights,
+      nodata: data.nodata ?? data.noDataValue ?? null,
+      options: opts,
+    },
+  };
+}
+
+// --- {indices, vertices} JSON ---
+// Anything that is not a non-negative integer becomes -1 so diagnostics can
+// report it; vertex values that are not numbers become NaN. Restart markers
+// (see isRestartIndex) become -1 too, with their slots listed in "restarts"
+// so they aren't confused with bad indices. "mode" optionally gives the
+// primitive topology and "faceSizes" the vertex count of each polygon (see
+// topology.js).
+export function parseIndexedJSON(data) {
+  const vertexCount = Math.floor(data.vertices.length / 3);
+  const indices = new Int32Array(data.indices.length);
+  const restarts = [];
+  for (let i = 0; i < indices.length; i++) {
+    const v = data.indices[i];
+    if (isRestartIndex(v, vertexCount)) {
+      restarts.push(i);
+      indices[i] = -1;
+    } else {
+      indices[i] = Number.isInteger(v) && v >= 0 && v <= 0x7fffffff ? v : -1;
+    }
+  }
+  const vertices = new Float64Array(data.vertices.length);
+  for (let i = 0; i < vertices.length; i++) {
+    const v = data.vertices[i];
+    vertices[i] = typeof v === "number" ? v : typeof v === "string" ? parseFloat(v) : NaN;
+  }
+  const result = { indices, vertices };
+  const mode = normalizePrimitiveMode(data.mode);
+  if (mode) result.mode = mode;
+  if (restarts.length > 0) result.restarts = Int32Array.from(restarts);
+  if (Array.isArray(data.faceSizes)) {
+    result.faceSizes = Int32Array.from(data.faceSizes, (n) => (Number.isInteger(n) && n > 0 ? n : 0));
+  }
+  // Optional vertex data, flat like vertices; missing or non-numeric values
+  // become NaN. Tangents and colours may have a fourth component, which is
+  // dropped, and colours may be 0-255.
+  const perVertex = (values, size, stride = size) => {
+    const out = new Float64Array(vertexCount * size).fill(NaN);
+    for (let v = 0; v < vertexCount; v++) {
+      for (let k = 0; k < size; k++) {
+        const x = values[v * stride + k];
+        out[v * size + k] = typeof x === "number" ? x : typeof x === "string" ? parseFloat(x) : NaN;
+      }
+    }
+    return out;
+  };
+  const stride = (values) => (vertexCount > 0 && values.length === vertexCount * 4 ? 4 : 3);
+  if (Array.isArray(data.normals)) result.normals = perVertex(data.normals, 3);
+  if (Array.isArray(data.tangents)) result.tangents = perVertex(data.tangents, 3, stride(data.tangents));
+  if (Array.isArray(data.uvs)) result.uvs = perVertex(data.uvs, 2);
+  if (Array.isArray(data.colors)) {
+    const colors = perVertex(data.colors, 3, stride(data.colors));
+    if (colors.some((c) => c > 1)) colors.forEach((c, i) => (colors[i] = c / 255));
+    result.colors = colors;
+  }
+  // Named attributes: { "name": [v0, v1, ...] } scalars, or vectors of 2-4
+  // components given as { "size": n, "values": [...] } or as a flat array n
+  // times the vertex count. Vectors are split into name.x, name.y, ...
+  if (data.attributes && typeof data.attributes === "object") {
+    result.attributes = {};
+    for (const [name, attr] of Object.entries(data.attributes)) {
+      const values = Array.isArray(attr) ? attr : attr && Array.isArray(attr.values) ? attr.values : null;
+      if (!values) continue;
+      const size =
+        attr.size || (vertexCount > 0 && values.length % vertexCount === 0 ? values.length / vertexCount : 1);
+      if (!(size >= 2 && size <= 4)) {
+        result.attributes[name] = Float64Array.from(values, Number);
+        continue;
+      }
+      const vectors = perVertex(values, size);
+      for (let k = 0; k < size; k++) {
+        result.attributes[`${name}.${"xyzw"[k]}`] = vectors.filter((_, i) => i % size === k);
+      }
+    }
+  }
+  return result;
+}
+
+// Dispatches a parsed JSON document to the matching parser.
+export function parseGeometryJSON(data) {
+  if (data.indices && data.vertices) return parseIndexedJSON(data);
+  if (data.heights && data.cellLength != null && data.min && data.max) {
+    return parseHeightmapJSON(data);
+  }
+  throw new Error("Unsupported JSON format");
+}
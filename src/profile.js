@@ -0,0 +1,169 @@
+// --- Cross-section profiles ---
+// A profile samples surfaces along a plan-view polyline. Chainage is the
+// horizontal distance along the polyline from its first point.
+
+// Evenly spaced stations along the polyline, always including its vertices.
+// points: [[x, y, z], ...] in original coordinates.
+export function profileStations(points, count = 1000) {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    lengths.push(lengths[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+  }
+  const total = lengths[lengths.length - 1];
+  const stations = [];
+  for (let i = 0; i + 1 < points.length; i++) {
+    const segment = lengths[i + 1] - lengths[i];
+    const steps = Math.max(1, Math.round((segment / (total || 1)) * count));
+    for (let k = 0; k < steps; k++) {
+      const s = k / steps;
+      stations.push({
+        chainage: lengths[i] + s * segment,
+        x: points[i][0] + s * (points[i + 1][0] - points[i][0]),
+        y: points[i][1] + s * (points[i + 1][1] - points[i][1]),
+      });
+    }
+  }
+  const last = points[points.length - 1];
+  stations.push({ chainage: total, x: last[0], y: last[1] });
+  return stations;
+}
+
+// Returns { stations, series: [Float64Array z per station] } for the given
+// surface samplers (see createSurfaceSampler). z is NaN off a surface.
+export function sampleProfile(points, samplers, count = 1000) {
+  const stations = profileStations(points, count);
+  const series = samplers.map((sampler) =>
+    Float64Array.from(stations, (st) => sampler.sample(st.x, st.y))
+  );
+  return { stations, series };
+}
+
+export function profileToCSV(profile, names) {
+  const quote = (s) => `"${String(s).replace(/"/g, '""')}"`;
+  const rows = [["chainage", "x", "y", ...names].map(quote).join(",")];
+  profile.stations.forEach((st, i) => {
+    const z = profile.series.map((s) => (Number.isNaN(s[i]) ? "" : s[i]));
+    rows.push([st.chainage, st.x, st.y, ...z].join(","));
+  });
+  return rows.join("\n") + "\n";
+}
+
+// --- Profile chart ---
+const PAD = { left: 52, right: 10, top: 10, bottom: 22 };
+
+function niceTicks(min, max, target) {
+  const range = max - min || 1;
+  const raw = range / target;
+  const pow = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find((s) => s * pow >= raw) * pow;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v);
+  return ticks;
+}
+
+// Draws the profile into a canvas and returns the chart's mapping, used to
+// turn a mouse x into a station index.
+export function drawProfileChart(canvas, profile, { colors, hoverIndex = -1 }) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const { stations, series } = profile;
+  const maxChainage = stations[stations.length - 1].chainage || 1;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  for (const s of series) {
+    for (const z of s) {
+      if (z < minZ) minZ = z;
+      if (z > maxZ) maxZ = z;
+    }
+  }
+  if (!(minZ <= maxZ)) {
+    minZ = 0;
+    maxZ = 1;
+  }
+  const margin = (maxZ - minZ) * 0.05 || 1;
+  minZ -= margin;
+  maxZ += margin;
+
+  const plotW = width - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const sx = (c) => PAD.left + (c / maxChainage) * plotW;
+  const sy = (z) => PAD.top + (1 - (z - minZ) / (maxZ - minZ)) * plotH;
+
+  ctx.font = "10px sans-serif";
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+  ctx.fillStyle = "#aaa";
+  ctx.lineWidth = 1;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (const z of niceTicks(minZ, maxZ, 4)) {
+    ctx.beginPath();
+    ctx.moveTo(PAD.left, sy(z));
+    ctx.lineTo(width - PAD.right, sy(z));
+    ctx.stroke();
+    ctx.fillText(String(Number(z.toFixed(3))), PAD.left - 4, sy(z));
+  }
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  for (const c of niceTicks(0, maxChainage, 6)) {
+    ctx.beginPath();
+    ctx.moveTo(sx(c), PAD.top);
+    ctx.lineTo(sx(c), height - PAD.bottom);
+    ctx.stroke();
+    ctx.fillText(String(Number(c.toFixed(3))), sx(c), height - PAD.bottom + 4);
+  }
+
+  ctx.lineWidth = 1.5;
+  series.forEach((s, k) => {
+    ctx.strokeStyle = colors[k];
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = 0; i < s.length; i++) {
+      if (Number.isNaN(s[i])) {
+        drawing = false;
+        continue;
+      }
+      const x = sx(stations[i].chainage);
+      const y = sy(s[i]);
+      if (drawing) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      drawing = true;
+    }
+    ctx.stroke();
+  });
+
+  if (hoverIndex >= 0) {
+    const x = sx(stations[hoverIndex].chainage);
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, PAD.top);
+    ctx.lineTo(x, height - PAD.bottom);
+    ctx.stroke();
+    series.forEach((s, k) => {
+      if (Number.isNaN(s[hoverIndex])) return;
+      ctx.fillStyle = colors[k];
+      ctx.beginPath();
+      ctx.arc(x, sy(s[hoverIndex]), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  // Station index nearest to a canvas x coordinate.
+  return (clientX) => {
+    const c = ((clientX - PAD.left) / plotW) * maxChainage;
+    let best = 0;
+    for (let i = 1; i < stations.length; i++) {
+      if (Math.abs(stations[i].chainage - c) < Math.abs(stations[best].chainage - c)) best = i;
+    }
+    return best;
+  };
+}
@@ -0,0 +1,178 @@
+import { faceNormal, getVertex, slopeDegrees } from "./inspect.js";
+
+// --- Scalar fields for colour modes ---
+// Each mode yields one value per vertex or per triangle, computed from the
+// original (un-centered) file data. NaN marks values that do not exist, such
+// as triangles with an invalid index or the aspect of a flat face.
+// unit: "length" and "area" are in the file's linear unit.
+// requires: a data field without which the mode has no values.
+// infinite: what an infinite value stands for; such values are coloured at
+// the top of the ramp and counted in the legend.
+
+export const SCALAR_MODES = {
+  height: { label: "Height", domain: "vertex", unit: "length" },
+  slope: { label: "Slope", domain: "triangle", unit: "°" },
+  aspect: { label: "Aspect", domain: "triangle", unit: "°" },
+  area: { label: "Triangle area", domain: "triangle", unit: "area" },
+  aspectRatio: { label: "Aspect ratio", domain: "triangle", unit: "", infinite: "degenerate triangles" },
+  valence: { label: "Valence", domain: "vertex", unit: "" },
+  // Angle between the file's normals and those computed from the faces.
+  normalMismatch: { label: "Normal mismatch", domain: "vertex", unit: "°", requires: "normals" },
+  // Values come from the surface comparison, not the file (see surfacediff.js).
+  difference: { label: "Surface difference", domain: "vertex", unit: "length" },
+};
+
+export const ATTRIBUTE_PREFIX = "attr:";
+
+export function scalarModeInfo(mode) {
+  if (SCALAR_MODES[mode]) return SCALAR_MODES[mode];
+  if (mode.startsWith(ATTRIBUTE_PREFIX)) {
+    return { label: mode.slice(ATTRIBUTE_PREFIX.length), domain: "vertex", unit: "" };
+  }
+  return null;
+}
+
+// Names of the per-vertex scalar attributes supplied by the file.
+export function attributeNames(data) {
+  return data.attributes ? Object.keys(data.attributes) : [];
+}
+
+function forEachTriangle(data, fn) {
+  const { indices, vertices } = data;
+  const vertexCount = vertices.length / 3;
+  const triCount = Math.floor(indices.length / 3);
+  const out = new Float64Array(triCount).fill(NaN);
+  for (let t = 0; t < triCount; t++) {
+    const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+    if (!(a >= 0 && a < vertexCount && b >= 0 && b < vertexCount && c >= 0 && c < vertexCount)) {
+      continue;
+    }
+    out[t] = fn(getVertex(data, a), getVertex(data, b), getVertex(data, c));
+  }
+  return out;
+}
+
+// Downslope direction, clockwise from +Y (north).
+function aspectDegrees(normal) {
+  let [nx, ny, nz] = normal;
+  if (nz < 0) {
+    nx = -nx;
+    ny = -ny;
+  }
+  if (Math.hypot(nx, ny) < 1e-12) return NaN;
+  const deg = (Math.atan2(nx, ny) * 180) / Math.PI;
+  return deg < 0 ? deg + 360 : deg;
+}
+
+// Circumradius over twice the inradius: 1 for equilateral, large for slivers
+// and infinite for triangles without area.
+function aspectRatio(a, b, c) {
+  const la = Math.hypot(b[0] - c[0], b[1] - c[1], b[2] - c[2]);
+  const lb = Math.hypot(a[0] - c[0], a[1] - c[1], a[2] - c[2]);
+  const lc = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  const s = (la + lb + lc) / 2;
+  const denom = 8 * (s - la) * (s - lb) * (s - lc);
+  return denom > 0 ? (la * lb * lc) / denom : Infinity;
+}
+
+// Area-weighted sums of the incident face normals, unnormalized.
+function faceVertexNormals(data) {
+  const { indices, vertices } = data;
+  const vertexCount = vertices.length / 3;
+  const out = new Float64Array(vertices.length);
+  for (let t = 0; t < Math.floor(indices.length / 3); t++) {
+    const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    if (!tri.every((v) => v >= 0 && v < vertexCount)) continue;
+    const [a, b, c] = tri.map((v) => getVertex(data, v));
+    const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+    const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+    const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    for (const v of tri) {
+      for (let k = 0; k < 3; k++) out[v * 3 + k] += n[k];
+    }
+  }
+  return out;
+}
+
+export function computeScalars(mode, data) {
+  const vertexCount = data.vertices.length / 3;
+  switch (mode) {
+    case "height": {
+      const out = new Float64Array(vertexCount);
+      for (let v = 0; v < vertexCount; v++) out[v] = data.vertices[v * 3 + 2];
+      return out;
+    }
+    case "slope":
+      return forEachTriangle(data, (a, b, c) => {
+        const { normal, area } = faceNormal(a, b, c);
+        return area > 0 ? slopeDegrees(normal) : NaN;
+      });
+    case "aspect":
+      return forEachTriangle(data, (a, b, c) => aspectDegrees(faceNormal(a, b, c).normal));
+    case "area":
+      return forEachTriangle(data, (a, b, c) => faceNormal(a, b, c).area);
+    case "aspectRatio":
+      return forEachTriangle(data, aspectRatio);
+    case "valence": {
+      // Number of distinct edges at each vertex.
+      const out = new Float64Array(vertexCount);
+      const { indices } = data;
+      const edges = new Set();
+      for (let t = 0; t < Math.floor(indices.length / 3); t++) {
+        for (let j = 0; j < 3; j++) {
+          const a = indices[t * 3 + j];
+          const b = indices[t * 3 + ((j + 1) % 3)];
+          if (a === b || !(a >= 0 && a < vertexCount && b >= 0 && b < vertexCount)) continue;
+          const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+          if (edges.has(key)) continue;
+          edges.add(key);
+          out[a]++;
+          out[b]++;
+        }
+      }
+      return out;
+    }
+    case "normalMismatch": {
+      const out = new Float64Array(vertexCount).fill(NaN);
+      if (!data.normals) return out;
+      const computed = faceVertexNormals(data);
+      const given = data.normals;
+      for (let v = 0; v < vertexCount; v++) {
+        const i = v * 3;
+        const dot = computed[i] * given[i] + computed[i + 1] * given[i + 1] + computed[i + 2] * given[i + 2];
+        const len =
+          Math.hypot(computed[i], computed[i + 1], computed[i + 2]) *
+          Math.hypot(given[i], given[i + 1], given[i + 2]);
+        if (len > 0) out[v] = (Math.acos(Math.min(1, Math.max(-1, dot / len))) * 180) / Math.PI;
+      }
+      return out;
+    }
+  }
+  if (mode.startsWith(ATTRIBUTE_PREFIX)) {
+    const values = data.attributes && data.attributes[mode.slice(ATTRIBUTE_PREFIX.length)];
+    const out = new Float64Array(vertexCount).fill(NaN);
+    if (values) {
+      for (let v = 0; v < Math.min(vertexCount, values.length); v++) {
+        const x = values[v];
+        out[v] = typeof x === "number" ? x : typeof x === "string" ? parseFloat(x) : NaN;
+      }
+    }
+    return out;
+  }
+  return null;
+}
+
+// Finite min/max of a set of value arrays.
+export function scalarRange(arrays) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const values of arrays) {
+    for (let i = 0; i < values.length; i++) {
+      const x = values[i];
+      if (!Number.isFinite(x)) continue;
+      if (x < min) min = x;
+      if (x > max) max = x;
+    }
+  }
+  return min <= max ? { min, max } : null;
+}
@@ -0,0 +1,15 @@
+// --- Jump-to-index query parsing ---
+// Accepts "tri 1234", "triangle #1234", "t1234", "vertex 567", "v 567",
+// "index slot 890", "slot 890" or "i 890". A bare number is a triangle.
+const QUERY_PATTERN =
+  /^(?:(tri(?:angle)?|t|face|f|vert(?:ex)?|v|(?:index\s+)?slot|index|i|s)\s*)?#?\s*(\d+)$/i;
+
+export function parseIndexQuery(query) {
+  const m = QUERY_PATTERN.exec(query.trim());
+  if (!m) return null;
+  const kind = (m[1] || "tri").toLowerCase().replace(/\s+/g, " ");
+  const index = parseInt(m[2], 10);
+  if (/^(tri|triangle|t|face|f)$/.test(kind)) return { type: "triangle", index };
+  if (/^(vert|vertex|v)$/.test(kind)) return { type: "vertex", index };
+  return { type: "slot", index };
+}
@@ -0,0 +1,110 @@
+import { createZip, readZip } from "./zip.js";
+
+// --- Sessions and projects ---
+// A session is { manifest, sources: [{ name, blob }] }: the source files as
+// loaded plus a JSON manifest of the view state that refers to them by
+// index. It is kept in IndexedDB between reloads, and a project file is the
+// same thing as a zip with manifest.json and the files under files/.
+
+const DB_NAME = "indices-vertices-visualizer";
+const STORE = "session";
+const KEY = "current";
+export const MANIFEST_VERSION = 1;
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function withStore(mode, fn) {
+  return openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        tx.onerror = tx.onabort = () => {
+          db.close();
+          reject(tx.error);
+        };
+      })
+  );
+}
+
+export function saveSession(session) {
+  return withStore("readwrite", (store) => store.put(session, KEY));
+}
+
+// Resolves to the saved session, or null.
+export function loadSession() {
+  return withStore("readonly", (store) => store.get(KEY)).then((s) => s || null);
+}
+
+export function clearSession() {
+  return withStore("readwrite", (store) => store.delete(KEY));
+}
+
+// Sources are stored as files/<index>-<name>, so two sources with the same
+// name don't collide and the manifest's indices still apply.
+export async function createProject({ manifest, sources }) {
+  const encoder = new TextEncoder();
+  const files = [{ name: "manifest.json", data: encoder.encode(JSON.stringify(manifest, null, 2)) }];
+  for (let i = 0; i < sources.length; i++) {
+    const path = `files/${i}-${sources[i].name}`;
+    files.push({ name: path, data: new Uint8Array(await sources[i].blob.arrayBuffer()) });
+  }
+  return createZip(files);
+}
+
+export async function readProject(blob) {
+  const files = await readZip(await blob.arrayBuffer());
+  const manifestBytes = files.get("manifest.json");
+  if (!manifestBytes) throw new Error("Not a project file: manifest.json is missing");
+  const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`Project version ${manifest.version} is newer than this viewer`);
+  }
+  const sources = [];
+  for (const [path, data] of files) {
+    const match = /^files\/(\d+)-(.*)$/.exec(path);
+    if (match) sources[Number(match[1])] = { name: match[2], blob: new Blob([data]) };
+  }
+  return { manifest, sources };
+}
+
+// --- View hash ---
+// The URL hash carries the camera, the controls that differ from their
+// defaults and the hidden files by their position in the file list, as in
+// the manifest: #cam=px,py,pz,tx,ty,tz&wireframe=1&colorMode=slope&hide=2
+export function encodeViewHash({ camera, controls, hidden }) {
+  const params = new URLSearchParams();
+  if (camera) params.set("cam", camera.map((x) => Number(x.toFixed(4))).join(","));
+  for (const [id, value] of Object.entries(controls)) {
+    params.set(id, typeof value === "boolean" ? (value ? "1" : "0") : value);
+  }
+  for (const index of hidden) params.append("hide", String(index));
+  return params.toString();
+}
+
+// Controls come back as strings; the caller knows which are checkboxes.
+export function decodeViewHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const cam = params.get("cam");
+  const camera = cam ? cam.split(",").map(Number) : null;
+  const controls = {};
+  for (const [key, value] of params) {
+    if (key !== "cam" && key !== "hide") controls[key] = value;
+  }
+  return {
+    camera: camera && camera.length === 6 && camera.every(Number.isFinite) ? camera : null,
+    controls,
+    hidden: params.getAll("hide").map(Number).filter(Number.isInteger),
+  };
+}
@@ -0,0 +1,162 @@
+// --- Surface-to-surface comparison ---
+// Surfaces are compared vertically: a surface is sampled at (x, y) by finding
+// the triangle containing the point in plan view and interpolating its z.
+// Invisible faces (LandXML voids) and vertical triangles are not sampled.
+
+// Builds a uniform plan-view grid over the triangles' bounding boxes and
+// returns sample(x, y) -> z, or NaN outside the surface.
+export function createSurfaceSampler(data) {
+  const { indices, vertices } = data;
+  const vertexCount = vertices.length / 3;
+  const triCount = Math.floor(indices.length / 3);
+  const hidden = new Set(data.invisibleFaces || []);
+
+  const tris = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let t = 0; t < triCount; t++) {
+    if (hidden.has(t)) continue;
+    const a = indices[t * 3], b = indices[t * 3 + 1], c = indices[t * 3 + 2];
+    if (!(a >= 0 && a < vertexCount && b >= 0 && b < vertexCount && c >= 0 && c < vertexCount)) {
+      continue;
+    }
+    tris.push(t);
+    for (const v of [a, b, c]) {
+      const x = vertices[v * 3], y = vertices[v * 3 + 1];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (tris.length === 0) {
+    return { bounds: null, sample: () => NaN };
+  }
+
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+  const cellSize = Math.sqrt((width * height) / tris.length) * 2 || 1;
+  const cols = Math.max(1, Math.min(2048, Math.ceil(width / cellSize)));
+  const rows = Math.max(1, Math.min(2048, Math.ceil(height / cellSize)));
+  const cellW = width / cols;
+  const cellH = height / rows;
+  const col = (x) => Math.min(cols - 1, Math.max(0, Math.floor((x - minX) / cellW)));
+  const row = (y) => Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / cellH)));
+
+  const triBox = (t) => {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (let j = 0; j < 3; j++) {
+      const v = indices[t * 3 + j];
+      const x = vertices[v * 3], y = vertices[v * 3 + 1];
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+    }
+    return [col(x0), row(y0), col(x1), row(y1)];
+  };
+
+  // Two passes: count triangles per cell, then fill a flat list.
+  const start = new Uint32Array(cols * rows + 1);
+  for (const t of tris) {
+    const [c0, r0, c1, r1] = triBox(t);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) start[r * cols + c + 1]++;
+    }
+  }
+  for (let i = 0; i < cols * rows; i++) start[i + 1] += start[i];
+  const fill = start.slice(0, cols * rows);
+  const cellTris = new Uint32Array(start[cols * rows]);
+  for (const t of tris) {
+    const [c0, r0, c1, r1] = triBox(t);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) cellTris[fill[r * cols + c]++] = t;
+    }
+  }
+
+  const EPS = 1e-9;
+  const sample = (x, y) => {
+    if (x < minX || x > maxX || y < minY || y > maxY) return NaN;
+    const cell = row(y) * cols + col(x);
+    for (let i = start[cell]; i < start[cell + 1]; i++) {
+      const t = cellTris[i];
+      const a = indices[t * 3] * 3, b = indices[t * 3 + 1] * 3, c = indices[t * 3 + 2] * 3;
+      const ax = vertices[a], ay = vertices[a + 1];
+      const v0x = vertices[b] - ax, v0y = vertices[b + 1] - ay;
+      const v1x = vertices[c] - ax, v1y = vertices[c + 1] - ay;
+      const det = v0x * v1y - v1x * v0y;
+      if (Math.abs(det) < 1e-12) continue;
+      const px = x - ax, py = y - ay;
+      const u = (px * v1y - v1x * py) / det;
+      const v = (v0x * py - px * v0y) / det;
+      if (u < -EPS || v < -EPS || u + v > 1 + EPS) continue;
+      const za = vertices[a + 2];
+      return za + u * (vertices[b + 2] - za) + v * (vertices[c + 2] - za);
+    }
+    return NaN;
+  };
+
+  return { bounds: { minX, minY, maxX, maxY }, sample };
+}
+
+// Compares `compare` against `base`:
+//   values:   per compare-vertex z(compare) - z(base), NaN where base is absent
+//   cut/fill: volumes where compare is below/above base (cut is positive)
+//   net:      fill - cut
+//   area:     plan area where both surfaces exist
+// Volumes use a grid of `spacing`-sized cells sampled at their centers;
+// without a spacing the overlap is split into about maxCells cells.
+export function compareSurfaces(base, compare, { spacing = 0, maxCells = 250000 } = {}) {
+  const baseSampler = createSurfaceSampler(base);
+  const compareSampler = createSurfaceSampler(compare);
+
+  const vertexCount = compare.vertices.length / 3;
+  const values = new Float64Array(vertexCount);
+  for (let v = 0; v < vertexCount; v++) {
+    const x = compare.vertices[v * 3];
+    const y = compare.vertices[v * 3 + 1];
+    values[v] = compare.vertices[v * 3 + 2] - baseSampler.sample(x, y);
+  }
+
+  const result = { values, cut: 0, fill: 0, net: 0, area: 0, spacing: 0, minDz: NaN, maxDz: NaN };
+  const a = baseSampler.bounds;
+  const b = compareSampler.bounds;
+  if (!a || !b) return result;
+  const minX = Math.max(a.minX, b.minX), maxX = Math.min(a.maxX, b.maxX);
+  const minY = Math.max(a.minY, b.minY), maxY = Math.min(a.maxY, b.maxY);
+  if (!(minX < maxX && minY < maxY)) return result;
+
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const step = Math.max(
+    spacing > 0 ? spacing : Math.sqrt((width * height) / maxCells),
+    Math.sqrt((width * height) / (maxCells * 4))
+  );
+  const cols = Math.max(1, Math.round(width / step));
+  const rows = Math.max(1, Math.round(height / step));
+  const cellW = width / cols;
+  const cellH = height / rows;
+  const cellArea = cellW * cellH;
+
+  let minDz = Infinity;
+  let maxDz = -Infinity;
+  for (let r = 0; r < rows; r++) {
+    const y = minY + (r + 0.5) * cellH;
+    for (let c = 0; c < cols; c++) {
+      const x = minX + (c + 0.5) * cellW;
+      const dz = compareSampler.sample(x, y) - baseSampler.sample(x, y);
+      if (Number.isNaN(dz)) continue;
+      result.area += cellArea;
+      if (dz > 0) result.fill += dz * cellArea;
+      else result.cut -= dz * cellArea;
+      if (dz < minDz) minDz = dz;
+      if (dz > maxDz) maxDz = dz;
+    }
+  }
+  result.net = result.fill - result.cut;
+  result.spacing = Math.sqrt(cellArea);
+  if (result.area > 0) {
+    result.minDz = minDz;
+    result.maxDz = maxDz;
+  }
+  return result;
+}
@@ -0,0 +1,159 @@
+// --- Primitive topologies ---
+// Index buffers that are not triangle lists are decoded into a triangle list
+// for the mesh (and everything that analyses it) plus line and point
+// primitives drawn on their own. Strips, fans, line strips and polygons can
+// be split with primitive-restart markers.
+
+export const PRIMITIVE_MODES = {
+  triangles: { label: "Triangle list", noun: "triangles" },
+  "triangle-strip": { label: "Triangle strip", noun: "strips" },
+  "triangle-fan": { label: "Triangle fan", noun: "fans" },
+  quads: { label: "Quad list", noun: "quads" },
+  polygons: { label: "Polygons", noun: "polygons" },
+  lines: { label: "Line list", noun: "lines" },
+  "line-strip": { label: "Line strip", noun: "line strips" },
+  "line-loop": { label: "Line loop", noun: "line loops" },
+  points: { label: "Points", noun: "points" },
+};
+
+// WebGL / glTF mode numbers.
+const GL_MODES = ["points", "lines", "line-loop", "line-strip", "triangles", "triangle-strip", "triangle-fan"];
+
+// Accepts the names above, GL-style names (TRIANGLE_STRIP) and mode numbers.
+export function normalizePrimitiveMode(mode) {
+  if (mode == null) return null;
+  const name = typeof mode === "number" ? GL_MODES[mode] : String(mode).toLowerCase().replace(/_/g, "-");
+  if (!PRIMITIVE_MODES[name]) throw new Error(`Unknown primitive mode: ${mode}`);
+  return name;
+}
+
+// A marker as written in a file: 0xFFFFFFFF, or 0xFFFF when it can't be a
+// vertex, as with 16-bit indices. Parsers that turn bad indices into -1 list
+// the marker slots separately, so a bad index is never taken for a marker.
+export function isRestartIndex(v, vertexCount) {
+  return v === 0xffffffff || (v === 0xffff && vertexCount <= 0xffff);
+}
+
+// Slot ranges [start, end) between restart markers, which are the slots in
+// markers if given, else the slots holding marker values; marker slots are
+// added to restarts.
+function splitAtRestarts(indices, vertexCount, markers, restarts) {
+  const isMarker = markers ? (s) => markers.has(s) : (s) => isRestartIndex(indices[s], vertexCount);
+  const runs = [];
+  let start = 0;
+  for (let s = 0; s <= indices.length; s++) {
+    if (s < indices.length && !isMarker(s)) continue;
+    if (s < indices.length) restarts.push(s);
+    if (s > start) runs.push([start, s]);
+    start = s + 1;
+  }
+  return runs;
+}
+
+// Decodes any mode but "triangles", whose index buffer is used as it is.
+// Returns {
+//   mode, triangles (triangle list), triangleSource (primitive of each
+//   triangle), lines (vertex pairs of line primitives), edges (vertex pairs
+//   of quad and polygon outlines), points, restarts (marker slots),
+//   primitiveCount, skipped (degenerate strip/fan triangles and primitives
+//   too short to draw)
+// }. Polygons are fan-triangulated, so concave ones may not fill correctly.
+// Options: faceSizes gives each polygon's vertex count instead of markers;
+// restarts lists the marker slots, as parseIndexedJSON records them.
+export function decodePrimitives(indices, mode, vertexCount, options = {}) {
+  const faceSizes = options.faceSizes || null;
+  const markers = options.restarts ? new Set(options.restarts) : null;
+  const restarts = [];
+  const triangles = [];
+  const triangleSource = [];
+  const lines = [];
+  const edges = [];
+  const points = [];
+  let primitiveCount = 0;
+  let skipped = 0;
+
+  const addTriangle = (a, b, c, dropDegenerate) => {
+    if (dropDegenerate && (a === b || b === c || a === c)) {
+      skipped++;
+      return;
+    }
+    triangles.push(a, b, c);
+    triangleSource.push(primitiveCount);
+  };
+  const addPolygon = (slots) => {
+    if (slots.length < 3) {
+      skipped++;
+      return;
+    }
+    const v = slots.map((s) => indices[s]);
+    for (let k = 1; k + 1 < v.length; k++) addTriangle(v[0], v[k], v[k + 1], false);
+    for (let k = 0; k < v.length; k++) edges.push(v[k], v[(k + 1) % v.length]);
+    primitiveCount++;
+  };
+  const range = (start, end) => Array.from({ length: end - start }, (_, k) => start + k);
+
+  if (mode === "polygons" && faceSizes) {
+    let s = 0;
+    for (const size of faceSizes) {
+      addPolygon(range(s, Math.min(s + size, indices.length)));
+      s += size;
+    }
+  } else {
+    const runs = splitAtRestarts(indices, vertexCount, markers, restarts);
+    for (const [start, end] of runs) {
+      const count = end - start;
+      if (mode === "triangle-strip" || mode === "triangle-fan") {
+        if (count < 3) {
+          skipped++;
+          continue;
+        }
+        if (mode === "triangle-fan") {
+          for (let s = start + 1; s + 1 < end; s++) {
+            addTriangle(indices[start], indices[s], indices[s + 1], true);
+          }
+        } else {
+          for (let s = start; s + 2 < end; s++) {
+            // Every other strip triangle is flipped to keep the winding.
+            if ((s - start) % 2 === 0) addTriangle(indices[s], indices[s + 1], indices[s + 2], true);
+            else addTriangle(indices[s + 1], indices[s], indices[s + 2], true);
+          }
+        }
+        primitiveCount++;
+      } else if (mode === "quads") {
+        for (let s = start; s + 3 < end; s += 4) addPolygon(range(s, s + 4));
+        // Indices left over after the last full quad.
+        if (count % 4 !== 0) skipped++;
+      } else if (mode === "polygons") {
+        addPolygon(range(start, end));
+      } else if (mode === "lines") {
+        for (let s = start; s + 1 < end; s += 2) {
+          lines.push(indices[s], indices[s + 1]);
+          primitiveCount++;
+        }
+      } else if (mode === "line-strip" || mode === "line-loop") {
+        if (count < 2) {
+          skipped++;
+          continue;
+        }
+        for (let s = start; s + 1 < end; s++) lines.push(indices[s], indices[s + 1]);
+        if (mode === "line-loop" && count > 2) lines.push(indices[end - 1], indices[start]);
+        primitiveCount++;
+      } else if (mode === "points") {
+        for (let s = start; s < end; s++) points.push(indices[s]);
+        primitiveCount += count;
+      }
+    }
+  }
+
+  return {
+    mode,
+    triangles: Int32Array.from(triangles),
+    triangleSource: Int32Array.from(triangleSource),
+    lines: Int32Array.from(lines),
+    edges: Int32Array.from(edges),
+    points: Int32Array.from(points),
+    restarts: Int32Array.from(restarts),
+    primitiveCount,
+    skipped,
+  };
+}
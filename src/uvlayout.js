@@ -0,0 +1,111 @@
+// --- UV layout ---
+// Draws a file's triangles in UV space, v up, framed to the unit square and
+// any UVs outside it. Vertex index labels are decluttered on a grid.
+
+const PAD = 14;
+const LABEL_CELL = { w: 30, h: 12 };
+const MAX_LABELS = 2000;
+
+// highlight: { triangles: [t], vertices: [v] } drawn over the layout.
+// Returns a function from a canvas position to the nearest vertex within
+// a few pixels, or -1.
+export function drawUVLayout(canvas, data, { labels = false, highlight = null } = {}) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const { uvs, indices } = data;
+  const vertexCount = uvs.length / 2;
+  const valid = (v) => v >= 0 && v < vertexCount && Number.isFinite(uvs[v * 2]) && Number.isFinite(uvs[v * 2 + 1]);
+  let minU = 0, maxU = 1, minV = 0, maxV = 1;
+  for (let v = 0; v < vertexCount; v++) {
+    if (!valid(v)) continue;
+    minU = Math.min(minU, uvs[v * 2]);
+    maxU = Math.max(maxU, uvs[v * 2]);
+    minV = Math.min(minV, uvs[v * 2 + 1]);
+    maxV = Math.max(maxV, uvs[v * 2 + 1]);
+  }
+  const scale = Math.min((width - 2 * PAD) / (maxU - minU), (height - 2 * PAD) / (maxV - minV));
+  const sx = (u) => PAD + (u - minU) * scale;
+  const sy = (v) => height - PAD - (v - minV) * scale;
+  const x = (vi) => sx(uvs[vi * 2]);
+  const y = (vi) => sy(uvs[vi * 2 + 1]);
+
+  ctx.font = "10px sans-serif";
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+  ctx.beginPath();
+  for (let k = 1; k < 4; k++) {
+    ctx.moveTo(sx(k / 4), sy(0));
+    ctx.lineTo(sx(k / 4), sy(1));
+    ctx.moveTo(sx(0), sy(k / 4));
+    ctx.lineTo(sx(1), sy(k / 4));
+  }
+  ctx.stroke();
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+  ctx.strokeRect(sx(0), sy(1), scale, scale);
+
+  const triCount = Math.floor(indices.length / 3);
+  const triangle = (t) => {
+    const tri = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    if (!tri.every(valid)) return false;
+    ctx.moveTo(x(tri[0]), y(tri[0]));
+    ctx.lineTo(x(tri[1]), y(tri[1]));
+    ctx.lineTo(x(tri[2]), y(tri[2]));
+    ctx.closePath();
+    return true;
+  };
+  ctx.strokeStyle = "rgba(142, 202, 230, 0.7)";
+  ctx.beginPath();
+  for (let t = 0; t < triCount; t++) triangle(t);
+  ctx.stroke();
+
+  if (highlight) {
+    ctx.fillStyle = "rgba(0, 229, 255, 0.45)";
+    ctx.beginPath();
+    for (const t of highlight.triangles) if (t < triCount) triangle(t);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    for (const v of highlight.vertices) {
+      if (!valid(v)) continue;
+      ctx.beginPath();
+      ctx.arc(x(v), y(v), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  if (labels) {
+    const occupied = new Set();
+    let drawn = 0;
+    ctx.fillStyle = "#f1faee";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    for (let v = 0; v < vertexCount && drawn < MAX_LABELS; v++) {
+      if (!valid(v)) continue;
+      const cell = `${Math.floor(x(v) / LABEL_CELL.w)},${Math.floor(y(v) / LABEL_CELL.h)}`;
+      if (occupied.has(cell)) continue;
+      occupied.add(cell);
+      ctx.fillText(String(v), x(v) + 2, y(v) - 1);
+      drawn++;
+    }
+  }
+
+  return (px, py) => {
+    let best = -1;
+    let bestDist = 6;
+    for (let v = 0; v < vertexCount; v++) {
+      if (!valid(v)) continue;
+      const d = Math.hypot(x(v) - px, y(v) - py);
+      if (d < bestDist) {
+        best = v;
+        bestDist = d;
+      }
+    }
+    return best;
+  };
+}
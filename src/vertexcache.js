@@ -0,0 +1,273 @@
+import * as THREE from "three";
+
+// --- Post-transform vertex cache ---
+// Simulates the GPU's post-transform cache over a triangle list and reorders
+// triangles to make better use of it. Triangles with an invalid index are
+// ignored by the simulation and kept, in order, after the optimized ones.
+
+export const CACHE_POLICIES = { fifo: "FIFO", lru: "LRU" };
+export const CACHE_OPTIMIZERS = { forsyth: "Forsyth", tipsify: "Tipsify" };
+export const MISS_COLORS = [0x2a9d8f, 0xe9c46a, 0xf4a261, 0xe63946];
+
+function isValidTriangle(indices, t, vertexCount) {
+  for (let j = 0; j < 3; j++) {
+    const v = indices[t * 3 + j];
+    if (!(v >= 0 && v < vertexCount)) return false;
+  }
+  return true;
+}
+
+// Returns { misses (per triangle, 0-3), totalMisses, triangles, vertices,
+// acmr, atvr }. ACMR is misses per triangle, ATVR misses per referenced
+// vertex (1.0 is optimal).
+export function simulateVertexCache(indices, vertexCount, size, policy = "fifo") {
+  const triCount = Math.floor(indices.length / 3);
+  const misses = new Uint8Array(triCount);
+  const referenced = new Uint8Array(vertexCount);
+  let totalMisses = 0;
+  let triangles = 0;
+  let vertices = 0;
+
+  // FIFO: a vertex is cached while fewer than `size` misses happened since it
+  // was loaded. LRU: a small array ordered from most to least recent.
+  const loadedAt = new Int32Array(vertexCount).fill(-1);
+  let loads = 0;
+  const lru = [];
+
+  for (let t = 0; t < triCount; t++) {
+    if (!isValidTriangle(indices, t, vertexCount)) continue;
+    triangles++;
+    for (let j = 0; j < 3; j++) {
+      const v = indices[t * 3 + j];
+      if (!referenced[v]) {
+        referenced[v] = 1;
+        vertices++;
+      }
+      let hit;
+      if (policy === "lru") {
+        const pos = lru.indexOf(v);
+        hit = pos !== -1;
+        if (hit) lru.splice(pos, 1);
+        lru.unshift(v);
+        if (lru.length > size) lru.pop();
+      } else {
+        hit = loadedAt[v] !== -1 && loads - loadedAt[v] <= size;
+        if (!hit) loadedAt[v] = loads++;
+      }
+      if (!hit) {
+        misses[t]++;
+        totalMisses++;
+      }
+    }
+  }
+
+  return {
+    misses,
+    totalMisses,
+    triangles,
+    vertices,
+    acmr: triangles > 0 ? totalMisses / triangles : 0,
+    atvr: vertices > 0 ? totalMisses / vertices : 0,
+  };
+}
+
+// Triangles adjacent to each vertex, as offsets into a flat list.
+function buildAdjacency(indices, vertexCount, valid) {
+  const offsets = new Uint32Array(vertexCount + 1);
+  for (const t of valid) {
+    for (let j = 0; j < 3; j++) offsets[indices[t * 3 + j] + 1]++;
+  }
+  for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+  const fill = offsets.slice(0, vertexCount);
+  const triangles = new Uint32Array(offsets[vertexCount]);
+  for (const t of valid) {
+    for (let j = 0; j < 3; j++) triangles[fill[indices[t * 3 + j]]++] = t;
+  }
+  return { offsets, triangles };
+}
+
+// Returns the new triangle order as a list of original triangle numbers.
+export function optimizeVertexCache(indices, vertexCount, size, method = "forsyth") {
+  const triCount = Math.floor(indices.length / 3);
+  const valid = [];
+  const invalid = [];
+  for (let t = 0; t < triCount; t++) {
+    if (isValidTriangle(indices, t, vertexCount)) valid.push(t);
+    else invalid.push(t);
+  }
+  const order =
+    method === "tipsify"
+      ? tipsify(indices, vertexCount, size, valid)
+      : forsyth(indices, vertexCount, size, valid);
+  return Uint32Array.from([...order, ...invalid]);
+}
+
+// Tom Forsyth, "Linear-Speed Vertex Cache Optimisation" (2006).
+const LAST_TRI_SCORE = 0.75;
+const CACHE_DECAY_POWER = 1.5;
+const VALENCE_BOOST_SCALE = 2.0;
+const VALENCE_BOOST_POWER = 0.5;
+
+function forsyth(indices, vertexCount, size, valid) {
+  const { offsets, triangles } = buildAdjacency(indices, vertexCount, valid);
+  const remaining = new Uint32Array(vertexCount);
+  for (let v = 0; v < vertexCount; v++) remaining[v] = offsets[v + 1] - offsets[v];
+  const cachePos = new Int32Array(vertexCount).fill(-1);
+  const vertexScore = new Float64Array(vertexCount);
+  const triScore = new Float64Array(Math.floor(indices.length / 3));
+  const emitted = new Uint8Array(triScore.length);
+
+  const scoreVertex = (v) => {
+    if (remaining[v] === 0) return -1;
+    let score = 0;
+    const pos = cachePos[v];
+    if (pos >= 0) {
+      score =
+        pos < 3
+          ? LAST_TRI_SCORE
+          : Math.pow(1 - (pos - 3) / (size - 3), CACHE_DECAY_POWER);
+    }
+    return score + VALENCE_BOOST_SCALE * Math.pow(remaining[v], -VALENCE_BOOST_POWER);
+  };
+  const scoreTriangle = (t) =>
+    vertexScore[indices[t * 3]] +
+    vertexScore[indices[t * 3 + 1]] +
+    vertexScore[indices[t * 3 + 2]];
+
+  for (let v = 0; v < vertexCount; v++) vertexScore[v] = scoreVertex(v);
+  let best = -1;
+  for (const t of valid) {
+    triScore[t] = scoreTriangle(t);
+    if (best === -1 || triScore[t] > triScore[best]) best = t;
+  }
+
+  const order = [];
+  let cache = [];
+  let cursor = 0;
+  while (order.length < valid.length) {
+    if (best === -1) {
+      while (emitted[valid[cursor]]) cursor++;
+      best = valid[cursor];
+    }
+    order.push(best);
+    emitted[best] = 1;
+    const tri = [indices[best * 3], indices[best * 3 + 1], indices[best * 3 + 2]];
+    for (const v of tri) remaining[v]--;
+
+    const next = [...new Set(tri)];
+    for (const v of cache) if (!next.includes(v)) next.push(v);
+    for (let i = size; i < next.length; i++) cachePos[next[i]] = -1;
+    cache = next.slice(0, size);
+    cache.forEach((v, i) => (cachePos[v] = i));
+
+    best = -1;
+    for (const v of next) vertexScore[v] = scoreVertex(v);
+    for (const v of cache) {
+      for (let i = offsets[v]; i < offsets[v + 1]; i++) {
+        const t = triangles[i];
+        if (emitted[t]) continue;
+        triScore[t] = scoreTriangle(t);
+        if (best === -1 || triScore[t] > triScore[best]) best = t;
+      }
+    }
+  }
+  return order;
+}
+
+// Sander, Nehab and Barczak, "Fast Triangle Reordering for Vertex Locality
+// and Reduced Overdraw" (2007), without the overdraw clustering pass.
+function tipsify(indices, vertexCount, size, valid) {
+  const { offsets, triangles } = buildAdjacency(indices, vertexCount, valid);
+  const live = new Uint32Array(vertexCount);
+  for (let v = 0; v < vertexCount; v++) live[v] = offsets[v + 1] - offsets[v];
+  const cacheTime = new Int32Array(vertexCount);
+  const emitted = new Uint8Array(Math.floor(indices.length / 3));
+  const deadEnd = [];
+  const order = [];
+  let time = size + 1;
+  let cursor = 0;
+
+  const nextVertex = (candidates) => {
+    let bestVertex = -1;
+    let bestPriority = -1;
+    for (const v of candidates) {
+      if (live[v] === 0) continue;
+      const priority = time - cacheTime[v] + 2 * live[v] <= size ? time - cacheTime[v] : 0;
+      if (priority > bestPriority) {
+        bestPriority = priority;
+        bestVertex = v;
+      }
+    }
+    if (bestVertex !== -1) return bestVertex;
+    while (deadEnd.length > 0) {
+      const v = deadEnd.pop();
+      if (live[v] > 0) return v;
+    }
+    while (cursor < vertexCount && live[cursor] === 0) cursor++;
+    return cursor < vertexCount ? cursor : -1;
+  };
+
+  let fan = nextVertex([]);
+  while (fan !== -1) {
+    const candidates = [];
+    for (let i = offsets[fan]; i < offsets[fan + 1]; i++) {
+      const t = triangles[i];
+      if (emitted[t]) continue;
+      emitted[t] = 1;
+      order.push(t);
+      for (let j = 0; j < 3; j++) {
+        const v = indices[t * 3 + j];
+        deadEnd.push(v);
+        candidates.push(v);
+        live[v]--;
+        if (time - cacheTime[v] > size) cacheTime[v] = time++;
+      }
+    }
+    fan = nextVertex(candidates);
+  }
+  return order;
+}
+
+// Triangles of indices, listed in `order`.
+export function reorderTriangles(indices, order) {
+  const out = new Int32Array(order.length * 3);
+  order.forEach((t, i) => {
+    out[i * 3] = indices[t * 3];
+    out[i * 3 + 1] = indices[t * 3 + 1];
+    out[i * 3 + 2] = indices[t * 3 + 2];
+  });
+  return out;
+}
+
+// One flat-coloured copy of every valid triangle, coloured by its misses.
+export function buildVertexCacheOverlay(positions, indices, misses) {
+  const vertexCount = positions.length / 3;
+  const triCount = Math.floor(indices.length / 3);
+  const out = [];
+  const colors = [];
+  const palette = MISS_COLORS.map((c) => new THREE.Color(c));
+  for (let t = 0; t < triCount; t++) {
+    if (!isValidTriangle(indices, t, vertexCount)) continue;
+    const color = palette[misses[t]];
+    for (let j = 0; j < 3; j++) {
+      const v = indices[t * 3 + j];
+      out.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+      colors.push(color.r, color.g, color.b);
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(out), 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(colors), 3));
+  const mesh = new THREE.Mesh(
+    geometry,
+    new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+    })
+  );
+  mesh.name = "vertexCache";
+  return mesh;
+}